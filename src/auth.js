@@ -0,0 +1,75 @@
+import crypto from 'node:crypto'
+import net from 'node:net'
+
+/**
+ * Create an authorize check requiring an `Authorization: Bearer <token>` header
+ *
+ * @param {string|string[]} tokens - Accepted token(s)
+ * @returns {function(Object): (true|401|403)} Check usable as the `authorize` option
+ */
+export function bearerToken (tokens) {
+  const accepted = (Array.isArray(tokens) ? tokens : [tokens]).map(token => Buffer.from(token))
+  if (accepted.length === 0 || accepted.some(token => token.length === 0)) {
+    throw new Error('bearerToken requires at least one non-empty token')
+  }
+
+  return function checkBearerToken (req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')
+    if (!match) {
+      return 401
+    }
+
+    // Compare in constant time so the token can't be guessed byte by byte
+    const provided = Buffer.from(match[1].trim())
+    const valid = accepted.some(token =>
+      token.length === provided.length && crypto.timingSafeEqual(token, provided)
+    )
+    return valid ? true : 403
+  }
+}
+
+/**
+ * Create an authorize check only allowing requests from the given addresses
+ *
+ * Entries can be single addresses (`10.0.0.5`, `::1`) or CIDR ranges
+ * (`10.0.0.0/8`, `fd00::/8`). The address is taken from the socket, put a
+ * proxy-aware check in front of this one when running behind a proxy.
+ *
+ * @param {string[]} addresses - Allowed addresses and ranges
+ * @returns {function(Object): (true|403)} Check usable as the `authorize` option
+ */
+export function ipAllowlist (addresses) {
+  const blockList = new net.BlockList()
+  for (const entry of addresses) {
+    const [address, prefix] = entry.split('/')
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4'
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid address in ipAllowlist: ${entry}`)
+    }
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, type)
+    } else {
+      blockList.addSubnet(address, parseInt(prefix, 10), type)
+    }
+  }
+
+  return function checkIpAllowlist (req) {
+    const address = normalizeAddress(req.socket?.remoteAddress)
+    if (!address) {
+      return 403
+    }
+    return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4') ? true : 403
+  }
+}
+
+/**
+ * Unwrap IPv4-mapped IPv6 addresses (`::ffff:127.0.0.1`) so IPv4 entries match them
+ *
+ * @param {string} address - Socket address
+ * @returns {string|undefined}
+ */
+function normalizeAddress (address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '')
+  return mapped ? mapped[1] : address
+}
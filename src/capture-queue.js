@@ -0,0 +1,73 @@
+/**
+ * Runs profile captures one at a time
+ *
+ * V8 only supports a single CPU profiler session per isolate, so overlapping
+ * captures would break each other. Captures are queued and started in order.
+ */
+export class CaptureQueue {
+  constructor () {
+    this.active = null
+    this.pending = []
+  }
+
+  /**
+   * Check if a capture is currently running
+   *
+   * @returns {boolean}
+   */
+  get busy () {
+    return this.active !== null
+  }
+
+  /**
+   * Milliseconds until the running and all queued captures are expected to finish
+   *
+   * @returns {number}
+   */
+  get backlog () {
+    const activeRemaining = this.active
+      ? Math.max(0, this.active.duration - (Date.now() - this.active.startTime))
+      : 0
+    return this.pending.reduce((total, capture) => total + capture.duration, activeRemaining)
+  }
+
+  /**
+   * Queue a capture, starting it right away when nothing else is running
+   *
+   * @param {Object} capture - Capture to run
+   * @param {string} capture.profileId - Profile ID
+   * @param {number} capture.duration - Expected duration in milliseconds
+   * @param {Object} capture.settings - Capture settings, so attached requests can report them
+   * @param {Function} capture.run - Async function performing the capture
+   * @returns {Promise<void>} Settles once the capture has run, also available as `done` on the entry
+   */
+  enqueue (capture) {
+    let settle
+    const done = new Promise(resolve => { settle = resolve })
+    this.pending.push({ ...capture, done, settle })
+    this.next()
+    return done
+  }
+
+  /**
+   * Start the next queued capture if nothing is running
+   */
+  next () {
+    if (this.active || this.pending.length === 0) {
+      return
+    }
+
+    const capture = this.pending.shift()
+    this.active = { ...capture, startTime: Date.now() }
+
+    // Failures are reported by the capture itself, the queue just moves on
+    Promise.resolve()
+      .then(() => capture.run())
+      .catch(() => {})
+      .finally(() => {
+        capture.settle()
+        this.active = null
+        this.next()
+      })
+  }
+}
@@ -0,0 +1,237 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { spawn } from 'node:child_process'
+import { parseArgs } from 'node:util'
+
+const USAGE = `Usage: flamegraph-middleware capture <url> [options]
+
+Start a capture on a service running flamegraph-middleware, wait for it to
+complete and download its profiles.
+
+<url> is where the middleware is mounted, like http://localhost:3000/flamegraph.
+A URL without a path uses --base-path.
+
+Options:
+  -d, --duration <time>    Capture duration, in milliseconds or like "30s" (default: the server's)
+  -o, --out <dir>          Directory to write the profiles to (default: .)
+  -H, --header <header>    Request header like "Authorization: Bearer <token>", repeatable
+      --base-path <path>   Path the middleware is mounted at (default: /flamegraph)
+      --types <types>      Profile types to capture, like cpu or cpu,heap
+      --cpu-interval <us>  CPU sampling interval in microseconds
+      --cpu-mode <mode>    wall or cpu
+      --heap-depth <n>     Maximum heap stack depth
+      --thread <thread>    Worker threads to include: all or a thread ID or name
+      --format <format>    pprof (default), folded, speedscope or cpuprofile
+      --json               Print the result as JSON
+      --open               Open the results page in a browser
+  -h, --help               Show this help
+`
+
+const OPTIONS = {
+  duration: { type: 'string', short: 'd' },
+  out: { type: 'string', short: 'o', default: '.' },
+  header: { type: 'string', short: 'H', multiple: true, default: [] },
+  'base-path': { type: 'string' },
+  types: { type: 'string' },
+  'cpu-interval': { type: 'string' },
+  'cpu-mode': { type: 'string' },
+  'heap-depth': { type: 'string' },
+  thread: { type: 'string' },
+  format: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  open: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+// Query parameters of the capture settings, by option name
+const CAPTURE_PARAMS = {
+  duration: 'duration',
+  types: 'types',
+  'cpu-interval': 'cpuInterval',
+  'cpu-mode': 'cpuMode',
+  'heap-depth': 'heapDepth',
+  thread: 'thread'
+}
+
+/**
+ * Run the command line client
+ *
+ * Progress goes to `stderr`, the written files (or the JSON result) to
+ * `stdout`, so the output can be piped.
+ *
+ * @param {string[]} args - Arguments, without the node binary and script
+ * @param {Object} options - Options
+ * @param {{write: function(string): void}} options.stdout - Output stream (default: process.stdout)
+ * @param {{write: function(string): void}} options.stderr - Progress and error stream (default: process.stderr)
+ * @param {number} options.pollInterval - Milliseconds between status checks (default: 1000)
+ * @param {function(string): void} options.openUrl - Opens the results page (default: the system browser)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the capture failed, 2 on usage errors
+ */
+export async function runCli (args, options = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    pollInterval = 1000,
+    openUrl = openInBrowser
+  } = options
+
+  let parsed
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`)
+    return 2
+  }
+
+  const { values, positionals: [command, url, ...extra] } = parsed
+  if (values.help) {
+    stdout.write(USAGE)
+    return 0
+  }
+  if (command !== 'capture' || !url || extra.length > 0) {
+    stderr.write(command && command !== 'capture' ? `Unknown command "${command}"\n\n${USAGE}` : USAGE)
+    return 2
+  }
+
+  let client
+  try {
+    client = createClient(url, values)
+  } catch (error) {
+    stderr.write(`${error.message}\n`)
+    return 2
+  }
+
+  try {
+    const result = await capture(client, values, { stderr, pollInterval })
+    if (values.json) {
+      stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+    } else {
+      for (const file of result.files) {
+        stdout.write(`${file.path}\n`)
+      }
+    }
+    if (values.open) {
+      openUrl(result.resultUrl)
+    }
+    return 0
+  } catch (error) {
+    if (values.json) {
+      stdout.write(`${JSON.stringify({ error: error.message, ...error.details }, null, 2)}\n`)
+    }
+    stderr.write(`${error.message}\n`)
+    return 1
+  }
+}
+
+/**
+ * Start a capture, wait for it and download its profiles
+ *
+ * @returns {Promise<{id: string, status: string, duration: number, resultUrl: string, files: Object[]}>}
+ */
+async function capture (client, values, { stderr, pollInterval }) {
+  const params = new URLSearchParams()
+  for (const [option, param] of Object.entries(CAPTURE_PARAMS)) {
+    if (values[option] !== undefined) {
+      params.set(param, values[option])
+    }
+  }
+
+  let status = await client.request('POST', `/api/profiles?${params}`)
+  stderr.write(`Capturing profile ${status.id} for ${status.duration}ms${status.attached ? ' (attached to a running capture)' : ''}\n`)
+
+  while (status.status === 'queued' || status.status === 'in-progress') {
+    await new Promise(resolve => setTimeout(resolve, pollInterval))
+    status = await client.request('GET', `/api/profiles/${status.id}`)
+  }
+  if (status.status !== 'completed') {
+    const reason = status.error ? `${status.error.message} (${status.error.phase})` : status.status
+    throw Object.assign(new Error(`Profile ${status.id} failed: ${reason}`), { details: { profile: status } })
+  }
+
+  await fs.mkdir(values.out, { recursive: true })
+  const files = []
+  for (const [type, downloadPath] of Object.entries(status.downloads)) {
+    // Only pprof profiles can be converted, metrics are always JSON
+    const format = values.format && type !== 'metrics' && type !== 'heapsnapshot' ? values.format : undefined
+    const { body, filename } = await client.download(format ? `${downloadPath}?format=${encodeURIComponent(format)}` : downloadPath)
+    const file = path.join(values.out, filename)
+    await fs.writeFile(file, body)
+    files.push({ type, path: file, size: body.length })
+  }
+  stderr.write(`Profile ${status.id} completed, results at ${client.resolve(status.resultUrl)}\n`)
+
+  return {
+    id: status.id,
+    status: status.status,
+    duration: status.duration,
+    resultUrl: client.resolve(status.resultUrl),
+    files
+  }
+}
+
+/**
+ * Create a client for the JSON API of the middleware mounted at `url`
+ */
+function createClient (url, values) {
+  let base
+  try {
+    base = new URL(url)
+  } catch {
+    throw new Error(`Invalid URL "${url}"`)
+  }
+
+  const basePath = (values['base-path'] ?? (base.pathname === '/' ? '/flamegraph' : base.pathname)).replace(/\/+$/, '')
+  const headers = {}
+  for (const header of values.header) {
+    const separator = header.indexOf(':')
+    if (separator < 1) {
+      throw new Error(`Invalid header "${header}", expected "Name: value"`)
+    }
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+  }
+
+  // Paths in API responses already hold the base path
+  const resolve = (urlPath) => new URL(urlPath, base.origin).href
+
+  async function send (method, urlPath) {
+    const response = await fetch(resolve(urlPath), { method, headers })
+    if (!response.ok) {
+      const body = await response.text()
+      let details
+      try {
+        details = JSON.parse(body)
+      } catch {
+        details = { error: body || response.statusText }
+      }
+      throw Object.assign(new Error(`${method} ${urlPath} failed with ${response.status}: ${details.error}`), { details: { status: response.status, ...details } })
+    }
+    return response
+  }
+
+  return {
+    resolve,
+    async request (method, apiPath) {
+      return (await send(method, `${basePath}${apiPath}`)).json()
+    },
+    async download (downloadPath) {
+      const response = await send('GET', downloadPath)
+      const disposition = response.headers.get('content-disposition') || ''
+      const filename = /filename="([^"/\\]+)"/.exec(disposition)?.[1] || path.basename(new URL(downloadPath, base.origin).pathname)
+      return { body: Buffer.from(await response.arrayBuffer()), filename }
+    }
+  }
+}
+
+/**
+ * Open a URL with the system's default browser, without waiting for it
+ */
+function openInBrowser (url) {
+  const [command, ...args] = {
+    darwin: ['open', url],
+    win32: ['cmd', '/c', 'start', '""', url]
+  }[process.platform] || ['xdg-open', url]
+
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' })
+  child.on('error', () => {})
+  child.unref()
+}
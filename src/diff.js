@@ -0,0 +1,130 @@
+import {
+  forEachStack,
+  getDefaultSampleIndex,
+  getProfileDuration,
+  getSampleTypes
+} from './pprof-utils.js'
+
+/**
+ * Compare two decoded profiles stack by stack
+ *
+ * Values are normalized to "per second" when `normalize` is set, so captures
+ * of different durations can be compared. That makes sense for CPU profiles,
+ * heap profiles are snapshots and should be compared as-is.
+ *
+ * @param {Profile} baseProfile - Profile to compare against
+ * @param {Profile} targetProfile - Profile to compare
+ * @param {Object} options - Options
+ * @param {boolean} options.normalize - Normalize values by capture duration (default: true)
+ * @param {number} options.baseDuration - Base capture duration in ms, when the profile doesn't record it
+ * @param {number} options.targetDuration - Target capture duration in ms, when the profile doesn't record it
+ * @param {number} options.minShare - Drop flamegraph nodes smaller than this share of the total (default: 0.001)
+ * @returns {{root: Object, functions: Object[], sampleType: Object, totals: {base: number, target: number}}}
+ */
+export function diffProfiles (baseProfile, targetProfile, options = {}) {
+  const {
+    normalize = true,
+    baseDuration,
+    targetDuration,
+    minShare = 0.001
+  } = options
+
+  const root = createNode('root', '')
+  const functions = new Map()
+
+  const inputs = [
+    ['base', baseProfile, baseDuration],
+    ['target', targetProfile, targetDuration]
+  ]
+  for (const [side, profile, fallbackDuration] of inputs) {
+    const duration = getProfileDuration(profile) || fallbackDuration
+    const scale = normalize && duration ? 1000 / duration : 1
+
+    forEachStack(profile, getDefaultSampleIndex(profile), (stack, value) => {
+      const scaled = value * scale
+
+      // Flamegraph tree, merged between both profiles
+      let node = root
+      node[side] += scaled
+      for (const frame of stack) {
+        const key = `${frame.name}\0${frame.file}`
+        let child = node.children.get(key)
+        if (!child) {
+          child = createNode(frame.name, frame.file)
+          node.children.set(key, child)
+        }
+        child[side] += scaled
+        node = child
+      }
+
+      // Per-function totals, counting recursive frames once per stack
+      const seen = new Set()
+      stack.forEach((frame, i) => {
+        const key = `${frame.name}\0${frame.file}`
+        let fn = functions.get(key)
+        if (!fn) {
+          fn = {
+            name: frame.name,
+            file: frame.file,
+            line: frame.line,
+            baseSelf: 0,
+            targetSelf: 0,
+            baseTotal: 0,
+            targetTotal: 0
+          }
+          functions.set(key, fn)
+        }
+        if (!seen.has(key)) {
+          fn[`${side}Total`] += scaled
+          seen.add(key)
+        }
+        if (i === stack.length - 1) {
+          fn[`${side}Self`] += scaled
+        }
+      })
+    })
+  }
+
+  const sampleType = getSampleTypes(targetProfile)[getDefaultSampleIndex(targetProfile)]
+  const minValue = Math.max(root.base, root.target) * minShare
+
+  return {
+    root: serializeNode(root, minValue),
+    functions: [...functions.values()]
+      .map(fn => ({
+        ...fn,
+        selfDelta: fn.targetSelf - fn.baseSelf,
+        totalDelta: fn.targetTotal - fn.baseTotal
+      }))
+      .sort((a, b) => Math.abs(b.totalDelta) - Math.abs(a.totalDelta)),
+    sampleType: { ...sampleType, perSecond: normalize },
+    totals: { base: root.base, target: root.target }
+  }
+}
+
+/**
+ * Create an empty flamegraph node
+ */
+function createNode (name, file) {
+  return { name, file, base: 0, target: 0, children: new Map() }
+}
+
+/**
+ * Convert a node to plain JSON, dropping children too small to render
+ *
+ * @param {Object} node - Flamegraph node
+ * @param {number} minValue - Minimum value for a node to be kept
+ * @returns {Object}
+ */
+function serializeNode (node, minValue) {
+  return {
+    name: node.name,
+    file: node.file,
+    base: node.base,
+    target: node.target,
+    children: [...node.children.values()]
+      .filter(child => Math.max(child.base, child.target) >= minValue)
+      .sort((a, b) => Math.max(b.base, b.target) - Math.max(a.base, a.target))
+      .map(child => serializeNode(child, minValue))
+  }
+}
@@ -0,0 +1,176 @@
+import {
+  decodeProfile,
+  forEachStack,
+  getDefaultSampleIndex,
+  getProfileDuration,
+  getSampleTypes
+} from './pprof-utils.js'
+
+// speedscope only knows a few units, the rest are shown as plain numbers
+const SPEEDSCOPE_UNITS = new Set(['nanoseconds', 'microseconds', 'milliseconds', 'seconds', 'bytes'])
+
+/**
+ * Export a profile as folded stacks, one `root;caller;leaf value` line per
+ * distinct stack, as read by `flamegraph.pl` and most flamegraph tools
+ *
+ * Values are those of the profile's default sample type: nanoseconds for
+ * CPU profiles, bytes for heap profiles.
+ *
+ * @param {Profile|Buffer} profile - Decoded profile or uncompressed pprof buffer
+ * @returns {string}
+ */
+export function toFoldedStacks (profile) {
+  profile = toProfile(profile)
+  const folded = new Map()
+  forEachStack(profile, getDefaultSampleIndex(profile), (stack, value) => {
+    // Semicolons separate frames and line breaks separate stacks
+    const key = stack.map(frame => frame.name.replace(/[;\r\n]/g, '_')).join(';')
+    folded.set(key, (folded.get(key) || 0) + value)
+  })
+  return [...folded].map(([stack, value]) => `${stack} ${value}\n`).join('')
+}
+
+/**
+ * Export a profile in speedscope's file format, as one sampled profile
+ *
+ * @see https://www.speedscope.app/file-format-schema.json
+ * @param {Profile|Buffer} profile - Decoded profile or uncompressed pprof buffer
+ * @param {Object} options - Options
+ * @param {string} options.name - Name speedscope shows for the profile (default: the sample type)
+ * @returns {Object} JSON-serializable speedscope file
+ */
+export function toSpeedscope (profile, options = {}) {
+  profile = toProfile(profile)
+  const sampleIndex = getDefaultSampleIndex(profile)
+  const sampleType = getSampleTypes(profile)[sampleIndex]
+  const { name = sampleType.type } = options
+
+  const frames = []
+  const frameIndexes = new Map()
+  const samples = []
+  const weights = []
+  let total = 0
+
+  forEachStack(profile, sampleIndex, (stack, value) => {
+    samples.push(stack.map(frame => {
+      const key = `${frame.name}\0${frame.file}\0${frame.line}`
+      let index = frameIndexes.get(key)
+      if (index === undefined) {
+        index = frames.length
+        frameIndexes.set(key, index)
+        frames.push(frame.file ? frame : { name: frame.name })
+      }
+      return index
+    }))
+    weights.push(value)
+    total += value
+  })
+
+  return {
+    $schema: 'https://www.speedscope.app/file-format-schema.json',
+    exporter: 'flamegraph-middleware',
+    name,
+    activeProfileIndex: 0,
+    shared: { frames },
+    profiles: [{
+      type: 'sampled',
+      name,
+      unit: SPEEDSCOPE_UNITS.has(sampleType.unit) ? sampleType.unit : 'none',
+      startValue: 0,
+      endValue: total,
+      samples,
+      weights
+    }]
+  }
+}
+
+/**
+ * Export a CPU profile as a Chrome DevTools `.cpuprofile`
+ *
+ * pprof keeps a total per stack rather than a timeline, so each stack's hits
+ * are laid out one after the other: the DevTools flame chart groups them by
+ * stack instead of showing when they happened. Heap profiles have no time
+ * and can't be exported this way.
+ *
+ * @param {Profile|Buffer} profile - Decoded CPU profile or uncompressed pprof buffer
+ * @returns {{nodes: Object[], startTime: number, endTime: number, samples: number[], timeDeltas: number[]}}
+ *   JSON-serializable profile, times in microseconds
+ * @throws {Error} When the profile doesn't measure time
+ */
+export function toCpuProfile (profile) {
+  profile = toProfile(profile)
+  const sampleTypes = getSampleTypes(profile)
+  const sampleIndex = getDefaultSampleIndex(profile)
+  if (sampleTypes[sampleIndex]?.unit !== 'nanoseconds') {
+    throw new Error('Only CPU profiles can be exported as .cpuprofile')
+  }
+  // The number of hits per stack, when the profile records it
+  const countIndex = sampleTypes.findIndex(sampleType => sampleType.type === 'sample' && sampleType.unit === 'count')
+
+  const scriptIds = new Map()
+  const root = createCpuProfileNode(1, { name: '(root)', file: '', line: 0 }, scriptIds)
+  const nodes = [root]
+  const samples = []
+  const timeDeltas = []
+
+  forEachStack(profile, sampleIndex, (stack, value, sample) => {
+    let node = root
+    for (const frame of stack) {
+      const key = `${frame.name}\0${frame.file}\0${frame.line}`
+      let child = node.childrenByFrame.get(key)
+      if (!child) {
+        child = createCpuProfileNode(nodes.length + 1, frame, scriptIds)
+        node.childrenByFrame.set(key, child)
+        node.children.push(child.id)
+        nodes.push(child)
+      }
+      node = child
+    }
+
+    const hits = Math.max(1, countIndex === -1 ? 1 : Number(sample.value[countIndex]))
+    node.hitCount += hits
+    for (let i = 0; i < hits; i++) {
+      samples.push(node.id)
+      timeDeltas.push(value / hits / 1000)
+    }
+  })
+
+  const startTime = Number(profile.timeNanos) / 1000
+  const duration = timeDeltas.reduce((sum, delta) => sum + delta, 0)
+  return {
+    nodes: nodes.map(({ childrenByFrame, ...node }) => node),
+    startTime,
+    endTime: startTime + Math.max(duration, getProfileDuration(profile) * 1000),
+    samples,
+    timeDeltas
+  }
+}
+
+/**
+ * Decode the profile when given a buffer
+ */
+function toProfile (profile) {
+  return Buffer.isBuffer(profile) ? decodeProfile(profile) : profile
+}
+
+/**
+ * Create a `.cpuprofile` node for a frame, DevTools lines are 0-based
+ */
+function createCpuProfileNode (id, frame, scriptIds) {
+  if (!scriptIds.has(frame.file)) {
+    scriptIds.set(frame.file, String(scriptIds.size))
+  }
+  return {
+    id,
+    callFrame: {
+      functionName: frame.name,
+      scriptId: scriptIds.get(frame.file),
+      url: frame.file && !frame.file.includes('://') ? `file://${frame.file}` : frame.file,
+      lineNumber: Math.max(0, frame.line - 1),
+      columnNumber: 0
+    },
+    hitCount: 0,
+    children: [],
+    childrenByFrame: new Map()
+  }
+}
@@ -0,0 +1,61 @@
+import { createFlamegraphMiddleware } from './index.js'
+
+/**
+ * Fastify plugin, registered with `fastify.register(flamegraphPlugin, options)`
+ *
+ * The middleware's routes are added to Fastify's router under `basePath`,
+ * and profiling is logged through `fastify.log` unless a `logger` is given.
+ * With `requestLabels` set, every other request has its CPU time labelled,
+ * with the pattern of the matched Fastify route as the route label. The
+ * middleware instance is available as `fastify.flamegraph` for its
+ * programmatic API.
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Options of createFlamegraphMiddleware()
+ */
+export async function flamegraphPlugin (fastify, options) {
+  const { basePath: basePathOption = '/flamegraph', requestLabels } = options
+  // Same as the middleware, whose links must match the routes
+  const basePath = basePathOption.replace(/\/+$/, '')
+  const routes = new WeakMap()
+  const flamegraph = createFlamegraphMiddleware({
+    logger: fastify.log,
+    ...options,
+    requestLabels: requestLabels && {
+      route: req => routes.get(req) || new URL(req.url, 'http://localhost').pathname,
+      ...requestLabels
+    }
+  })
+
+  fastify.decorate('flamegraph', flamegraph)
+  fastify.addHook('onClose', async () => flamegraph.close())
+
+  if (requestLabels) {
+    fastify.addHook('onRequest', (request, reply, done) => {
+      if (request.routeOptions.config?.flamegraph) {
+        return done()
+      }
+      routes.set(request.raw, request.routeOptions.url)
+      flamegraph(request.raw, reply.raw, done)
+    })
+  }
+
+  // Routes get their own context, so the catch-all body parser doesn't leak into the app's routes
+  await fastify.register(async function flamegraphRoutes (instance) {
+    // Bodies are read by the routes that need them, like uploads
+    instance.removeAllContentTypeParsers()
+    instance.addContentTypeParser('*', (request, payload, done) => done(null))
+
+    for (const url of basePath ? [basePath, `${basePath}/*`] : ['/', '/*']) {
+      instance.all(url, { config: { flamegraph: true } }, (request, reply) => {
+        reply.hijack()
+        return flamegraph(request.raw, reply.raw, () => {})
+      })
+    }
+  })
+}
+
+// Same as wrapping in `fastify-plugin`: the hook and decorator apply to the whole app
+flamegraphPlugin[Symbol.for('skip-override')] = true
+flamegraphPlugin[Symbol.for('fastify.display-name')] = 'flamegraph-middleware'
+flamegraphPlugin[Symbol.for('plugin-meta')] = { name: 'flamegraph-middleware', fastify: '>=4.10.0' }
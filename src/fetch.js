@@ -0,0 +1,186 @@
+import { Readable, Writable } from 'node:stream'
+import { createFlamegraphMiddleware } from './index.js'
+
+/**
+ * Create a handler for fetch-style servers working on `Request` and
+ * `Response` objects (Bun, Deno, Cloudflare-style `fetch` exports)
+ *
+ * Requests for the middleware's routes are answered with a `Response`. Other
+ * requests are passed to `next`, whose CPU time is labelled with the request
+ * like with the middleware.
+ *
+ * ```javascript
+ * const flamegraph = createFetchHandler()
+ * Bun.serve({ fetch: request => flamegraph(request, () => app.fetch(request)) })
+ * ```
+ *
+ * @param {Object} options - Options of createFlamegraphMiddleware()
+ * @returns {function(Request, function(): *=): Promise<*>} Handler resolving with the response,
+ *   also carrying the `capture`, `getProfile`, `listProfiles`, `deleteProfile` and `close` methods
+ */
+export function createFetchHandler (options = {}) {
+  const handle = createHandler(options)
+  return withMethods((request, next) => handle(request, next), handle)
+}
+
+/**
+ * Create a Hono middleware, registered with `app.use(createHonoMiddleware())`
+ *
+ * With `requestLabels` set, the route label defaults to the pattern of the
+ * matched Hono route.
+ *
+ * @param {Object} options - Options of createFlamegraphMiddleware()
+ * @returns {function(Object, function(): Promise<void>): Promise<Response|void>} Hono middleware, also
+ *   carrying the `capture`, `getProfile`, `listProfiles`, `deleteProfile` and `close` methods
+ */
+export function createHonoMiddleware (options = {}) {
+  const { requestLabels } = options
+  const handle = createHandler({
+    ...options,
+    requestLabels: requestLabels && {
+      // Looked up once the request was routed
+      route: req => req.context.req.routePath || new URL(req.url, 'http://localhost').pathname,
+      ...requestLabels
+    }
+  })
+
+  // The Node.js adapter of Hono passes the socket, for `ipAllowlist` and the rate limiter
+  return withMethods((c, next) => handle(c.req.raw, next, { socket: c.env?.incoming?.socket, context: c }), handle)
+}
+
+/**
+ * Create the fetch handler around a middleware instance
+ *
+ * @param {Object} options - Options of createFlamegraphMiddleware()
+ * @returns {function(Request, Function, {socket?: Object, context?: Object}=): Promise<*>}
+ */
+function createHandler (options) {
+  const flamegraph = createFlamegraphMiddleware(options)
+
+  async function handle (request, next, { socket, context } = {}) {
+    const req = new FetchRequest(request, socket, context)
+    const { res, response } = createResponse()
+
+    let passed = false
+    const result = flamegraph(req, res, () => {
+      passed = true
+      return next ? next() : new Response('Not found', { status: 404 })
+    })
+    return passed ? result : response
+  }
+
+  return withMethods(handle, flamegraph)
+}
+
+/**
+ * Carry the programmatic API of a middleware instance over to a handler
+ */
+function withMethods (handler, { capture, getProfile, listProfiles, deleteProfile, close }) {
+  return Object.assign(handler, { capture, getProfile, listProfiles, deleteProfile, close })
+}
+
+/**
+ * Node.js request shaped view of a fetch `Request`, the body is only read
+ * when a route asks for it
+ */
+class FetchRequest extends Readable {
+  constructor (request, socket, context) {
+    super()
+    const url = new URL(request.url)
+    this.request = request
+    this.context = context
+    this.reader = null
+    this.method = request.method
+    this.url = url.pathname + url.search
+    this.headers = Object.fromEntries(request.headers)
+    this.socket = socket || {}
+  }
+
+  async _read () {
+    try {
+      this.reader ??= this.request.body?.getReader() || null
+      const chunk = this.reader ? await this.reader.read() : { done: true }
+      this.push(chunk.done ? null : Buffer.from(chunk.value))
+    } catch (error) {
+      this.destroy(error)
+    }
+  }
+}
+
+/**
+ * Node.js response shaped stream resolving with a fetch `Response` once its
+ * body starts, streamed bodies like heap snapshots are passed on as they are
+ * read
+ *
+ * @returns {{res: import('node:stream').Writable, response: Promise<Response>}}
+ */
+function createResponse () {
+  const res = new FetchResponse()
+  return { res, response: res.response }
+}
+
+class FetchResponse extends Writable {
+  constructor () {
+    super()
+    this.statusCode = 200
+    this.headers = {}
+    this.controller = null
+    this.pending = null
+    this.response = new Promise(resolve => { this.respond = resolve })
+  }
+
+  writeHead (status, headers = {}) {
+    this.statusCode = status
+    this.headers = headers
+    return this
+  }
+
+  _write (chunk, encoding, callback) {
+    // Statuses like 204 can't have a body, not even an empty one
+    if (chunk.length === 0) {
+      return callback()
+    }
+    if (!this.controller) {
+      const body = new ReadableStream({
+        start: controller => { this.controller = controller },
+        // Writes wait for the server to read, so large bodies aren't buffered
+        pull: () => {
+          const pending = this.pending
+          this.pending = null
+          pending?.()
+        }
+      })
+      this.respond(this.createResponse(body))
+    }
+    this.controller.enqueue(chunk)
+    if (this.controller.desiredSize > 0) {
+      callback()
+    } else {
+      this.pending = callback
+    }
+  }
+
+  _final (callback) {
+    if (this.controller) {
+      this.controller.close()
+    } else {
+      this.respond(this.createResponse(null))
+    }
+    callback()
+  }
+
+  _destroy (error, callback) {
+    if (this.controller && error) {
+      this.controller.error(error)
+    } else if (!this.controller) {
+      this.respond(this.createResponse(null))
+    }
+    callback(error)
+  }
+
+  createResponse (body) {
+    // Content-Length is recomputed by the server from the body
+    const { 'Content-Length': length, ...headers } = this.headers
+    return new Response(body, { status: this.statusCode, headers })
+  }
+}
@@ -0,0 +1,517 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+const METADATA_SUFFIX = '.json'
+const PROFILE_ID_PATTERN = /^[a-f0-9]+$/
+
+// How many expired profile IDs to remember so status lookups can report them
+const MAX_EXPIRED_IDS = 100
+
+// Temporary files of writeAtomic(), and how old one gets before it counts as
+// left over by a crashed process rather than a write in progress
+const TEMP_FILE_PATTERN = /^[a-f0-9]+\..+\.\d+\.[a-f0-9]{8}\.tmp$/
+const STALE_TEMP_FILE_AGE = 60 * 1000
+
+/**
+ * Filesystem storage for profile data, persisted in a directory so profiles
+ * survive restarts and can be shared between instances
+ *
+ * Each session is kept as `<id>.json` (metadata) next to one `<id>.<type>.pb`
+ * file per encoded profile buffer.
+ *
+ * @implements {import('./storage.js').StorageBackend}
+ */
+export class FileSystemStorage {
+  constructor (options = {}) {
+    if (!options.directory) {
+      throw new Error('FileSystemStorage requires a directory option')
+    }
+
+    this.directory = options.directory
+    this.maxProfiles = options.maxProfiles || 10
+    this.profileTTL = options.profileTTL || 5 * 60 * 1000 // 5 minutes default
+    this.collectionTimeout = options.collectionTimeout || 60 * 1000 // 1 minute grace after duration
+    this.sweepInterval = options.sweepInterval || Math.min(this.profileTTL, 60 * 1000)
+    this.expired = new Set()
+    this.logger = options.logger?.child({ component: 'fs-storage' }) || options.logger
+
+    // Create the directory and drop anything that expired while we were down. A failure
+    // is only logged here, methods awaiting `ready` throw it so requests fail instead
+    this.ready = fs.mkdir(this.directory, { recursive: true }).then(() => this.sweep())
+    this.ready.catch(error => {
+      this.logger?.error({ err: error, directory: this.directory }, 'Error preparing profile directory')
+    })
+
+    // Periodically remove expired profiles (unref'd so it doesn't keep the process alive)
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        this.logger?.error({ err: error }, 'Error sweeping expired profiles')
+      })
+    }, this.sweepInterval)
+    this.sweepTimer.unref()
+  }
+
+  /**
+   * Generate a unique ID for a profile session
+   *
+   * @returns {string} Unique profile ID
+   */
+  generateId () {
+    const id = crypto.randomBytes(16).toString('hex')
+    this.logger?.debug({ profileId: id }, 'Generated profile ID')
+    return id
+  }
+
+  /**
+   * Mark a profile as in progress
+   *
+   * @param {string} id - Profile ID
+   * @param {Object} metadata - Profile metadata (duration, startTime, etc.), with
+   *   `queued` and `startsIn` set while waiting behind another capture,
+   *   `trigger` set for automatic captures, and `kind: 'upload'` set for
+   *   uploaded profiles
+   */
+  async markInProgress (id, metadata) {
+    await this.ready
+    await this.writeMetadata(id, {
+      ...metadata,
+      status: 'in-progress',
+      startTime: Date.now()
+    })
+    this.logger?.debug({ profileId: id, metadata }, 'Marked profile as in-progress')
+  }
+
+  /**
+   * Check if a profile is in progress
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>}
+   */
+  async isInProgress (id) {
+    await this.ready
+    const metadata = await this.readMetadata(id)
+    return metadata?.status === 'in-progress'
+  }
+
+  /**
+   * Get metadata for an in-progress profile
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object|null>}
+   */
+  async getInProgressMetadata (id) {
+    await this.ready
+    const metadata = await this.readMetadata(id)
+    return metadata?.status === 'in-progress' ? metadata : null
+  }
+
+  /**
+   * Mark an in-progress profile as failed
+   *
+   * @param {string} id - Profile ID
+   * @param {Object} error - Failure details
+   * @param {string} error.message - Error message
+   * @param {string} error.phase - Phase the failure happened in (collect, encode, timeout)
+   */
+  async markFailed (id, error) {
+    await this.ready
+    const metadata = (await this.readMetadata(id)) || { startTime: Date.now() }
+    const failedAt = Date.now()
+
+    await this.writeMetadata(id, {
+      ...metadata,
+      status: 'failed',
+      error: { message: error.message, phase: error.phase },
+      failedAt,
+      expiresAt: failedAt + this.profileTTL
+    })
+
+    this.logger?.info({ profileId: id, error }, 'Profile marked as failed')
+  }
+
+  /**
+   * Store a completed profile
+   *
+   * @param {string} id - Profile ID
+   * @param {Object} data - Profile data (cpu and heap buffers)
+   */
+  async storeProfile (id, data) {
+    await this.ready
+    // A collection that finishes after the watchdog fired still wins
+    const { error, failedAt, ...metadata } = (await this.readMetadata(id)) || { startTime: Date.now() }
+
+    // Enforce max profiles limit (FIFO eviction by completion time)
+    const completed = (await this.readAllMetadata())
+      .filter(entry => entry.status === 'completed' && entry.id !== id)
+      .sort((a, b) => a.completedAt - b.completedAt)
+    while (completed.length >= this.maxProfiles) {
+      const oldest = completed.shift()
+      await this.removeProfileFiles(oldest.id)
+      this.markExpired(oldest.id)
+      this.logger?.warn(
+        { evictedProfileId: oldest.id, newProfileId: id, maxProfiles: this.maxProfiles },
+        'Profile evicted due to maxProfiles limit'
+      )
+    }
+
+    // Write buffers before metadata so readers never see a partial profile
+    const types = Object.keys(data)
+    await Promise.all(types.map(type => writeAtomic(this.filePath(id, `.${type}.pb`), data[type])))
+
+    const completedAt = Date.now()
+    const ttl = this.profileTTL
+    await this.writeMetadata(id, {
+      ...metadata,
+      status: 'completed',
+      types,
+      completedAt,
+      expiresAt: completedAt + ttl,
+      size: types.reduce((total, type) => total + data[type].length, 0)
+    })
+
+    this.logger?.info(
+      { profileId: id, ttl, directory: this.directory },
+      'Profile stored successfully'
+    )
+  }
+
+  /**
+   * Retrieve a profile
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object|null>} Profile data or null if not found
+   */
+  async getProfile (id) {
+    await this.ready
+    const metadata = await this.readMetadata(id)
+    if (metadata?.status !== 'completed') {
+      this.logger?.debug({ profileId: id, found: false }, 'Profile retrieval attempted')
+      return null
+    }
+
+    if (Date.now() > metadata.expiresAt) {
+      await this.removeProfileFiles(id)
+      this.markExpired(id)
+      this.logger?.debug({ profileId: id, found: false, reason: 'expired' }, 'Profile retrieval attempted')
+      return null
+    }
+
+    try {
+      const buffers = await Promise.all(
+        metadata.types.map(type => fs.readFile(this.filePath(id, `.${type}.pb`)))
+      )
+      const data = Object.fromEntries(metadata.types.map((type, i) => [type, buffers[i]]))
+      this.logger?.debug({ profileId: id, found: true }, 'Profile retrieved successfully')
+      return data
+    } catch (error) {
+      // Another instance may have deleted it between reading metadata and buffers
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Delete a profile manually
+   *
+   * @param {string} id - Profile ID
+   */
+  async deleteProfile (id) {
+    await this.ready
+    await this.removeProfileFiles(id)
+  }
+
+  /**
+   * Get the status of a profile session
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object|null>} Status object or null if the ID is unknown
+   */
+  async getStatus (id) {
+    await this.ready
+    const metadata = await this.readMetadata(id)
+    if (metadata) {
+      return describe(metadata)
+    }
+    return this.expired.has(id) ? { id, status: 'expired' } : null
+  }
+
+  /**
+   * List all in-progress and stored profile sessions, newest first
+   *
+   * @returns {Promise<Object[]>} Status objects as returned by getStatus()
+   */
+  async listProfiles () {
+    await this.ready
+    return (await this.readAllMetadata())
+      .map(describe)
+      .filter(status => status.status !== 'expired')
+      .sort((a, b) => b.startTime - a.startTime)
+  }
+
+  /**
+   * Remove expired profiles and stale temporary files from disk and fail
+   * collections that never finished
+   */
+  async sweep () {
+    await this.removeStaleTempFiles()
+    const now = Date.now()
+    for (const metadata of await this.readAllMetadata()) {
+      if (metadata.status === 'in-progress') {
+        // Covers collections abandoned by a crashed or restarted process too
+        if (now > metadata.startTime + (metadata.startsIn || 0) + (metadata.duration || 0) + this.collectionTimeout) {
+          this.logger?.warn({ profileId: metadata.id, collectionTimeout: this.collectionTimeout }, 'Profile collection timed out')
+          await this.writeMetadata(metadata.id, {
+            ...metadata,
+            status: 'failed',
+            error: { message: 'Profile collection timed out', phase: 'timeout' },
+            failedAt: now,
+            expiresAt: now + this.profileTTL
+          })
+        }
+      } else if (now > metadata.expiresAt) {
+        await this.removeProfileFiles(metadata.id)
+        this.markExpired(metadata.id)
+        this.logger?.debug({ profileId: metadata.id }, 'Profile expired and removed')
+      }
+    }
+  }
+
+  /**
+   * Remove the temporary files of writes that never finished, which a crash
+   * leaves behind with no metadata pointing at them
+   */
+  async removeStaleTempFiles () {
+    const staleBefore = Date.now() - STALE_TEMP_FILE_AGE
+    for (const file of await fs.readdir(this.directory)) {
+      if (!TEMP_FILE_PATTERN.test(file)) {
+        continue
+      }
+
+      const tmp = path.join(this.directory, file)
+      try {
+        if ((await fs.stat(tmp)).mtimeMs < staleBefore) {
+          await removeFile(tmp)
+          this.logger?.debug({ file }, 'Removed stale temporary file')
+        }
+      } catch (error) {
+        // Renamed into place since the directory was read
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+    }
+  }
+
+  /**
+   * Remember that a profile expired or was evicted
+   *
+   * @param {string} id - Profile ID
+   */
+  markExpired (id) {
+    this.expired.add(id)
+
+    // Only keep the most recent IDs around
+    if (this.expired.size > MAX_EXPIRED_IDS) {
+      this.expired.delete(this.expired.values().next().value)
+    }
+  }
+
+  /**
+   * Clean up all profiles and timers
+   */
+  async cleanup () {
+    clearInterval(this.sweepTimer)
+    await this.ready
+
+    const entries = await this.readAllMetadata()
+    await Promise.all(entries.map(entry => this.removeProfileFiles(entry.id)))
+    this.expired.clear()
+
+    this.logger?.debug({ clearedProfiles: entries.length }, 'Storage cleanup completed')
+  }
+
+  /**
+   * Resolve the path of a file belonging to a profile
+   *
+   * @param {string} id - Profile ID
+   * @param {string} suffix - File suffix
+   * @returns {string}
+   */
+  filePath (id, suffix) {
+    // IDs end up in file names, so never let them escape the directory
+    if (!PROFILE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid profile ID: ${id}`)
+    }
+    return path.join(this.directory, id + suffix)
+  }
+
+  /**
+   * Remove every file belonging to a profile
+   *
+   * @param {string} id - Profile ID
+   */
+  async removeProfileFiles (id) {
+    const metadata = await this.readMetadata(id)
+
+    // Remove metadata first so the profile disappears atomically for readers
+    await removeFile(this.filePath(id, METADATA_SUFFIX))
+    await Promise.all((metadata?.types || []).map(type => removeFile(this.filePath(id, `.${type}.pb`))))
+  }
+
+  /**
+   * Write the metadata file of a profile
+   */
+  async writeMetadata (id, metadata) {
+    await writeAtomic(this.filePath(id, METADATA_SUFFIX), JSON.stringify({ ...metadata, id }))
+  }
+
+  /**
+   * Read the metadata file of a profile
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async readMetadata (id) {
+    if (!PROFILE_ID_PATTERN.test(id)) {
+      return null
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id, METADATA_SUFFIX), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Read the metadata of every profile in the directory
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async readAllMetadata () {
+    const files = await fs.readdir(this.directory)
+    const ids = files
+      .filter(file => file.endsWith(METADATA_SUFFIX))
+      .map(file => file.slice(0, -METADATA_SUFFIX.length))
+      .filter(id => PROFILE_ID_PATTERN.test(id))
+
+    const entries = await Promise.all(ids.map(async id => {
+      try {
+        return JSON.parse(await fs.readFile(this.filePath(id, METADATA_SUFFIX), 'utf8'))
+      } catch (error) {
+        // Deleted concurrently or half-written by a crashed process
+        this.logger?.debug({ err: error, profileId: id }, 'Skipping unreadable profile metadata')
+        return null
+      }
+    }))
+    return entries.filter(Boolean)
+  }
+}
+
+/**
+ * Convert stored metadata into a status object
+ *
+ * @param {Object} metadata - Stored metadata
+ * @returns {Object} Status object
+ */
+function describe (metadata) {
+  const now = Date.now()
+
+  if (metadata.status === 'in-progress' && metadata.queued) {
+    return {
+      id: metadata.id,
+      status: 'queued',
+      startTime: metadata.startTime,
+      duration: metadata.duration,
+      trigger: metadata.trigger,
+      threads: metadata.threads,
+      kind: metadata.kind,
+      startsIn: Math.max(0, metadata.startsIn - (now - metadata.startTime))
+    }
+  }
+
+  if (metadata.status === 'in-progress') {
+    return {
+      id: metadata.id,
+      status: 'in-progress',
+      startTime: metadata.startTime,
+      duration: metadata.duration,
+      trigger: metadata.trigger,
+      threads: metadata.threads,
+      kind: metadata.kind,
+      remaining: Math.max(0, metadata.duration - (now - metadata.startTime))
+    }
+  }
+
+  if (now > metadata.expiresAt) {
+    return { id: metadata.id, status: 'expired', expiredAt: metadata.expiresAt }
+  }
+
+  if (metadata.status === 'failed') {
+    return {
+      id: metadata.id,
+      status: 'failed',
+      startTime: metadata.startTime,
+      duration: metadata.duration,
+      trigger: metadata.trigger,
+      threads: metadata.threads,
+      kind: metadata.kind,
+      failedAt: metadata.failedAt,
+      expiresAt: metadata.expiresAt,
+      expiresIn: Math.max(0, metadata.expiresAt - now),
+      error: metadata.error
+    }
+  }
+
+  return {
+    id: metadata.id,
+    status: 'completed',
+    startTime: metadata.startTime,
+    duration: metadata.duration,
+    trigger: metadata.trigger,
+    threads: metadata.threads,
+    kind: metadata.kind,
+    completedAt: metadata.completedAt,
+    expiresAt: metadata.expiresAt,
+    expiresIn: Math.max(0, metadata.expiresAt - now),
+    size: metadata.size,
+    types: metadata.types
+  }
+}
+
+/**
+ * Write a file through a temporary file and rename, so readers never see it half-written
+ *
+ * @param {string} file - Destination path
+ * @param {string|Buffer} contents - File contents
+ */
+async function writeAtomic (file, contents) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  try {
+    await fs.writeFile(tmp, contents)
+    await fs.rename(tmp, file)
+  } catch (error) {
+    await removeFile(tmp).catch(() => {})
+    throw error
+  }
+}
+
+/**
+ * Remove a file, ignoring files that are already gone
+ *
+ * @param {string} file - Path to remove
+ */
+async function removeFile (file) {
+  try {
+    await fs.unlink(file)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+}
@@ -0,0 +1,222 @@
+import fs from 'node:fs'
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import v8 from 'node:v8'
+
+// V8 can only write one snapshot at a time, and each one pauses the process
+let writing = false
+
+/**
+ * Check whether there is enough free memory to write a heap snapshot
+ *
+ * V8 needs about twice the size of the heap while writing a snapshot, so
+ * starting one with less than that free risks taking the process down.
+ *
+ * @param {number} headroom - Extra free memory to require in bytes
+ * @returns {{ok: boolean, free: number, required: number}}
+ */
+export function checkSnapshotMemory (headroom = 0) {
+  // availableMemory() respects container limits, it's missing before Node.js 20.13
+  const free = process.availableMemory?.() ?? os.freemem()
+  const required = 2 * v8.getHeapStatistics().used_heap_size + headroom
+  return { ok: free >= required, free, required }
+}
+
+/**
+ * Check whether a heap snapshot is being written
+ *
+ * @returns {boolean}
+ */
+export function isWritingHeapSnapshot () {
+  return writing
+}
+
+/**
+ * Write a heap snapshot of the current thread, streaming it into a file
+ *
+ * The stream is read through its events, `for await` over it never settles
+ * on Node.js 18.
+ *
+ * @param {string} file - Path of the file to write
+ * @param {Object} options - Options
+ * @param {number} options.maxSize - Give up once the snapshot grows past this many bytes
+ * @returns {Promise<number>} Size of the snapshot in bytes, written in the `.heapsnapshot`
+ *   JSON format read by Chrome DevTools
+ */
+export async function writeHeapSnapshot (file, options = {}) {
+  const { maxSize = Infinity } = options
+  if (writing) {
+    throw new Error('A heap snapshot is already being written')
+  }
+
+  writing = true
+  try {
+    return await new Promise((resolve, reject) => {
+      const snapshot = v8.getHeapSnapshot()
+      const out = fs.createWriteStream(file)
+      let size = 0
+      let failure = null
+
+      function fail (error) {
+        failure ??= error
+        snapshot.destroy()
+        out.destroy()
+      }
+
+      snapshot.on('data', chunk => {
+        size += chunk.length
+        if (size > maxSize) {
+          return fail(new Error(`Heap snapshot exceeds the maximum size of ${maxSize} bytes`))
+        }
+        if (!out.write(chunk)) {
+          snapshot.pause()
+          out.once('drain', () => snapshot.resume())
+        }
+      })
+      snapshot.on('end', () => out.end())
+      snapshot.on('error', fail)
+      out.on('error', fail)
+      // Only settle once the file is closed, so a failed one can be removed
+      out.on('close', () => failure ? reject(failure) : resolve(size))
+    })
+  } catch (error) {
+    await fsp.rm(file, { force: true })
+    throw error
+  } finally {
+    writing = false
+  }
+}
+
+/**
+ * Heap snapshots of the process, written to files in a directory and kept
+ * apart from the profile storage, so they never evict profiles and aren't
+ * held in memory
+ *
+ * Sessions are tracked in memory, snapshots don't outlive the process that
+ * wrote them, whatever the storage backend. Going through the backend would
+ * put them in the in-memory storage and let them evict profiles.
+ */
+export class HeapSnapshotStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory to write snapshots to (default: the OS temp directory)
+   * @param {number} options.ttl - How long snapshots are kept in ms
+   * @param {number} options.maxSnapshots - Snapshots to keep, the oldest is removed first (default: 2)
+   * @param {Object} options.logger - Pino logger
+   */
+  constructor (options = {}) {
+    this.directory = options.directory || os.tmpdir()
+    this.ttl = options.ttl || 5 * 60 * 1000
+    this.maxSnapshots = options.maxSnapshots || 2
+    this.snapshots = new Map()
+    this.logger = options.logger
+  }
+
+  /**
+   * Write a snapshot for a session, keeping it as failed when writing throws
+   *
+   * @param {string} id - Session ID
+   * @param {Object} options - Options of writeHeapSnapshot()
+   * @returns {Promise<Object>} Status of the stored snapshot
+   */
+  async write (id, options) {
+    // Make room first, the disk has to hold the new snapshot too
+    const completed = [...this.snapshots.values()].filter(entry => entry.status === 'completed')
+    while (completed.length >= this.maxSnapshots) {
+      const oldest = completed.shift()
+      await this.delete(oldest.id)
+      this.logger?.warn({ evictedProfileId: oldest.id, newProfileId: id, maxSnapshots: this.maxSnapshots }, 'Heap snapshot evicted due to maxSnapshots limit')
+    }
+
+    const file = path.join(this.directory, `flamegraph-${id}.heapsnapshot`)
+    const entry = { id, status: 'in-progress', startTime: Date.now(), file }
+    this.snapshots.set(id, entry)
+
+    try {
+      entry.size = await writeHeapSnapshot(file, options)
+      entry.status = 'completed'
+      entry.completedAt = Date.now()
+    } catch (error) {
+      entry.status = 'failed'
+      entry.error = { message: error.message, phase: 'snapshot' }
+      entry.failedAt = Date.now()
+      throw error
+    } finally {
+      entry.expiresAt = Date.now() + this.ttl
+      entry.timeout = setTimeout(() => {
+        this.delete(id).catch(error => {
+          this.logger?.error({ err: error, profileId: id }, 'Error removing expired heap snapshot')
+        })
+      }, this.ttl)
+      entry.timeout.unref()
+    }
+    return this.getStatus(id)
+  }
+
+  /**
+   * Get the status of a snapshot session, in the format of the profile storage
+   *
+   * @param {string} id - Session ID
+   * @returns {Object|null} Status object or null if the ID is no snapshot
+   */
+  getStatus (id) {
+    const entry = this.snapshots.get(id)
+    if (!entry) {
+      return null
+    }
+
+    const status = { id, status: entry.status, kind: 'heapsnapshot', startTime: entry.startTime, duration: 0 }
+    if (entry.status === 'completed') {
+      return { ...status, completedAt: entry.completedAt, expiresAt: entry.expiresAt, expiresIn: Math.max(0, entry.expiresAt - Date.now()), size: entry.size, types: ['heapsnapshot'] }
+    }
+    if (entry.status === 'failed') {
+      return { ...status, failedAt: entry.failedAt, expiresAt: entry.expiresAt, expiresIn: Math.max(0, entry.expiresAt - Date.now()), error: entry.error }
+    }
+    return status
+  }
+
+  /**
+   * List the status of every snapshot session
+   *
+   * @returns {Object[]}
+   */
+  list () {
+    return [...this.snapshots.keys()].map(id => this.getStatus(id))
+  }
+
+  /**
+   * Get the file of a completed snapshot
+   *
+   * @param {string} id - Session ID
+   * @returns {{file: string, size: number}|null}
+   */
+  getFile (id) {
+    const entry = this.snapshots.get(id)
+    return entry?.status === 'completed' ? { file: entry.file, size: entry.size } : null
+  }
+
+  /**
+   * Remove a completed or failed snapshot
+   *
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} False when unknown or still being written
+   */
+  async delete (id) {
+    const entry = this.snapshots.get(id)
+    if (!entry || entry.status === 'in-progress') {
+      return false
+    }
+    clearTimeout(entry.timeout)
+    this.snapshots.delete(id)
+    await fsp.rm(entry.file, { force: true })
+    return true
+  }
+
+  /**
+   * Remove every finished snapshot and stop the timers
+   */
+  async cleanup () {
+    await Promise.all([...this.snapshots.keys()].map(id => this.delete(id)))
+  }
+}
@@ -1,4 +1,6 @@
 import { generateEmbeddableFlameGraph, getFlamegraphBundle } from 'react-pprof'
+import { decodeProfile } from './pprof-utils.js'
+import { getTopFunctions } from './top-functions.js'
 
 /**
  * Generate HTML for the "profile in progress" page
@@ -6,10 +8,15 @@ import { generateEmbeddableFlameGraph, getFlamegraphBundle } from 'react-pprof'
  * @param {string} profileId - Profile ID
  * @param {number} duration - Profile duration in milliseconds
  * @param {string} basePath - Base path for the middleware
+ * @param {Object} options - Options
+ * @param {number} options.startsIn - Estimated wait in ms before a queued capture starts (default: 0)
+ * @param {string[]} options.types - Profile types being collected (default: ['cpu', 'heap'])
  * @returns {string} HTML content
  */
-export function generateProgressPage (profileId, duration, basePath) {
+export function generateProgressPage (profileId, duration, basePath, options = {}) {
+  const { startsIn = 0, types = ['cpu', 'heap'] } = options
   const resultUrl = `${basePath}/result/${profileId}`
+  const collecting = `Collecting ${types.map(type => type === 'cpu' ? 'CPU' : 'heap').join(' and ')} ${types.length > 1 ? 'profiles' : 'profile'}...`
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -75,15 +82,28 @@ export function generateProgressPage (profileId, duration, basePath) {
     </div>
 
     <div class="time-remaining" id="timeRemaining"></div>
-    <div class="status">Collecting CPU and heap profiles...</div>
+    <div class="status" id="status">${collecting}</div>
   </div>
 
   <script>
     const duration = ${duration};
-    const startTime = Date.now();
+    const startsIn = ${startsIn};
+    const startTime = Date.now() + startsIn;
     const resultUrl = '${resultUrl}';
 
     function updateProgress() {
+      // Queued behind another capture, count down until ours starts
+      const wait = startTime - Date.now();
+      if (wait > 0) {
+        document.getElementById('timeRemaining').textContent =
+          'Starts in ' + Math.ceil(wait / 1000) + 's';
+        document.getElementById('status').textContent =
+          'Waiting for the running capture to finish...';
+        requestAnimationFrame(updateProgress);
+        return;
+      }
+      document.getElementById('status').textContent = '${collecting}';
+
       const elapsed = Date.now() - startTime;
       const remaining = Math.max(0, duration - elapsed);
       const progress = Math.min(100, (elapsed / duration) * 100);
@@ -116,46 +136,160 @@ export function generateProgressPage (profileId, duration, basePath) {
 /**
  * Generate HTML for the completed profile results page
  *
- * @param {Buffer} cpuProfileBuffer - Encoded CPU profile
- * @param {Buffer} heapProfileBuffer - Encoded heap profile
- * @param {Object} options - Options (colors, etc.)
+ * Either profile may be missing when only one type was captured, the page
+ * then only shows the tabs it has data for. Every tab can switch between the
+ * flamegraph and a table of its top functions, clicking a function reloads
+ * the page with the flamegraph focused on it (the `tab`, `focus` and `file`
+ * query parameters).
+ *
+ * @param {Buffer|null} cpuProfileBuffer - Encoded CPU profile
+ * @param {Buffer|null} heapProfileBuffer - Encoded heap profile
+ * @param {Object} options - Options (colors, title, profileId and basePath for download links)
+ * @param {Buffer} options.heapGrowth - Encoded heap growth during the capture window (optional)
+ * @param {Object} options.metrics - Runtime metrics timeline recorded during the capture, drawn
+ *   as charts above the flamegraphs (optional)
+ * @param {{available: Object<string, string[]>, filters?: Object<string, string>, split?: string}} options.labels
+ *   - Request labels of the CPU profile and the filters and split applied to it, shown as controls
+ *   changing the `label` and `split` query parameters (optional)
+ * @param {Array<{threadId: number, name: string, cpu?: Buffer, heap?: Buffer, heapGrowth?: Buffer}>} options.threads
+ *   - Worker thread profiles, shown as extra tabs
+ * @param {string} options.activeTab - Profile type of the tab to open (default: the first one)
+ * @param {{name: string, file?: string}} options.focus - Function the active tab's profile was focused on (optional)
+ * @param {number} options.maxFunctions - Maximum number of rows in each function table (default: 500)
  * @returns {Promise<string>} HTML content
  */
 export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer, options = {}) {
   const {
     primaryColor = '#ff4444',
-    secondaryColor = '#ffcc66'
+    secondaryColor = '#ffcc66',
+    title = 'Profile Results',
+    profileId,
+    basePath = '/flamegraph',
+    heapGrowth,
+    metrics,
+    labels,
+    threads = [],
+    activeTab: activeType,
+    focus,
+    maxFunctions = 500
   } = options
 
+  const profiles = [
+    { type: 'cpu', label: 'CPU', buffer: cpuProfileBuffer },
+    { type: 'heap', label: 'Heap In-Use', buffer: heapProfileBuffer },
+    { type: 'heap-growth', label: 'Heap Growth', buffer: heapGrowth },
+    ...threads.flatMap(thread => [
+      { type: `cpu-thread-${thread.threadId}`, label: `${thread.name} CPU`, buffer: thread.cpu },
+      { type: `heap-thread-${thread.threadId}`, label: `${thread.name} Heap In-Use`, buffer: thread.heap },
+      { type: `heap-growth-thread-${thread.threadId}`, label: `${thread.name} Heap Growth`, buffer: thread.heapGrowth }
+    ])
+  ].filter(profile => profile.buffer)
+
+  // Download links are only shown when we know where the profile lives
+  const downloadLinks = profileId
+    ? profiles.map(({ type, label }) =>
+      `<a href="${basePath}/result/${profileId}/${type}.pb.gz" download>Download ${escapeHtml(label)} (.pb.gz)</a>`
+    ).join('\n      ')
+    : ''
+  const downloads = `<div class="downloads">
+      <a href="${basePath}/profiles">All profiles</a>
+      ${downloadLinks}
+    </div>`
+
   // Get the bundle once (it's cached internally)
   const { bundle } = await getFlamegraphBundle()
 
-  // Generate embeddable flamegraphs for both profiles
-  const [cpuFlamegraph, heapFlamegraph] = await Promise.all([
-    generateEmbeddableFlameGraph(cpuProfileBuffer, {
-      title: 'CPU Profile',
-      filename: 'cpu-profile.pb',
-      primaryColor,
-      secondaryColor
-    }),
-    generateEmbeddableFlameGraph(heapProfileBuffer, {
-      title: 'Heap Profile',
-      filename: 'heap-profile.pb',
+  // Generate embeddable flamegraphs and function tables for every captured profile
+  const tabs = await Promise.all(profiles.map(async ({ type, label, buffer }) => {
+    const flamegraph = await generateEmbeddableFlameGraph(buffer, {
+      title: `${label} Profile`,
+      filename: `${type}-profile.pb`,
       primaryColor,
       secondaryColor
     })
-  ])
+    return {
+      type,
+      label: `${label} Profile`,
+      description: PROFILE_DESCRIPTIONS[type.replace(/-thread-\d+$/, '')],
+      // Worker names end up in the inline script through the title. Only a closing
+      // tag ends the script, escaping every '<' would break comparisons in its code
+      flamegraph: { ...flamegraph, script: flamegraph.script.replace(/<\/(script)/gi, '<\\/$1') },
+      functions: getTopFunctions(decodeProfile(buffer), { limit: maxFunctions })
+    }
+  }))
+  const activeTab = tabs.find(tab => tab.type === activeType) || tabs[0]
+  const lazyTabs = tabs.filter(tab => tab !== activeTab)
+  const functionTables = Object.fromEntries(tabs.map(tab => [tab.type, tab.functions]))
 
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Profile Results</title>
+  <title>${escapeHtml(title)}</title>
   <style>
     * {
       box-sizing: border-box;
     }
+    .metrics {
+      display: flex;
+      gap: 16px;
+      padding: 12px 20px;
+      border-bottom: 1px solid #333;
+      flex-shrink: 0;
+      overflow-x: auto;
+    }
+    .metric {
+      flex: 1;
+      min-width: 140px;
+    }
+    .metric-label {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      font-size: 12px;
+      color: #888;
+      margin-bottom: 4px;
+      white-space: nowrap;
+    }
+    .metric-label span {
+      color: #fff;
+    }
+    .metric svg {
+      display: block;
+      width: 100%;
+      height: 36px;
+      background-color: #2a2a2a;
+      border-radius: 4px;
+    }
+    .metric polyline {
+      fill: none;
+      stroke: ${secondaryColor};
+      stroke-width: 1.5;
+      vector-effect: non-scaling-stroke;
+    }
+    .labels {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 8px 20px;
+      border-bottom: 1px solid #333;
+      flex-shrink: 0;
+      font-size: 13px;
+      color: #888;
+    }
+    .labels select {
+      background-color: #2a2a2a;
+      color: #fff;
+      border: 1px solid #444;
+      border-radius: 4px;
+      padding: 4px 6px;
+      font-family: inherit;
+    }
+    .labels a {
+      color: ${secondaryColor};
+      text-decoration: none;
+    }
     body {
       margin: 0;
       padding: 0;
@@ -193,6 +327,20 @@ export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer,
       color: ${primaryColor};
       border-bottom-color: ${primaryColor};
     }
+    .downloads {
+      margin-left: auto;
+      display: flex;
+      align-items: center;
+      gap: 20px;
+    }
+    .downloads a {
+      color: #888;
+      font-size: 14px;
+      text-decoration: none;
+    }
+    .downloads a:hover {
+      color: ${primaryColor};
+    }
     .tab-content {
       display: none;
       flex: 1;
@@ -203,36 +351,162 @@ export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer,
       display: flex;
       flex-direction: column;
     }
+    .views {
+      display: flex;
+      align-items: center;
+      margin-left: 20px;
+    }
+    .view {
+      padding: 4px 12px;
+      cursor: pointer;
+      border: 1px solid #444;
+      background: none;
+      color: #888;
+      font-size: 13px;
+      font-family: inherit;
+    }
+    .view:first-child {
+      border-radius: 4px 0 0 4px;
+    }
+    .view:last-child {
+      border-radius: 0 4px 4px 0;
+    }
+    .view.active {
+      color: #fff;
+      background-color: #444;
+    }
+    .flamegraph-view {
+      display: flex;
+      flex-direction: column;
+      flex: 1;
+      min-height: 0;
+    }
+    .functions-view {
+      display: none;
+      flex: 1;
+      overflow: auto;
+      padding: 12px 20px;
+    }
+    body.show-functions .flamegraph-view {
+      display: none;
+    }
+    body.show-functions .functions-view {
+      display: block;
+    }
+    .focus {
+      padding: 8px 20px;
+      font-size: 13px;
+      color: #888;
+      border-bottom: 1px solid #333;
+    }
+    .focus strong {
+      color: #fff;
+      font-weight: normal;
+    }
+    .focus a {
+      color: ${secondaryColor};
+      text-decoration: none;
+      margin-left: 12px;
+    }
+    .functions-view input[type="search"] {
+      padding: 6px 10px;
+      background-color: #2a2a2a;
+      border: 1px solid #333;
+      border-radius: 4px;
+      color: #fff;
+      margin-bottom: 10px;
+      width: 300px;
+    }
+    .functions-view table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    .functions-view th, .functions-view td {
+      text-align: right;
+      padding: 6px 10px;
+      border-bottom: 1px solid #333;
+      white-space: nowrap;
+    }
+    .functions-view th:first-child, .functions-view td:first-child {
+      text-align: left;
+      white-space: normal;
+    }
+    .functions-view th {
+      color: #888;
+      font-weight: normal;
+      cursor: pointer;
+      user-select: none;
+    }
+    .functions-view tbody tr {
+      cursor: pointer;
+    }
+    .functions-view tbody tr:hover {
+      background-color: rgba(255, 255, 255, 0.05);
+    }
+    .functions-view .file {
+      color: #888;
+    }
   </style>
 </head>
 <body>
+  ${metrics ? renderMetricCharts(metrics) : ''}
+  ${labels ? renderLabelControls(labels) : ''}
   <div class="tabs">
-    <button class="tab active" onclick="switchTab('cpu')">CPU Profile</button>
-    <button class="tab" onclick="switchTab('heap')">Heap Profile</button>
-  </div>
-
-  <div id="cpu-tab" class="tab-content active">
-    ${cpuFlamegraph.html}
+    ${tabs.map(tab =>
+      `<button class="tab${tab === activeTab ? ' active' : ''}" title="${tab.description}" onclick="switchTab('${tab.type}')">${escapeHtml(tab.label)}</button>`
+    ).join('\n    ')}
+    <div class="views">
+      <button class="view active" data-view="flamegraph" onclick="switchView('flamegraph')">Flamegraph</button>
+      <button class="view" data-view="functions" onclick="switchView('functions')">Top functions</button>
+    </div>
+    ${downloads}
   </div>
 
-  <div id="heap-tab" class="tab-content">
-    ${heapFlamegraph.html}
-  </div>
+  ${tabs.map(tab => `<div id="${tab.type}-tab" class="tab-content${tab === activeTab ? ' active' : ''}">
+    ${focus && tab === activeTab ? renderFocusBar(focus) : ''}
+    <div class="flamegraph-view">
+      ${tab.flamegraph.html}
+    </div>
+    <div class="functions-view">
+      <input type="search" placeholder="Filter functions..." oninput="renderFunctions('${tab.type}')">
+      <table>
+        <thead>
+          <tr>
+            <th data-key="name">Function</th>
+            <th data-key="self">Self</th>
+            <th data-key="self">Self %</th>
+            <th data-key="total">Total</th>
+            <th data-key="total">Total %</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  </div>`).join('\n\n  ')}
 
-  <!-- React-pprof bundle (loaded once, reused for both graphs) -->
+  <!-- React-pprof bundle (loaded once, reused for every graph) -->
   <script>
     ${bundle}
   </script>
 
-  <!-- Render CPU flamegraph immediately -->
+  <!-- Render the open tab's flamegraph immediately -->
   <script>
-    ${cpuFlamegraph.script}
+    ${activeTab.flamegraph.script}
   </script>
 
   <!-- Tab switching logic with lazy rendering -->
   <script>
     // Track which tabs have been rendered
-    const renderedTabs = new Set(['cpu']);
+    const renderedTabs = new Set(['${activeTab.type}']);
+    let currentTab = '${activeTab.type}';
+
+    // Other flamegraphs are rendered when first shown
+    const lazyRenderers = {
+      ${lazyTabs.map(tab => `'${tab.type}': () => {
+        ${tab.flamegraph.script}
+      }`).join(',\n      ')}
+    };
 
     function switchTab(tabName) {
       // Hide all tabs
@@ -246,11 +520,15 @@ export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer,
       // Show selected tab
       document.getElementById(tabName + '-tab').classList.add('active');
       event.target.classList.add('active');
+      currentTab = tabName;
+      if (document.body.classList.contains('show-functions')) {
+        renderFunctions(tabName);
+      }
 
-      // Lazy render heap flamegraph when first shown
-      if (tabName === 'heap' && !renderedTabs.has('heap')) {
-        renderedTabs.add('heap');
-        ${heapFlamegraph.script}
+      // Lazy render the flamegraph when first shown
+      if (!renderedTabs.has(tabName)) {
+        renderedTabs.add(tabName);
+        lazyRenderers[tabName]();
       }
 
       // Trigger a resize event to handle any layout changes
@@ -259,6 +537,811 @@ export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer,
       }, 0);
     }
   </script>
+
+  <!-- Top functions tables, rendered when shown -->
+  <script>
+    const topFunctions = ${JSON.stringify(functionTables).replace(/</g, '\\u003c')};
+    let sortKey = 'total';
+    let sortDescending = true;
+
+    function formatValue (value, unit) {
+      if (unit === 'nanoseconds') {
+        return (value / 1e6).toFixed(1) + 'ms';
+      }
+      if (unit === 'bytes') {
+        if (value >= 1024 * 1024) return (value / (1024 * 1024)).toFixed(1) + 'MB';
+        if (value >= 1024) return (value / 1024).toFixed(1) + 'KB';
+        return value + 'B';
+      }
+      return String(value);
+    }
+
+    function formatPercent (value, total) {
+      return (total ? value / total * 100 : 0).toFixed(1) + '%';
+    }
+
+    function switchView (view) {
+      document.body.classList.toggle('show-functions', view === 'functions');
+      document.querySelectorAll('.view').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === view);
+      });
+      if (view === 'functions') {
+        renderFunctions(currentTab);
+      } else {
+        window.dispatchEvent(new Event('resize'));
+      }
+    }
+
+    function renderFunctions (tabName) {
+      const { functions, total, sampleType } = topFunctions[tabName];
+      const container = document.getElementById(tabName + '-tab');
+      const filter = container.querySelector('.functions-view input').value.toLowerCase();
+      const rows = functions
+        .filter(fn => !filter || fn.name.toLowerCase().includes(filter) || fn.file.toLowerCase().includes(filter))
+        .sort((a, b) => {
+          const order = typeof a[sortKey] === 'string'
+            ? a[sortKey].localeCompare(b[sortKey])
+            : a[sortKey] - b[sortKey];
+          return sortDescending ? -order : order;
+        });
+
+      const tbody = container.querySelector('.functions-view tbody');
+      tbody.innerHTML = '';
+      for (const fn of rows) {
+        const row = document.createElement('tr');
+        row.title = 'Show ' + fn.name + ' in the flamegraph';
+        row.onclick = () => focusFunction(tabName, fn);
+        const nameCell = document.createElement('td');
+        nameCell.textContent = fn.name + ' ';
+        const file = document.createElement('span');
+        file.className = 'file';
+        file.textContent = fn.file ? fn.file + ':' + fn.line : '';
+        nameCell.appendChild(file);
+        row.appendChild(nameCell);
+
+        for (const text of [
+          formatValue(fn.self, sampleType.unit),
+          formatPercent(fn.self, total),
+          formatValue(fn.total, sampleType.unit),
+          formatPercent(fn.total, total)
+        ]) {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        }
+        tbody.appendChild(row);
+      }
+    }
+
+    // Focusing happens on the server, keep the label parameters
+    function focusFunction (tabName, fn) {
+      const params = new URLSearchParams(window.location.search);
+      params.set('tab', tabName);
+      params.set('focus', fn.name);
+      params.set('file', fn.file);
+      window.location.search = params.toString();
+    }
+
+    function clearFocus () {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('focus');
+      params.delete('file');
+      window.location.search = params.toString();
+    }
+
+    document.querySelectorAll('.functions-view th').forEach(th => {
+      th.onclick = () => {
+        sortDescending = sortKey === th.dataset.key ? !sortDescending : true;
+        sortKey = th.dataset.key;
+        renderFunctions(currentTab);
+      };
+    });
+  </script>
+</body>
+</html>`
+}
+
+/**
+ * Generate HTML for the differential flamegraph comparing two profiles
+ *
+ * @param {Object} diff - Result of diffProfiles()
+ * @param {Object} options - Options
+ * @param {string} options.baseId - Base profile ID
+ * @param {string} options.targetId - Target profile ID
+ * @param {string} options.type - Profile type being compared (cpu or heap)
+ * @param {string} options.basePath - Base path for the middleware
+ * @param {number} options.maxFunctions - Maximum number of rows in the function table (default: 500)
+ * @returns {string} HTML content
+ */
+export function generateDiffPage (diff, options = {}) {
+  const {
+    baseId,
+    targetId,
+    type,
+    basePath = '/flamegraph',
+    maxFunctions = 500
+  } = options
+
+  const diffUrl = `${basePath}/diff/${baseId}/${targetId}`
+  const data = {
+    root: diff.root,
+    functions: diff.functions.slice(0, maxFunctions),
+    sampleType: diff.sampleType
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Profile Diff</title>
+  <style>
+    * {
+      box-sizing: border-box;
+    }
+    body {
+      margin: 0;
+      padding: 20px;
+      background-color: #1e1e1e;
+      color: #ffffff;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    }
+    header {
+      display: flex;
+      align-items: baseline;
+      gap: 20px;
+      margin-bottom: 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      margin: 0;
+    }
+    code {
+      font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Courier, monospace;
+      font-size: 13px;
+    }
+    a {
+      color: #ffcc66;
+      text-decoration: none;
+    }
+    a.active {
+      color: #ffffff;
+      font-weight: bold;
+    }
+    .legend {
+      display: flex;
+      gap: 20px;
+      font-size: 13px;
+      opacity: 0.8;
+      margin-bottom: 10px;
+    }
+    .swatch {
+      display: inline-block;
+      width: 12px;
+      height: 12px;
+      margin-right: 6px;
+      vertical-align: middle;
+    }
+    #flamegraph {
+      position: relative;
+      width: 100%;
+      overflow: hidden;
+      background-color: #2a2a2a;
+      margin-bottom: 30px;
+    }
+    .frame {
+      position: absolute;
+      height: 18px;
+      font-size: 11px;
+      line-height: 18px;
+      padding: 0 3px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      color: #1e1e1e;
+      border-right: 1px solid #2a2a2a;
+      border-bottom: 1px solid #2a2a2a;
+      cursor: pointer;
+    }
+    input[type="search"] {
+      padding: 6px 10px;
+      background-color: #2a2a2a;
+      border: 1px solid #333;
+      border-radius: 4px;
+      color: #ffffff;
+      margin-bottom: 10px;
+      width: 300px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    th, td {
+      text-align: right;
+      padding: 6px 10px;
+      border-bottom: 1px solid #333;
+    }
+    th:first-child, td:first-child {
+      text-align: left;
+    }
+    th {
+      color: #888;
+      font-weight: normal;
+      cursor: pointer;
+      user-select: none;
+    }
+    .worse {
+      color: #ff6b6b;
+    }
+    .better {
+      color: #6bb8ff;
+    }
+    .file {
+      color: #888;
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>🔥 Profile Diff</h1>
+    <span><code>${baseId}</code> &rarr; <code>${targetId}</code></span>
+    <a href="${diffUrl}?type=cpu"${type === 'cpu' ? ' class="active"' : ''}>CPU</a>
+    <a href="${diffUrl}?type=heap"${type === 'heap' ? ' class="active"' : ''}>Heap</a>
+    <a href="${basePath}/profiles">All profiles</a>
+  </header>
+
+  <div class="legend">
+    <span><span class="swatch" style="background: hsl(0, 75%, 55%)"></span>Regression (more in target)</span>
+    <span><span class="swatch" style="background: hsl(210, 75%, 55%)"></span>Improvement (less in target)</span>
+    <span><span class="swatch" style="background: hsl(0, 0%, 70%)"></span>Unchanged</span>
+    <span>Click a frame to zoom, click the root to reset.</span>
+  </div>
+
+  <div id="flamegraph"></div>
+
+  <input type="search" id="search" placeholder="Filter functions...">
+  <table>
+    <thead>
+      <tr>
+        <th data-key="name">Function</th>
+        <th data-key="baseSelf">Base self</th>
+        <th data-key="targetSelf">Target self</th>
+        <th data-key="selfDelta">Self &Delta;</th>
+        <th data-key="baseTotal">Base total</th>
+        <th data-key="targetTotal">Target total</th>
+        <th data-key="totalDelta">Total &Delta;</th>
+      </tr>
+    </thead>
+    <tbody id="functions"></tbody>
+  </table>
+
+  <script>
+    const data = ${JSON.stringify(data).replace(/</g, '\\u003c')};
+    const ROW_HEIGHT = 19;
+
+    function formatValue (value) {
+      const { unit, perSecond } = data.sampleType;
+      const suffix = perSecond ? '/s' : '';
+      const abs = Math.abs(value);
+      if (unit === 'nanoseconds') {
+        return (value / 1e6).toFixed(1) + 'ms' + suffix;
+      }
+      if (unit === 'bytes') {
+        if (abs >= 1024 * 1024) return (value / (1024 * 1024)).toFixed(1) + 'MB' + suffix;
+        if (abs >= 1024) return (value / 1024).toFixed(1) + 'KB' + suffix;
+        return Math.round(value) + 'B' + suffix;
+      }
+      return (Math.round(value * 10) / 10) + suffix;
+    }
+
+    function formatDelta (value) {
+      return (value > 0 ? '+' : '') + formatValue(value);
+    }
+
+    function color (node) {
+      const size = Math.max(node.base, node.target);
+      const change = size ? (node.target - node.base) / size : 0;
+      if (Math.abs(change) < 0.05) {
+        return 'hsl(0, 0%, 70%)';
+      }
+      const hue = change > 0 ? 0 : 210;
+      const lightness = 80 - Math.min(1, Math.abs(change)) * 30;
+      return 'hsl(' + hue + ', 75%, ' + lightness + '%)';
+    }
+
+    function describe (node) {
+      const base = formatValue(node.base);
+      const target = formatValue(node.target);
+      const percent = node.base ? ((node.target - node.base) / node.base * 100).toFixed(1) + '%' : 'new';
+      return node.name + (node.file ? ' (' + node.file + ')' : '') +
+        '\\nbase: ' + base + ', target: ' + target + ', change: ' + percent;
+    }
+
+    let currentZoom = data.root;
+
+    function renderFlamegraph (zoomNode) {
+      currentZoom = zoomNode;
+      const container = document.getElementById('flamegraph');
+      const width = container.clientWidth;
+      const zoomSize = Math.max(zoomNode.base, zoomNode.target);
+      container.innerHTML = '';
+      let maxDepth = 0;
+
+      function renderNode (node, x, depth) {
+        const size = Math.max(node.base, node.target);
+        const nodeWidth = size / zoomSize * width;
+        if (nodeWidth < 1) return;
+        maxDepth = Math.max(maxDepth, depth);
+
+        const frame = document.createElement('div');
+        frame.className = 'frame';
+        frame.style.left = x + 'px';
+        frame.style.top = depth * ROW_HEIGHT + 'px';
+        frame.style.width = nodeWidth + 'px';
+        frame.style.background = color(node);
+        frame.textContent = node.name;
+        frame.title = describe(node);
+        frame.onclick = () => renderFlamegraph(node === zoomNode ? data.root : node);
+        container.appendChild(frame);
+
+        let childX = x;
+        for (const child of node.children) {
+          renderNode(child, childX, depth + 1);
+          childX += Math.max(child.base, child.target) / zoomSize * width;
+        }
+      }
+
+      renderNode(zoomNode, 0, 0);
+      container.style.height = (maxDepth + 1) * ROW_HEIGHT + 'px';
+    }
+
+    let sortKey = 'totalDelta';
+    let sortDescending = true;
+
+    function renderTable () {
+      const filter = document.getElementById('search').value.toLowerCase();
+      const rows = data.functions
+        .filter(fn => !filter || fn.name.toLowerCase().includes(filter) || fn.file.toLowerCase().includes(filter))
+        .sort((a, b) => {
+          const order = typeof a[sortKey] === 'string'
+            ? a[sortKey].localeCompare(b[sortKey])
+            : Math.abs(a[sortKey]) - Math.abs(b[sortKey]);
+          return sortDescending ? -order : order;
+        });
+
+      const tbody = document.getElementById('functions');
+      tbody.innerHTML = '';
+      for (const fn of rows) {
+        const row = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        nameCell.textContent = fn.name + ' ';
+        const file = document.createElement('span');
+        file.className = 'file';
+        file.textContent = fn.file ? fn.file + ':' + fn.line : '';
+        nameCell.appendChild(file);
+        row.appendChild(nameCell);
+
+        for (const key of ['baseSelf', 'targetSelf', 'selfDelta', 'baseTotal', 'targetTotal', 'totalDelta']) {
+          const cell = document.createElement('td');
+          const isDelta = key.endsWith('Delta');
+          cell.textContent = isDelta ? formatDelta(fn[key]) : formatValue(fn[key]);
+          if (isDelta && fn[key] !== 0) {
+            cell.className = fn[key] > 0 ? 'worse' : 'better';
+          }
+          row.appendChild(cell);
+        }
+        tbody.appendChild(row);
+      }
+    }
+
+    document.querySelectorAll('th').forEach(th => {
+      th.onclick = () => {
+        sortDescending = sortKey === th.dataset.key ? !sortDescending : true;
+        sortKey = th.dataset.key;
+        renderTable();
+      };
+    });
+    document.getElementById('search').oninput = renderTable;
+    window.addEventListener('resize', () => renderFlamegraph(currentZoom));
+
+    renderFlamegraph(data.root);
+    renderTable();
+  </script>
+</body>
+</html>`
+}
+
+/**
+ * Generate HTML for a profile whose collection failed
+ *
+ * @param {string} profileId - Profile ID
+ * @param {Object} error - Failure details
+ * @param {string} error.message - Error message
+ * @param {string} error.phase - Phase the failure happened in (collect, encode, timeout)
+ * @param {string} basePath - Base path for the middleware
+ * @returns {string} HTML content
+ */
+export function generateFailedPage (profileId, error, basePath) {
+  const phases = {
+    collect: 'while collecting profiles',
+    encode: 'while encoding profiles',
+    store: 'while storing profiles',
+    timeout: 'because collection never finished'
+  }
+  const phase = phases[error.phase] || `during ${error.phase}`
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Profiling Failed</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      background-color: #1e1e1e;
+      color: #ffffff;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      height: 100vh;
+    }
+    .container {
+      text-align: center;
+      max-width: 600px;
+      padding: 40px;
+    }
+    h1 {
+      font-size: 32px;
+      font-weight: 300;
+      margin-bottom: 20px;
+      color: #ff6b6b;
+    }
+    p {
+      font-size: 18px;
+      line-height: 1.6;
+      opacity: 0.9;
+    }
+    code {
+      color: #ff6b6b;
+      font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Courier, monospace;
+      background-color: #2a2a2a;
+      padding: 2px 8px;
+      border-radius: 4px;
+    }
+    .links {
+      margin-top: 30px;
+      display: flex;
+      gap: 20px;
+      justify-content: center;
+    }
+    a {
+      color: #ffcc66;
+      text-decoration: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Profiling Failed</h1>
+    <p>Profile <code>${escapeHtml(profileId)}</code> failed ${escapeHtml(phase)}:</p>
+    <p><code>${escapeHtml(error.message)}</code></p>
+    <div class="links">
+      <a href="${basePath}">Start a new capture</a>
+      <a href="${basePath}/profiles">All profiles</a>
+    </div>
+  </div>
+</body>
+</html>`
+}
+
+/**
+ * Generate HTML for the page listing all profile sessions
+ *
+ * @param {Object[]} profiles - Status objects from storage.listProfiles()
+ * @param {string} basePath - Base path for the middleware
+ * @param {Object} options - Options (defaultDuration, maxDuration, and registered worker `threads`)
+ * @param {boolean} options.heapSnapshot - Offer taking a heap snapshot (default: false)
+ * @param {{maxSize: number}} options.upload - Offer uploading pprof files, up to `maxSize` bytes (optional)
+ * @returns {string} HTML content
+ */
+export function generateProfilesPage (profiles, basePath, options = {}) {
+  const {
+    defaultDuration = 10000,
+    maxDuration = 60000,
+    threads = [],
+    heapSnapshot = false,
+    upload
+  } = options
+
+  // Only offer a thread choice when workers have registered
+  const threadSelect = threads.length > 0
+    ? `<label for="thread">Threads</label>
+      <select id="thread" name="thread">
+        <option value="">Main thread</option>
+        <option value="all">All threads</option>
+        ${threads.map(thread =>
+          `<option value="${thread.threadId}">Main + ${escapeHtml(thread.name)}</option>`
+        ).join('\n        ')}
+      </select>`
+    : ''
+
+  const rows = profiles.map(profile => {
+    const resultUrl = `${basePath}/result/${profile.id}`
+    const completed = profile.status === 'completed'
+    const snapshot = profile.kind === 'heapsnapshot'
+    const deleteForm = `<form method="post" action="${resultUrl}/delete">
+            <button type="submit">Delete</button>
+          </form>`
+    const actionsByStatus = {
+      completed: snapshot
+        ? `<a href="${resultUrl}/heapsnapshot" download>Heap snapshot</a>
+          ${deleteForm}`
+        : `<a href="${resultUrl}">View</a>
+          ${(profile.types || ['cpu', 'heap']).filter(type => type !== 'metrics').map(type =>
+            `<a href="${resultUrl}/${type}.pb.gz" download>${describeProfileType(type)}</a>`
+          ).join('\n          ')}
+          ${deleteForm}`,
+      failed: `<a href="${resultUrl}">Details</a>
+          ${deleteForm}`,
+      'in-progress': `<a href="${resultUrl}">View progress</a>`,
+      queued: `<a href="${resultUrl}">View progress</a>`
+    }
+    const title = profile.error ? ` title="${escapeHtml(profile.error.message)}"` : ''
+
+    return `<tr>
+        <td>${formatTimestamp(profile.startTime)}</td>
+        <td>${snapshot ? 'Heap snapshot' : formatDuration(profile.duration)}</td>
+        <td><span class="status status-${profile.status}"${title}>${profile.status}</span></td>
+        <td>${profile.trigger ? `<span class="trigger">${escapeHtml(profile.trigger.reason)}</span>` : profile.kind === 'upload' ? 'Upload' : 'Manual'}</td>
+        <td>${completed ? formatBytes(profile.size) : '&mdash;'}</td>
+        <td>${profile.expiresIn !== undefined ? formatDuration(profile.expiresIn) : '&mdash;'}</td>
+        <td class="actions">
+          ${actionsByStatus[profile.status]}
+        </td>
+      </tr>`
+  }).join('\n      ')
+
+  const table = profiles.length > 0
+    ? `<table>
+      <thead>
+        <tr>
+          <th>Started</th>
+          <th>Duration</th>
+          <th>Status</th>
+          <th>Trigger</th>
+          <th>Size</th>
+          <th>Expires in</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+      ${rows}
+      </tbody>
+    </table>`
+    : '<p class="empty">No profiles yet. Start a capture above.</p>'
+
+  const snapshotForm = heapSnapshot
+    ? `<form class="start-form" method="post" action="${basePath}/heapsnapshot">
+      <label>Full heap snapshot for Chrome DevTools, pauses the process while it is written</label>
+      <button type="submit">Take heap snapshot</button>
+    </form>`
+    : ''
+
+  // The file is sent as the raw request body, the server tells gzip and raw pprof apart
+  const uploadForm = upload
+    ? `<form class="start-form upload-form" id="uploadForm">
+      <label for="uploadFile">Drop a CPU or heap pprof file (.pb.gz or .pb, up to ${formatBytes(upload.maxSize)}) here or</label>
+      <input id="uploadFile" type="file" accept=".pb,.gz,.pprof,application/octet-stream">
+      <span id="uploadStatus"></span>
+    </form>
+    <script>
+      const uploadForm = document.getElementById('uploadForm');
+      const uploadStatus = document.getElementById('uploadStatus');
+
+      async function uploadProfile (file) {
+        uploadStatus.textContent = 'Uploading ' + file.name + '...';
+        try {
+          const response = await fetch('${basePath}/upload', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream', Accept: 'application/json' },
+            body: file
+          });
+          const result = await response.json();
+          if (!response.ok) {
+            throw new Error(result.error);
+          }
+          window.location.href = result.resultUrl;
+        } catch (error) {
+          uploadStatus.textContent = error.message;
+        }
+      }
+
+      document.getElementById('uploadFile').onchange = (event) => {
+        if (event.target.files[0]) {
+          uploadProfile(event.target.files[0]);
+        }
+      };
+      uploadForm.ondragover = (event) => {
+        event.preventDefault();
+        uploadForm.classList.add('dragging');
+      };
+      uploadForm.ondragleave = () => uploadForm.classList.remove('dragging');
+      uploadForm.ondrop = (event) => {
+        event.preventDefault();
+        uploadForm.classList.remove('dragging');
+        if (event.dataTransfer.files[0]) {
+          uploadProfile(event.dataTransfer.files[0]);
+        }
+      };
+    </script>`
+    : ''
+
+  // Comparing needs at least two completed profiles, default to the two newest
+  const completedProfiles = profiles.filter(profile => profile.status === 'completed' && profile.kind !== 'heapsnapshot')
+  const profileOptions = (selected) => completedProfiles.map(profile =>
+    `<option value="${profile.id}"${profile.id === selected ? ' selected' : ''}>${formatTimestamp(profile.startTime)} (${profile.id.slice(0, 8)})</option>`
+  ).join('')
+  const compareForm = completedProfiles.length >= 2
+    ? `<form class="start-form" id="compareForm">
+      <label for="baseId">Compare</label>
+      <select id="baseId">${profileOptions(completedProfiles[1].id)}</select>
+      <label for="targetId">with</label>
+      <select id="targetId">${profileOptions(completedProfiles[0].id)}</select>
+      <button type="submit">Show diff</button>
+    </form>
+    <script>
+      document.getElementById('compareForm').onsubmit = (event) => {
+        event.preventDefault();
+        const baseId = document.getElementById('baseId').value;
+        const targetId = document.getElementById('targetId').value;
+        window.location.href = '${basePath}/diff/' + baseId + '/' + targetId;
+      };
+    </script>`
+    : ''
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Profiles</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 40px;
+      background-color: #1e1e1e;
+      color: #ffffff;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    }
+    .container {
+      max-width: 1000px;
+      margin: 0 auto;
+    }
+    h1 {
+      font-size: 32px;
+      font-weight: 300;
+      margin-bottom: 30px;
+    }
+    .start-form {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 30px;
+    }
+    .start-form input,
+    .start-form select {
+      padding: 8px 12px;
+      background-color: #2a2a2a;
+      border: 1px solid #333;
+      border-radius: 4px;
+      color: #ffffff;
+      font-size: 14px;
+    }
+    button {
+      padding: 8px 16px;
+      background: linear-gradient(90deg, #ff4444, #ffcc66);
+      border: none;
+      border-radius: 4px;
+      color: #1e1e1e;
+      font-size: 14px;
+      cursor: pointer;
+    }
+    .actions button {
+      padding: 4px 10px;
+      background: #2a2a2a;
+      color: #ff6b6b;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      text-align: left;
+      padding: 10px;
+      border-bottom: 1px solid #333;
+      font-size: 14px;
+    }
+    th {
+      color: #888;
+      font-weight: normal;
+    }
+    .actions {
+      display: flex;
+      gap: 12px;
+      align-items: center;
+    }
+    .actions form {
+      margin: 0;
+    }
+    a {
+      color: #ffcc66;
+      text-decoration: none;
+    }
+    a:hover {
+      text-decoration: underline;
+    }
+    .status-in-progress,
+    .status-queued {
+      color: #ffcc66;
+    }
+    .status-completed {
+      color: #6bcf7f;
+    }
+    .status-failed {
+      color: #ff6b6b;
+    }
+    .trigger {
+      color: #ffcc66;
+      font-size: 13px;
+    }
+    .empty {
+      opacity: 0.7;
+    }
+    .upload-form {
+      padding: 16px;
+      border: 1px dashed #444;
+      border-radius: 4px;
+    }
+    .upload-form.dragging {
+      border-color: #ffcc66;
+      background-color: rgba(255, 204, 102, 0.05);
+    }
+    #uploadStatus {
+      color: #888;
+      font-size: 13px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🔥 Profiles</h1>
+
+    <form class="start-form" method="get" action="${basePath}">
+      <label for="duration">Duration (ms or e.g. "30s", max ${formatDuration(maxDuration)})</label>
+      <input id="duration" name="duration" value="${defaultDuration}">
+      <label for="types">Profiles</label>
+      <select id="types" name="types">
+        <option value="cpu,heap">CPU and heap</option>
+        <option value="cpu">CPU only</option>
+        <option value="heap">Heap only</option>
+      </select>
+      ${threadSelect}
+      <button type="submit">Start capture</button>
+    </form>
+
+    ${snapshotForm}
+
+    ${uploadForm}
+
+    ${compareForm}
+
+    ${table}
+  </div>
 </body>
 </html>`
 }
@@ -268,9 +1351,15 @@ export async function generateResultsPage (cpuProfileBuffer, heapProfileBuffer,
  *
  * @param {string} message - Error message
  * @param {number} statusCode - HTTP status code
+ * @param {Object} options - Options
+ * @param {{href: string, text: string}} options.link - Optional link shown below the message
  * @returns {string} HTML content
  */
-export function generateErrorPage (message, statusCode = 400) {
+export function generateErrorPage (message, statusCode = 400, options = {}) {
+  const link = options.link
+    ? `<p><a href="${options.link.href}">${escapeHtml(options.link.text)}</a></p>`
+    : ''
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -311,12 +1400,17 @@ export function generateErrorPage (message, statusCode = 400) {
       padding: 2px 8px;
       border-radius: 4px;
     }
+    a {
+      color: #ffcc66;
+      text-decoration: none;
+    }
   </style>
 </head>
 <body>
   <div class="container">
     <h1>Error ${statusCode}</h1>
     <p>${escapeHtml(message)}</p>
+    ${link}
   </div>
 </body>
 </html>`
@@ -338,3 +1432,187 @@ function escapeHtml (text) {
   }
   return text.replace(/[&<>"']/g, m => map[m])
 }
+
+/**
+ * Format a timestamp for display
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp (timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')
+}
+
+/**
+ * Format a duration in milliseconds for display
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration (ms) {
+  if (ms < 1000) {
+    return `${ms}ms`
+  }
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) {
+    return `${seconds}s`
+  }
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+}
+
+// Shown when hovering a results tab
+const PROFILE_DESCRIPTIONS = {
+  cpu: 'Where time was spent during the capture',
+  heap: 'Memory still allocated at the end of the capture',
+  'heap-growth': 'Memory allocated during the capture and still in use at its end'
+}
+
+/**
+ * Describe a stored profile type, e.g. `cpu-thread-3` as "CPU (thread 3)"
+ *
+ * @param {string} type - Profile type key
+ * @returns {string}
+ */
+function describeProfileType (type) {
+  const [, kind, threadId] = type.match(/^(.+?)(?:-thread-(\d+))?$/)
+  const label = { cpu: 'CPU', heap: 'Heap', 'heap-growth': 'Heap growth' }[kind]
+  return threadId ? `${label} (thread ${threadId})` : label
+}
+
+/**
+ * Charts drawn from the runtime metrics timeline. Memory charts are scaled
+ * between their lowest and highest value so growth shows, the others start at zero
+ */
+const METRIC_CHARTS = [
+  { key: 'eventLoopDelay', label: 'Event-loop delay', format: value => `${value.toFixed(1)} ms`, fromZero: true },
+  { key: 'eventLoopUtilization', label: 'Event-loop utilization', format: value => `${Math.round(value * 100)}%`, fromZero: true },
+  { key: 'gcPause', label: 'GC pauses', format: value => `${value.toFixed(1)} ms`, fromZero: true },
+  { key: 'rss', label: 'RSS', format: formatBytes, fromZero: false },
+  { key: 'heapUsed', label: 'Heap used', format: formatBytes, fromZero: false },
+  { key: 'activeHandles', label: 'Active handles', format: String, fromZero: true }
+]
+
+/**
+ * Render the runtime metrics timeline as a row of small SVG line charts
+ *
+ * @param {{interval: number, samples: Object[]}} metrics - Timeline recorded during the capture
+ * @returns {string} HTML content, empty without samples
+ */
+function renderMetricCharts (metrics) {
+  const { samples } = metrics
+  if (samples.length === 0) {
+    return ''
+  }
+
+  const width = 200
+  const height = 36
+  const charts = METRIC_CHARTS.map(({ key, label, format, fromZero }) => {
+    const values = samples.map(sample => sample[key])
+    const max = Math.max(...values)
+    const min = fromZero ? 0 : Math.min(...values)
+    const range = max - min || 1
+
+    // A single sample is drawn as a flat line across the chart
+    const points = (values.length === 1 ? [values[0], values[0]] : values).map((value, i, all) => {
+      const x = i / (all.length - 1) * width
+      const y = height - 2 - (value - min) / range * (height - 4)
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    }).join(' ')
+
+    return `<div class="metric" title="${label} every ${metrics.interval}ms during the capture">
+      <div class="metric-label">${label} <span>max ${format(max)}</span></div>
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${points}"/></svg>
+    </div>`
+  })
+
+  return `<div class="metrics">
+    ${charts.join('\n    ')}
+  </div>`
+}
+
+/**
+ * Render the controls filtering and splitting the CPU flamegraph by request
+ * label, reloading the page with the chosen `label` and `split` parameters
+ *
+ * @param {{available: Object<string, string[]>, filters?: Object<string, string>, split?: string}} labels
+ * @returns {string} HTML, empty when the profile has no labels
+ */
+function renderLabelControls (labels) {
+  const { available, filters = {}, split } = labels
+  const keys = Object.keys(available)
+  if (keys.length === 0) {
+    return ''
+  }
+
+  const option = (value, text, selected) =>
+    `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(text)}</option>`
+  const filterSelects = keys.map(key => `<select name="label" onchange="applyLabels()" title="Only show CPU samples with this ${escapeHtml(key)}">
+      ${option('', `any ${key}`, !(key in filters))}
+      ${available[key].map(value => option(`${key}:${value}`, value, filters[key] === value)).join('\n      ')}
+    </select>`)
+  const splitSelect = `<select name="split" onchange="applyLabels()" title="Give each value its own root frame">
+      ${option('', 'nothing', !split)}
+      ${keys.map(key => option(key, key, split === key)).join('\n      ')}
+    </select>`
+  const active = Object.keys(filters).length > 0 || split
+
+  return `<div class="labels">
+    CPU samples for
+    ${filterSelects.join('\n    ')}
+    split by
+    ${splitSelect}
+    ${active ? '<a href="?" onclick="clearLabels(); return false">Reset</a>' : ''}
+  </div>
+  <script>
+    function applyLabels(clear) {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('label');
+      params.delete('split');
+      if (!clear) {
+        document.querySelectorAll('.labels select[name="label"]').forEach(select => {
+          if (select.value) {
+            params.append('label', select.value);
+          }
+        });
+        const split = document.querySelector('.labels select[name="split"]').value;
+        if (split) {
+          params.set('split', split);
+        }
+      }
+      window.location.search = params.toString();
+    }
+
+    function clearLabels() {
+      applyLabels(true);
+    }
+  </script>`
+}
+
+/**
+ * Render the bar naming the function a flamegraph is focused on
+ *
+ * @param {{name: string, file?: string}} focus
+ * @returns {string} HTML
+ */
+function renderFocusBar (focus) {
+  return `<div class="focus">
+      Focused on <strong>${escapeHtml(focus.name)}</strong>${focus.file ? ` ${escapeHtml(focus.file)}` : ''}
+      <a href="?" onclick="clearFocus(); return false">Clear focus</a>
+    </div>`
+}
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBytes (bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
@@ -1,165 +1,1148 @@
+import fs from 'node:fs'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
 import parseDuration from 'parse-duration'
 import { Profiler } from './profiler.js'
 import { ProfileStorage } from './storage.js'
+import { CaptureQueue } from './capture-queue.js'
+import { RateLimiter } from './rate-limiter.js'
+import { TriggerMonitor } from './trigger-monitor.js'
+import { WorkerRegistry } from './worker-threads.js'
+import { RuntimeMetricsRecorder } from './runtime-metrics.js'
+import { checkSnapshotMemory, isWritingHeapSnapshot, HeapSnapshotStore } from './heap-snapshot.js'
+import { runWithRequestLabels } from './request-labels.js'
+import { decodeProfile, filterProfileByLabels, focusProfile, getProfileLabels, splitProfileByLabel } from './pprof-utils.js'
+import { diffProfiles } from './diff.js'
+import { toCpuProfile, toFoldedStacks, toSpeedscope } from './export-formats.js'
+import { parseUploadedProfile, readUploadBody } from './upload.js'
 import {
   generateProgressPage,
   generateResultsPage,
+  generateProfilesPage,
+  generateFailedPage,
+  generateDiffPage,
   generateErrorPage
 } from './html-generator.js'
 
+const gzip = promisify(zlib.gzip)
+
+// V8 has one CPU profiler per isolate, so every middleware instance shares the queue
+const captureQueue = new CaptureQueue()
+
+// Worker threads register once per process, not per middleware instance
+const workerRegistry = new WorkerRegistry()
+
 /**
  * Create a flamegraph middleware instance
  *
  * @param {Object} options - Configuration options
- * @param {string} options.basePath - Base path for the middleware (default: '/flamegraph')
+ * @param {string} options.basePath - Base path for the middleware, below the path it is mounted at if any (default: '/flamegraph')
  * @param {number} options.maxDuration - Maximum profile duration in ms (default: 60000)
  * @param {number} options.defaultDuration - Default profile duration in ms (default: 10000)
  * @param {number} options.heapSamplingInterval - Heap sampling interval in bytes (default: 512*1024)
+ * @param {number} options.heapStackDepth - Default heap profile stack depth (default: 64)
+ * @param {number} options.maxHeapStackDepth - Maximum heap stack depth a request may ask for (default: 128)
+ * @param {number} options.cpuSamplingInterval - Default CPU sampling interval in microseconds (default: 1000)
+ * @param {number} options.minCpuSamplingInterval - Shortest CPU sampling interval a request may ask for in microseconds (default: 100)
+ * @param {string} options.cpuMode - Default CPU profile mode, 'wall' for wall time or 'cpu' for CPU time (default: 'wall')
  * @param {number} options.maxProfiles - Maximum number of profiles to keep in memory (default: 10)
  * @param {number} options.profileTTL - Profile expiration time in ms (default: 300000)
+ * @param {number} options.collectionTimeout - Time in ms past the duration before a stuck profile is failed (default: 60000)
+ * @param {number} options.metricsInterval - Runtime metrics sampling interval in ms during captures, 0 to disable (default: 250)
+ * @param {boolean|Object} options.requestLabels - Label CPU samples with the `method` and `route` of the
+ *   request they were taken in, `true` or an object to enable it (default: false)
+ * @param {Function} options.requestLabels.route - `(req) => string` giving the route label (default: the
+ *   matched Express-style `req.route` pattern, otherwise the path)
+ * @param {boolean|Object} options.sourceMaps - Resolve frames to original files, lines and names through
+ *   inline or `.map` source maps before profiles are stored (default: false)
+ * @param {string[]} options.sourceMaps.dirs - Directories to search for source maps (default: the working directory)
  * @param {Object} options.colors - Color configuration
  * @param {string} options.colors.primary - Primary color (default: '#ff4444')
  * @param {string} options.colors.secondary - Secondary color (default: '#ffcc66')
  * @param {Object} options.logger - Pino logger instance (optional, no logging if not provided)
- * @returns {Function} Middleware function
+ * @param {boolean|Object} options.continuous - Keep profiling CPU in a rolling window for `{basePath}/recent`, sampling
+ *   with `cpuSamplingInterval` and `cpuMode` (default: false)
+ * @param {number} options.continuous.window - Length of each window in ms (default: 10000)
+ * @param {number} options.continuous.windows - Number of windows to keep (default: 6)
+ * @param {Object} options.autoCapture - Capture automatically when event-loop lag or CPU usage stays high (optional)
+ * @param {number} options.autoCapture.eventLoopDelay - Event-loop delay threshold in ms
+ * @param {number} options.autoCapture.eventLoopPercentile - Delay percentile compared to the threshold (default: 99)
+ * @param {number} options.autoCapture.cpu - Process CPU usage threshold in percent of one core
+ * @param {number} options.autoCapture.sustain - How long a threshold must be exceeded in ms (default: 5000)
+ * @param {number} options.autoCapture.duration - Duration of automatic captures in ms (default: defaultDuration)
+ * @param {number} options.autoCapture.cooldown - Minimum time between automatic captures in ms (default: 300000)
+ * @param {number} options.autoCapture.checkInterval - Sampling interval in ms (default: 1000)
+ * @param {boolean|Object} options.heapSnapshot - Settings for `POST {basePath}/heapsnapshot`, or false to disable it (default: {})
+ * @param {number} options.heapSnapshot.ttl - Snapshot expiration time in ms (default: profileTTL)
+ * @param {string} options.heapSnapshot.directory - Directory snapshots are written to (default: the OS temp directory)
+ * @param {number} options.heapSnapshot.maxSnapshots - Snapshots to keep, apart from maxProfiles (default: 2)
+ * @param {number} options.heapSnapshot.maxSize - Maximum snapshot size in bytes (default: 256 MB)
+ * @param {number} options.heapSnapshot.minFreeMemory - Free memory in bytes to keep on top of what V8 needs
+ *   to write the snapshot (default: 64 MB)
+ * @param {boolean|Object} options.upload - Settings for `POST {basePath}/upload`, or false to disable it (default: {})
+ * @param {number} options.upload.maxSize - Maximum size of an uploaded profile in bytes, before and after
+ *   decompression (default: 16 MB)
+ * @param {boolean} options.allThreads - Also profile every registered worker thread when no `thread` is requested (default: false)
+ * @param {Function} options.authorize - Async `(req, action) => true | false | 401 | 403` check run before every route,
+ *   `action` being 'start', 'view', 'download', 'delete' or 'upload' (optional)
+ * @param {string} options.concurrency - What to do when a capture is already running: 'queue', 'reject' or 'attach' (default: 'queue')
+ * @param {number} options.maxQueueSize - Maximum number of captures waiting behind the running one (default: 5)
+ * @param {Object} options.rateLimit - Limits on capture starts, rejected with 429 (optional, unlimited by default)
+ * @param {number} options.rateLimit.cooldown - Minimum time in ms between two capture starts
+ * @param {number} options.rateLimit.window - Window in ms for the capture counts (default: 60000)
+ * @param {number} options.rateLimit.maxCaptures - Maximum captures per window across all clients
+ * @param {number} options.rateLimit.maxCapturesPerClient - Maximum captures per window for a single client
+ * @param {Function} options.rateLimit.clientKey - `(req) => string` identifying the client (default: socket address)
+ * @param {number} options.rateLimit.maxProfiledTimePerHour - Maximum total capture duration in ms per hour
+ * @param {import('./storage.js').StorageBackend} options.storage - Storage backend for profiles, heap snapshots
+ *   are kept apart from it (default: in-memory ProfileStorage)
+ * @returns {Function} Middleware function, also carrying the `capture`, `getProfile`,
+ *   `listProfiles` and `deleteProfile` methods for driving profiling from code, and `close`
+ *   to stop its background work
  */
 export function createFlamegraphMiddleware (options = {}) {
   const {
-    basePath = '/flamegraph',
+    basePath: basePathOption = '/flamegraph',
     maxDuration = 60000,
     defaultDuration = 10000,
     heapSamplingInterval = 512 * 1024,
+    heapStackDepth = 64,
+    maxHeapStackDepth = 128,
+    cpuSamplingInterval = 1000,
+    minCpuSamplingInterval = 100,
+    cpuMode = 'wall',
     maxProfiles = 10,
     profileTTL = 5 * 60 * 1000,
+    collectionTimeout = 60 * 1000,
+    authorize,
+    concurrency = 'queue',
+    maxQueueSize = 5,
+    rateLimit,
+    continuous = false,
+    autoCapture,
+    heapSnapshot = {},
+    upload = {},
+    metricsInterval = 250,
+    requestLabels = false,
+    sourceMaps = false,
+    allThreads = false,
     colors = {},
-    logger
+    logger,
+    storage = new ProfileStorage({ maxProfiles, profileTTL, collectionTimeout, logger })
   } = options
 
+  // Links are built by appending to it, '/' mounts the routes at the root
+  const basePath = basePathOption.replace(/\/+$/, '')
   const primaryColor = colors.primary || '#ff4444'
   const secondaryColor = colors.secondary || '#ffcc66'
 
   // Create child logger for middleware if logger is provided
   const middlewareLogger = logger?.child({ component: 'flamegraph-middleware' }) || logger
 
-  // Initialize profiler and storage
-  const profiler = new Profiler({ heapSamplingInterval, logger })
-  const storage = new ProfileStorage({ maxProfiles, profileTTL, logger })
+  if (!['queue', 'reject', 'attach'].includes(concurrency)) {
+    throw new Error(`Invalid concurrency policy "${concurrency}", expected 'queue', 'reject' or 'attach'`)
+  }
+
+  // Checks the operator's own defaults against the limits too
+  const defaultSettings = validateSettings({})
+  if (defaultSettings.error) {
+    throw new Error(`Invalid default capture settings: ${defaultSettings.error}`)
+  }
+
+  const snapshotOptions = heapSnapshot && {
+    maxSize: heapSnapshot.maxSize || 256 * 1024 * 1024,
+    minFreeMemory: heapSnapshot.minFreeMemory ?? 64 * 1024 * 1024
+  }
+  // Not in `storage` on purpose, a snapshot is too large for it and would evict profiles
+  const snapshots = heapSnapshot
+    ? new HeapSnapshotStore({
+      directory: heapSnapshot.directory,
+      ttl: heapSnapshot.ttl || profileTTL,
+      maxSnapshots: heapSnapshot.maxSnapshots,
+      logger: middlewareLogger
+    })
+    : null
+
+  const uploadOptions = upload && {
+    maxSize: upload.maxSize || 16 * 1024 * 1024
+  }
+
+  const rateLimiter = rateLimit ? new RateLimiter(rateLimit) : null
+  const getClientKey = rateLimit?.clientKey || (req => req.socket?.remoteAddress || 'unknown')
+
+  // Initialize profiler
+  const profiler = new Profiler({
+    heapSamplingInterval,
+    heapStackDepth,
+    requestLabels: Boolean(requestLabels),
+    sourceMaps,
+    logger
+  })
+  const getRouteLabel = requestLabels?.route || defaultRouteLabel
 
   // Start heap profiling once
   profiler.startHeapProfiling()
-  process.on('beforeExit', () => {
-    profiler.stopHeapProfiling()
+  process.on('beforeExit', onBeforeExit)
+
+  workerRegistry.start()
+
+  // Continuous profiling is shared by the whole process, only the instance that started it stops it
+  const continuousOptions = continuous === true ? {} : continuous
+  const ownsContinuous = Boolean(continuousOptions) && !profiler.isContinuousProfiling()
+  if (ownsContinuous) {
+    profiler.startContinuousProfiling({ ...continuousOptions, interval: cpuSamplingInterval, mode: cpuMode })
+  }
+
+  const monitor = autoCapture && new TriggerMonitor({
+    ...autoCapture,
+    logger,
+    onTrigger: trigger => startAutoCapture(trigger)
   })
+  monitor?.start()
+
+  return Object.assign(flamegraphMiddleware, { capture, getProfile, listProfiles, deleteProfile, close })
+
+  /**
+   * Stop profiling once the process has nothing left to do
+   */
+  function onBeforeExit () {
+    profiler.stopHeapProfiling()
+    close().catch(error => {
+      middlewareLogger?.error({ err: error }, 'Error closing flamegraph middleware')
+    })
+  }
+
+  /**
+   * Stop the automatic capture monitor and continuous profiling started by
+   * this instance and remove its heap snapshots, for tests and hosts that
+   * reload the middleware. Stored profiles are left to the storage backend.
+   */
+  async function close () {
+    process.off('beforeExit', onBeforeExit)
+    monitor?.stop()
+    if (ownsContinuous) {
+      profiler.stopContinuousProfiling()
+    }
+    await snapshots?.cleanup()
+  }
 
   /**
    * Middleware function
    */
-  return function flamegraphMiddleware (req, res, next) {
+  function flamegraphMiddleware (req, res, next) {
     // Parse URL using WHATWG URL API
     const url = new URL(req.url, 'http://localhost')
-    const pathname = url.pathname
 
     // Check if this request is for our middleware
-    if (!pathname.startsWith(basePath)) {
-      return next()
+    const mounted = matchBasePath(req, url.pathname, basePath)
+    if (!mounted) {
+      if (!requestLabels) {
+        return next()
+      }
+      // Routers usually only know the route pattern once they matched, so it's looked up late
+      return runWithRequestLabels(() => ({ method: req.method, route: getRouteLabel(req) }), next)
+    }
+
+    const route = matchRoute(req, mounted.subPath, url.searchParams, mounted.prefix)
+    if (!route) {
+      return sendError(res, 'Not found', 404)
+    }
+
+    return runRoute(req, res, route)
+  }
+
+  /**
+   * Capture a profile without going through HTTP, resolving once it is stored
+   *
+   * Captures share the queue and concurrency policy with requested ones but
+   * aren't rate limited.
+   *
+   * @param {Object} options - Capture options
+   * @param {number} options.duration - Duration in ms (default: defaultDuration)
+   * @param {string[]} options.types - Profile types to collect (default: ['cpu', 'heap'])
+   * @param {number} options.cpuInterval - CPU sampling interval in microseconds (default: cpuSamplingInterval)
+   * @param {string} options.cpuMode - 'wall' or 'cpu' (default: cpuMode)
+   * @param {number} options.heapDepth - Heap profile stack depth (default: heapStackDepth)
+   * @param {string|Array<number|string>} options.threads - Worker threads to profile too, 'all' or
+   *   thread IDs or names (default: all when `allThreads` is set, otherwise none)
+   * @returns {Promise<{id: string, cpu?: Buffer, heap?: Buffer, 'heap-growth'?: Buffer, metrics?: Buffer}>}
+   *   Uncompressed pprof buffers and the runtime metrics timeline as JSON, worker thread profiles
+   *   are keyed like `cpu-thread-<threadId>`
+   */
+  async function capture (options = {}) {
+    const { duration = defaultDuration } = options
+
+    const selected = selectThreads(Array.isArray(options.threads) ? options.threads.join(',') : options.threads)
+    const { settings, error: settingsError } = validateSettings(options)
+    const error = validateDuration(duration) || settingsError || selected.error
+    if (error) {
+      throw new Error(error)
+    }
+
+    const capture = await startProfiling(duration, { settings, threads: selected.threads })
+    if (capture.conflict) {
+      throw new Error(capture.reason === 'queue-full'
+        ? `Too many captures queued (${maxQueueSize})`
+        : 'Another profile is already being captured')
     }
+    await capture.done
 
-    // Extract the path after basePath
-    const subPath = pathname.slice(basePath.length) || '/'
+    const data = await storage.getProfile(capture.profileId)
+    if (!data) {
+      const status = await storage.getStatus(capture.profileId)
+      throw new Error(status?.status === 'failed'
+        ? `Profile collection failed during ${status.error.phase}: ${status.error.message}`
+        : 'Profile not found after capture')
+    }
+    return { id: capture.profileId, ...data }
+  }
+
+  /**
+   * Get the stored pprof buffers of a profile
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<{cpu?: Buffer, heap?: Buffer, 'heap-growth'?: Buffer}|null>} Null when unknown,
+   *   expired or not completed
+   */
+  async function getProfile (id) {
+    return (await storage.getProfile(id)) || null
+  }
+
+  /**
+   * List every queued, in-progress, stored and failed profile session, newest first
+   *
+   * @returns {Promise<Object[]>} Status objects, as returned by the JSON API
+   */
+  async function listProfiles () {
+    return (await listSessions()).map(status => describeStatus(status))
+  }
+
+  /**
+   * Delete a stored or failed profile
+   *
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>} False when the profile doesn't exist or is still being collected
+   */
+  async function deleteProfile (id) {
+    if (snapshots?.getStatus(id)) {
+      if (!await snapshots.delete(id)) {
+        return false
+      }
+    } else if (isDeletable(await storage.getStatus(id))) {
+      await storage.deleteProfile(id)
+    } else {
+      return false
+    }
+    middlewareLogger?.info({ profileId: id }, 'Profile deleted')
+    return true
+  }
 
+  /**
+   * Find the handler for a request, along with the action it performs for authorization
+   *
+   * @returns {{action: string, json?: boolean, handle: Function}|null}
+   */
+  function matchRoute (req, subPath, searchParams, prefix) {
     // Handle start profiling request
     if (subPath === '/' || subPath === '') {
-      return handleStartProfiling(req, res, url.searchParams)
+      return { action: 'start', handle: (req, res) => handleStartProfiling(req, res, searchParams, prefix) }
+    }
+
+    // Handle profile list request
+    if (subPath === '/profiles') {
+      return { action: 'view', handle: (req, res) => handleProfilesPage(req, res, prefix) }
+    }
+
+    // Handle recent activity request from continuous profiling
+    if (subPath === '/recent') {
+      return { action: 'view', handle: (req, res) => handleRecentPage(req, res, searchParams, prefix) }
+    }
+
+    // Handle heap snapshot request, never a GET since it freezes the process
+    if (subPath === '/heapsnapshot' && req.method === 'POST') {
+      return { action: 'start', handle: (req, res) => handleHeapSnapshot(req, res, prefix) }
+    }
+
+    // Handle pprof file upload, answered in JSON for scripts and the upload form
+    if (subPath === '/upload' && req.method === 'POST') {
+      const json = /application\/json/.test(req.headers.accept || '')
+      return { action: 'upload', json, handle: (req, res) => handleUpload(req, res, json, prefix) }
     }
 
     // Handle result page request
     const resultMatch = subPath.match(/^\/result\/([a-f0-9]+)$/)
     if (resultMatch) {
       const profileId = resultMatch[1]
-      return handleResultPage(req, res, profileId)
+      return { action: 'view', handle: (req, res) => handleResultPage(req, res, profileId, searchParams, prefix) }
+    }
+
+    // Handle differential flamegraph request
+    const diffMatch = subPath.match(/^\/diff\/([a-f0-9]+)\/([a-f0-9]+)$/)
+    if (diffMatch) {
+      const [, baseId, targetId] = diffMatch
+      return { action: 'view', handle: (req, res) => handleDiffPage(req, res, baseId, targetId, searchParams, prefix) }
+    }
+
+    // Handle profile delete request (HTML forms can only POST)
+    const deleteMatch = subPath.match(/^\/result\/([a-f0-9]+)\/delete$/)
+    if (deleteMatch && req.method === 'POST') {
+      return { action: 'delete', handle: (req, res) => handleDelete(req, res, deleteMatch[1], prefix) }
+    }
+
+    // Handle JSON API request
+    if (subPath.startsWith('/api/')) {
+      const apiPath = subPath.slice('/api'.length)
+      const actions = { POST: 'start', DELETE: 'delete' }
+      return {
+        action: actions[req.method] || 'view',
+        json: true,
+        handle: (req, res) => handleApiRequest(req, res, apiPath, searchParams, prefix)
+      }
+    }
+
+    // Handle raw pprof download request, or one converted to another `format`
+    const downloadMatch = subPath.match(/^\/result\/([a-f0-9]+)\/((?:cpu|heap|heap-growth)(?:-thread-\d+)?)\.pb\.gz$/)
+    if (downloadMatch) {
+      const [, profileId, type] = downloadMatch
+      return { action: 'download', handle: (req, res) => handleDownload(req, res, profileId, type, searchParams.get('format')) }
+    }
+
+    // Handle runtime metrics download request
+    const metricsMatch = subPath.match(/^\/result\/([a-f0-9]+)\/metrics\.json$/)
+    if (metricsMatch) {
+      return { action: 'download', handle: (req, res) => handleDownload(req, res, metricsMatch[1], 'metrics') }
+    }
+
+    // Handle heap snapshot download request
+    const snapshotMatch = subPath.match(/^\/result\/([a-f0-9]+)\/heapsnapshot$/)
+    if (snapshotMatch) {
+      return { action: 'download', handle: (req, res) => handleSnapshotDownload(req, res, snapshotMatch[1]) }
+    }
+
+    return null
+  }
+
+  /**
+   * Run a route handler once the request is authorized for its action
+   */
+  async function runRoute (req, res, route) {
+    if (authorize) {
+      let result
+      try {
+        result = await authorize(req, route.action)
+      } catch (error) {
+        middlewareLogger?.error({ err: error, action: route.action }, 'Error authorizing request')
+        return route.json
+          ? sendJson(res, { error: 'Authorization failed' }, 500)
+          : sendError(res, 'Authorization failed', 500)
+      }
+
+      if (result !== true) {
+        // Checks return false for a plain denial, or the exact status code to use
+        const statusCode = result === 401 ? 401 : 403
+        const message = statusCode === 401 ? 'Authentication required' : 'Forbidden'
+        const headers = statusCode === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}
+        middlewareLogger?.info({ action: route.action, statusCode }, 'Request denied by authorize hook')
+        return route.json
+          ? sendJson(res, { error: message }, statusCode, headers)
+          : sendError(res, message, statusCode, { headers })
+      }
     }
 
-    // Unknown path
-    return sendError(res, 'Not found', 404)
+    return route.handle(req, res)
   }
 
   /**
    * Handle profiling start request
    */
-  async function handleStartProfiling (req, res, searchParams) {
+  async function handleStartProfiling (req, res, searchParams, prefix) {
     try {
-      // Parse duration from query string
-      let duration
-      const durationParam = searchParams.get('duration')
-      if (durationParam) {
-        // Try parsing as human-readable duration first (e.g., "30s", "5m")
-        duration = parseDuration(durationParam)
-
-        // If parse-duration returns null, try as raw number
-        if (duration === null) {
-          duration = parseInt(durationParam, 10)
-          if (isNaN(duration)) {
-            return sendError(res, 'Invalid duration parameter. Use a number in milliseconds or human-readable format like "30s", "5m".', 400)
-          }
+      const { duration, error } = parseDurationParam(searchParams)
+      const { settings, error: settingsError } = parseSettingsParams(searchParams)
+      const { threads, error: threadError } = selectThreads(searchParams.get('thread'))
+      if (error || settingsError || threadError) {
+        return sendError(res, error || settingsError || threadError, 400)
+      }
+
+      const capture = await startProfiling(duration, { clientKey: getClientKey(req), settings, threads })
+      if (capture.conflict) {
+        return sendCaptureConflict(res, capture, prefix)
+      }
+
+      // Send progress page immediately
+      const { profileId, startsIn } = capture
+      middlewareLogger?.debug({ profileId }, 'Sending progress page')
+      const html = generateProgressPage(profileId, capture.duration, prefix, { startsIn, types: capture.settings.types })
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': Buffer.byteLength(html)
+      })
+      res.end(html)
+    } catch (error) {
+      middlewareLogger?.error({ err: error }, 'Error starting profiling')
+      return sendError(res, 'Failed to start profiling', 500)
+    }
+  }
+
+  /**
+   * Handle profile list page request
+   */
+  async function handleProfilesPage (req, res, prefix) {
+    try {
+      const profiles = await listSessions()
+      middlewareLogger?.debug({ count: profiles.length }, 'Profile list requested')
+
+      const html = generateProfilesPage(profiles, prefix, {
+        defaultDuration,
+        maxDuration,
+        threads: workerRegistry.list(),
+        heapSnapshot: Boolean(snapshotOptions),
+        upload: uploadOptions
+      })
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': Buffer.byteLength(html)
+      })
+      res.end(html)
+    } catch (error) {
+      middlewareLogger?.error({ err: error }, 'Error handling profile list page')
+      return sendError(res, 'Failed to list profiles', 500)
+    }
+  }
+
+  /**
+   * Handle recent activity request, merging the continuous profiling windows
+   * covering the `last` parameter into one flamegraph
+   */
+  async function handleRecentPage (req, res, searchParams, prefix) {
+    try {
+      if (!profiler.isContinuousProfiling()) {
+        return sendError(res, 'Continuous profiling is not enabled. Set the `continuous` option to use this page.', 404)
+      }
+
+      let last = Infinity
+      const lastParam = searchParams.get('last')
+      if (lastParam) {
+        last = parseDuration(lastParam) ?? parseInt(lastParam, 10)
+        if (!(last > 0)) {
+          return sendError(res, 'Invalid last parameter. Use a number in milliseconds or human-readable format like "60s", "5m".', 400)
         }
-      } else {
-        duration = defaultDuration
       }
 
-      // Validate duration
-      if (duration <= 0) {
-        return sendError(res, 'Duration must be greater than 0', 400)
+      const labelParams = parseLabelParams(searchParams)
+      if (labelParams.error) {
+        return sendError(res, labelParams.error, 400)
+      }
+
+      const recent = profiler.getRecentProfile(last)
+      middlewareLogger?.debug({ last, windows: recent.windows }, 'Recent profile requested')
+
+      const focus = parseFocusParams(searchParams)
+      const labels = applyLabelParams(recent.profile, labelParams, focus)
+      const cpuBuffer = await profiler.encodeProfile(recent.profile)
+      const html = await generateResultsPage(cpuBuffer, null, {
+        primaryColor,
+        secondaryColor,
+        basePath: prefix,
+        labels,
+        focus,
+        title: `Recent CPU activity (last ${formatSeconds(Math.round((recent.end - recent.start) / 1000))})`
+      })
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Length': Buffer.byteLength(html)
+      })
+      res.end(html)
+    } catch (error) {
+      middlewareLogger?.error({ err: error }, 'Error handling recent profile page')
+      return sendError(res, 'Failed to generate recent profile page', 500)
+    }
+  }
+
+  /**
+   * Handle heap snapshot request, writing a snapshot to disk and sending the
+   * client to the profile list where it can be downloaded
+   */
+  async function handleHeapSnapshot (req, res, prefix) {
+    let profileId
+
+    try {
+      if (!snapshotOptions) {
+        return sendError(res, 'Heap snapshots are disabled.', 404)
       }
 
-      if (duration > maxDuration) {
-        return sendError(res, `Duration exceeds maximum allowed (${maxDuration}ms)`, 400)
+      if (isWritingHeapSnapshot()) {
+        return sendError(res, 'A heap snapshot is already being written. Please try again once it completes.', 409)
       }
 
-      // Generate unique profile ID
-      const profileId = storage.generateId()
+      const memory = checkSnapshotMemory(snapshotOptions.minFreeMemory)
+      if (!memory.ok) {
+        middlewareLogger?.warn(memory, 'Heap snapshot refused, not enough free memory')
+        return sendError(
+          res,
+          `Not enough free memory for a heap snapshot (${formatMegabytes(memory.free)} free, ${formatMegabytes(memory.required)} needed).`,
+          503
+        )
+      }
 
-      middlewareLogger?.info(
-        { profileId, duration, basePath },
-        'Profiling request received'
-      )
+      // Snapshots count as a capture start, without adding to the profiled time
+      const limited = checkRateLimit(getClientKey(req), 0)
+      if (limited) {
+        return sendCaptureConflict(res, limited, prefix)
+      }
 
-      // Mark profile as in progress
-      storage.markInProgress(profileId, { duration })
+      profileId = await storage.generateId()
+      middlewareLogger?.info({ profileId, freeMemory: memory.free }, 'Writing heap snapshot')
 
-      // Start profiling in background (don't await)
-      collectProfilesInBackground(profileId, duration)
+      const snapshot = await snapshots.write(profileId, { maxSize: snapshotOptions.maxSize })
+      middlewareLogger?.info({ profileId, size: snapshot.size }, 'Heap snapshot stored')
 
-      // Send progress page immediately
-      middlewareLogger?.debug({ profileId }, 'Sending progress page')
-      const html = generateProgressPage(profileId, duration, basePath)
+      res.writeHead(303, { Location: `${prefix}/profiles` })
+      res.end()
+    } catch (error) {
+      // The store keeps the snapshot as failed
+      middlewareLogger?.error({ err: error, profileId }, 'Error writing heap snapshot')
+      return sendError(res, `Failed to write heap snapshot: ${error.message}`, 500)
+    }
+  }
+
+  /**
+   * Handle an uploaded pprof file, storing it as a completed session
+   *
+   * Browsers are redirected to its results page, JSON clients get its status.
+   */
+  async function handleUpload (req, res, json, prefix) {
+    const fail = (message, statusCode) => json
+      ? sendJson(res, { error: message }, statusCode)
+      : sendError(res, message, statusCode, { link: { href: `${prefix}/profiles`, text: 'Back to profiles' } })
+
+    try {
+      if (!uploadOptions) {
+        return fail('Uploads are disabled.', 404)
+      }
+
+      const { body, error: bodyError, statusCode: bodyStatus } = await readUploadBody(req, uploadOptions.maxSize)
+      if (bodyError) {
+        middlewareLogger?.info({ error: bodyError }, 'Upload rejected')
+        return fail(bodyError, bodyStatus)
+      }
+
+      const uploaded = await parseUploadedProfile(body, uploadOptions.maxSize)
+      if (uploaded.error) {
+        middlewareLogger?.info({ error: uploaded.error, size: body.length }, 'Upload rejected')
+        return fail(uploaded.error, uploaded.statusCode)
+      }
+
+      const profileId = await storage.generateId()
+      await storage.markInProgress(profileId, { kind: 'upload', duration: uploaded.duration })
+      await storage.storeProfile(profileId, { [uploaded.type]: uploaded.buffer })
+      middlewareLogger?.info({ profileId, type: uploaded.type, size: uploaded.buffer.length }, 'Uploaded profile stored')
+
+      if (json) {
+        return sendJson(res, describeStatus(await storage.getStatus(profileId), prefix), 201)
+      }
+      res.writeHead(303, { Location: `${prefix}/result/${profileId}` })
+      res.end()
+    } catch (error) {
+      middlewareLogger?.error({ err: error }, 'Error handling profile upload')
+      return fail('Failed to store the uploaded profile', 500)
+    }
+  }
+
+  /**
+   * Handle differential flamegraph request comparing two stored profiles
+   */
+  async function handleDiffPage (req, res, baseId, targetId, searchParams, prefix) {
+    try {
+      const type = searchParams.get('type') || 'cpu'
+      if (type !== 'cpu' && type !== 'heap') {
+        return sendError(res, 'Invalid type parameter. Use "cpu" or "heap".', 400)
+      }
+
+      middlewareLogger?.debug({ baseId, targetId, type }, 'Profile diff requested')
+
+      const [baseData, targetData, baseStatus, targetStatus] = await Promise.all([
+        storage.getProfile(baseId),
+        storage.getProfile(targetId),
+        storage.getStatus(baseId),
+        storage.getStatus(targetId)
+      ])
+      if (!baseData || !targetData) {
+        return sendError(res, `Profile ${baseData ? targetId : baseId} not found or expired`, 404)
+      }
+      if (!baseData[type] || !targetData[type]) {
+        return sendError(res, `Profile ${baseData[type] ? targetId : baseId} has no ${type} data`, 404)
+      }
+
+      // CPU time is compared per second of capture, heap snapshots as-is
+      const diff = diffProfiles(decodeProfile(baseData[type]), decodeProfile(targetData[type]), {
+        normalize: type === 'cpu',
+        baseDuration: baseStatus?.duration,
+        targetDuration: targetStatus?.duration
+      })
+
+      const html = generateDiffPage(diff, { baseId, targetId, type, basePath: prefix })
+      middlewareLogger?.info({ baseId, targetId, type }, 'Diff page generated successfully')
       res.writeHead(200, {
         'Content-Type': 'text/html; charset=utf-8',
         'Content-Length': Buffer.byteLength(html)
       })
       res.end(html)
     } catch (error) {
-      middlewareLogger?.error({ err: error }, 'Error starting profiling')
-      return sendError(res, 'Failed to start profiling', 500)
+      middlewareLogger?.error({ err: error, baseId, targetId }, 'Error handling diff page')
+      return sendError(res, 'Failed to generate diff page', 500)
+    }
+  }
+
+  /**
+   * Handle profile delete request from the profile list page
+   */
+  async function handleDelete (req, res, profileId, prefix) {
+    try {
+      if (!await deleteProfile(profileId)) {
+        return sendError(res, 'Profile not found or expired', 404)
+      }
+
+      res.writeHead(303, { Location: `${prefix}/profiles` })
+      res.end()
+    } catch (error) {
+      middlewareLogger?.error({ err: error, profileId }, 'Error deleting profile')
+      return sendError(res, 'Failed to delete profile', 500)
+    }
+  }
+
+  /**
+   * Handle JSON API requests
+   */
+  async function handleApiRequest (req, res, apiPath, searchParams, prefix) {
+    try {
+      if (apiPath === '/profiles') {
+        if (req.method === 'POST') {
+          const { duration, error } = parseDurationParam(searchParams)
+          const { settings, error: settingsError } = parseSettingsParams(searchParams)
+          const { threads, error: threadError } = selectThreads(searchParams.get('thread'))
+          if (error || settingsError || threadError) {
+            return sendJson(res, { error: error || settingsError || threadError }, 400)
+          }
+
+          const capture = await startProfiling(duration, { clientKey: getClientKey(req), settings, threads })
+          if (capture.conflict) {
+            return sendCaptureConflict(res, capture, prefix, true)
+          }
+
+          const { profileId } = capture
+          return sendJson(res, {
+            id: profileId,
+            status: capture.startsIn > 0 ? 'queued' : 'in-progress',
+            duration: capture.duration,
+            startsIn: capture.startsIn,
+            attached: capture.attached,
+            settings: capture.settings,
+            statusUrl: `${prefix}/api/profiles/${profileId}`,
+            resultUrl: `${prefix}/result/${profileId}`
+          }, 202)
+        }
+
+        if (req.method === 'GET') {
+          const profiles = (await listSessions()).map(status => describeStatus(status, prefix))
+          return sendJson(res, { profiles })
+        }
+
+        return sendJson(res, { error: 'Method not allowed' }, 405)
+      }
+
+      const statusMatch = apiPath.match(/^\/profiles\/([a-f0-9]+)$/)
+      if (statusMatch) {
+        const profileId = statusMatch[1]
+
+        if (req.method === 'DELETE') {
+          if (!await deleteProfile(profileId)) {
+            return sendJson(res, { error: 'Profile not found' }, 404)
+          }
+          res.writeHead(204)
+          return res.end()
+        }
+
+        if (req.method !== 'GET') {
+          return sendJson(res, { error: 'Method not allowed' }, 405)
+        }
+
+        const status = snapshots?.getStatus(profileId) || await storage.getStatus(profileId)
+        if (!status) {
+          return sendJson(res, { error: 'Profile not found' }, 404)
+        }
+        return sendJson(res, describeStatus(status, prefix))
+      }
+
+      return sendJson(res, { error: 'Not found' }, 404)
+    } catch (error) {
+      middlewareLogger?.error({ err: error, apiPath }, 'Error handling API request')
+      return sendJson(res, { error: 'Internal server error' }, 500)
+    }
+  }
+
+  /**
+   * List the sessions of the storage along with the heap snapshots, newest first
+   *
+   * @returns {Promise<Object[]>} Status objects as returned by the storage
+   */
+  async function listSessions () {
+    const profiles = await storage.listProfiles()
+    return snapshots
+      ? [...profiles, ...snapshots.list()].sort((a, b) => b.startTime - a.startTime)
+      : profiles
+  }
+
+  /**
+   * Only finished sessions can be deleted, collections in progress can't be stopped
+   */
+  function isDeletable (status) {
+    return status?.status === 'completed' || status?.status === 'failed'
+  }
+
+  /**
+   * Add the URLs a client needs to follow up on a profile session, under the
+   * `prefix` the routes are served at
+   */
+  function describeStatus (status, prefix = basePath) {
+    const described = {
+      ...status,
+      statusUrl: `${prefix}/api/profiles/${status.id}`
+    }
+
+    // Heap snapshots are only downloaded, there is no flamegraph for them
+    if (status.status === 'completed' && status.kind === 'heapsnapshot') {
+      described.downloads = { heapsnapshot: `${prefix}/result/${status.id}/heapsnapshot` }
+    } else if (status.status === 'completed') {
+      described.resultUrl = `${prefix}/result/${status.id}`
+      described.downloads = Object.fromEntries((status.types || PROFILE_TYPES).map(type =>
+        [type, `${prefix}/result/${status.id}/${type === 'metrics' ? 'metrics.json' : `${type}.pb.gz`}`]
+      ))
+    }
+
+    return described
+  }
+
+  /**
+   * Parse and validate the duration query parameter
+   *
+   * @returns {{duration: number}|{error: string}}
+   */
+  function parseDurationParam (searchParams) {
+    let duration
+    const durationParam = searchParams.get('duration')
+    if (durationParam) {
+      // Try parsing as human-readable duration first (e.g., "30s", "5m")
+      duration = parseDuration(durationParam)
+
+      // If parse-duration returns null, try as raw number
+      if (duration === null) {
+        duration = parseInt(durationParam, 10)
+        if (isNaN(duration)) {
+          return { error: 'Invalid duration parameter. Use a number in milliseconds or human-readable format like "30s", "5m".' }
+        }
+      }
+    } else {
+      duration = defaultDuration
+    }
+
+    const error = validateDuration(duration)
+    if (error) {
+      return { error }
+    }
+
+    // The rate limiter could never let this one through, retrying is pointless
+    const budget = rateLimiter?.maxProfiledTimePerHour
+    if (duration > budget) {
+      return { error: `Duration exceeds the hourly profiling budget, the maximum allowed is ${budget}ms` }
+    }
+    return { duration }
+  }
+
+  /**
+   * Parse the capture settings query parameters: `types`, `cpuInterval`,
+   * `cpuMode` and `heapDepth`
+   *
+   * @returns {{settings: Object}|{error: string}}
+   */
+  function parseSettingsParams (searchParams) {
+    const types = searchParams.get('types')
+    const cpuInterval = searchParams.get('cpuInterval')
+    const heapDepth = searchParams.get('heapDepth')
+
+    return validateSettings({
+      types: types ? types.split(',').map(type => type.trim()).filter(Boolean) : undefined,
+      cpuInterval: cpuInterval ? Number(cpuInterval) : undefined,
+      cpuMode: searchParams.get('cpuMode') || undefined,
+      heapDepth: heapDepth ? Number(heapDepth) : undefined
+    })
+  }
+
+  /**
+   * Fill in the defaults for capture settings and check them against the configured limits
+   *
+   * @param {Object} options - Requested settings, any of them may be missing
+   * @returns {{settings: {types: string[], cpuInterval: number, cpuMode: string, heapDepth: number}}|{error: string}}
+   */
+  function validateSettings (options) {
+    const {
+      types = PROFILE_TYPES,
+      cpuInterval = cpuSamplingInterval,
+      cpuMode: mode = cpuMode,
+      heapDepth = heapStackDepth
+    } = options
+
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => PROFILE_TYPES.includes(type))) {
+      return { error: `Invalid types, expected a non-empty subset of ${PROFILE_TYPES.join(', ')}` }
+    }
+
+    if (!Number.isInteger(cpuInterval) || cpuInterval < minCpuSamplingInterval) {
+      return { error: `CPU sampling interval must be a whole number of microseconds, at least ${minCpuSamplingInterval}` }
+    }
+
+    if (!CPU_MODES.includes(mode)) {
+      return { error: `Invalid CPU mode "${mode}", expected ${CPU_MODES.map(mode => `'${mode}'`).join(' or ')}` }
+    }
+
+    if (!Number.isInteger(heapDepth) || heapDepth < 1 || heapDepth > maxHeapStackDepth) {
+      return { error: `Heap stack depth must be a whole number between 1 and ${maxHeapStackDepth}` }
+    }
+
+    return { settings: { types: [...new Set(types)], cpuInterval, cpuMode: mode, heapDepth } }
+  }
+
+  /**
+   * Pick the worker threads to profile from a `thread` selector
+   *
+   * @param {string} selector - 'all', comma-separated thread IDs or names, or empty for the default
+   * @returns {{threads: Object[]}|{error: string}}
+   */
+  function selectThreads (selector) {
+    if (!selector) {
+      return { threads: allThreads ? workerRegistry.list() : [] }
+    }
+    return workerRegistry.select(String(selector))
+  }
+
+  /**
+   * Check a duration against the configured limits
+   *
+   * @returns {string|null} Error message, null when valid
+   */
+  function validateDuration (duration) {
+    if (typeof duration !== 'number' || isNaN(duration)) {
+      return 'Duration must be a number of milliseconds'
+    }
+
+    if (duration <= 0) {
+      return 'Duration must be greater than 0'
+    }
+
+    if (duration > maxDuration) {
+      return `Duration exceeds maximum allowed (${maxDuration}ms)`
+    }
+
+    return null
+  }
+
+  /**
+   * Start a new profiling session in the background, applying the concurrency
+   * policy when another capture is already running
+   *
+   * @param {number} duration - Profile duration in milliseconds
+   * @param {Object} options - Options
+   * @param {string} options.clientKey - Key identifying the client for rate limiting
+   * @param {Object} options.trigger - What started an automatic capture
+   * @param {Object} options.settings - Validated capture settings (default: the configured defaults)
+   * @param {Object[]} options.threads - Worker threads to profile as well
+   * @returns {Promise<Object>} The capture (profileId, duration, startsIn, attached, settings and
+   *   `done` settling once it has run), or `{ conflict: true, reason }` when rejected
+   */
+  async function startProfiling (duration, { clientKey, trigger, settings = defaultSettings.settings, threads = [] } = {}) {
+    const active = captureQueue.active
+    if (active && concurrency === 'reject') {
+      middlewareLogger?.info({ activeProfileId: active.profileId }, 'Profiling request rejected, capture already running')
+      return { conflict: true, reason: 'active', active }
+    }
+
+    if (active && concurrency === 'attach') {
+      middlewareLogger?.info({ profileId: active.profileId }, 'Profiling request attached to running capture')
+      const remaining = Math.max(0, active.duration - (Date.now() - active.startTime))
+      return {
+        profileId: active.profileId,
+        duration: remaining,
+        startsIn: 0,
+        attached: true,
+        settings: active.settings,
+        done: active.done
+      }
+    }
+
+    if (captureQueue.pending.length >= maxQueueSize) {
+      middlewareLogger?.warn({ maxQueueSize }, 'Profiling request rejected, capture queue is full')
+      return { conflict: true, reason: 'queue-full', active }
+    }
+
+    // Attaching starts nothing new, so only fresh captures count against the limits.
+    // Only HTTP requests have a client key, captures started by the app itself aren't limited
+    if (clientKey !== undefined) {
+      const limited = checkRateLimit(clientKey, duration)
+      if (limited) {
+        return limited
+      }
+    }
+
+    // Generate unique profile ID
+    const profileId = await storage.generateId()
+    const startsIn = captureQueue.backlog
+
+    middlewareLogger?.info(
+      { profileId, duration, startsIn, settings, basePath },
+      'Profiling request received'
+    )
+
+    // Mark profile as in progress, or queued behind the running capture
+    const metadata = { duration, settings }
+    if (trigger) {
+      metadata.trigger = trigger
+    }
+    if (threads.length > 0) {
+      metadata.threads = threads
+    }
+    await storage.markInProgress(profileId, startsIn > 0 ? { ...metadata, queued: true, startsIn } : metadata)
+
+    // Start profiling in background (don't await)
+    const done = captureQueue.enqueue({
+      profileId,
+      duration,
+      settings,
+      run: () => collectProfilesInBackground(profileId, metadata, startsIn > 0)
+    })
+
+    return { profileId, duration, startsIn, attached: false, settings, done }
+  }
+
+  /**
+   * Count a capture start against the rate limits
+   *
+   * @param {string} clientKey - Key identifying the client
+   * @param {number} duration - Capture duration in milliseconds
+   * @returns {Object|null} A `rate-limited` conflict when denied, null when the start was recorded
+   */
+  function checkRateLimit (clientKey, duration) {
+    if (!rateLimiter) {
+      return null
+    }
+
+    const limit = rateLimiter.check(clientKey, duration)
+    if (!limit.allowed) {
+      middlewareLogger?.warn({ clientKey, limit: limit.reason, retryAfter: limit.retryAfter }, 'Profiling request rate limited')
+      return { conflict: true, reason: 'rate-limited', limit }
+    }
+    rateLimiter.record(clientKey, duration)
+    return null
+  }
+
+  /**
+   * Start a capture because the trigger monitor saw a sustained threshold breach
+   */
+  async function startAutoCapture (trigger) {
+    try {
+      const capture = await startProfiling(autoCapture.duration || defaultDuration, { trigger })
+      if (capture.conflict) {
+        middlewareLogger?.warn({ trigger, reason: capture.reason }, 'Automatic capture skipped')
+        return
+      }
+      middlewareLogger?.warn(
+        { profileId: capture.profileId, trigger, attached: capture.attached },
+        `Automatic capture started: ${trigger.reason}`
+      )
+    } catch (error) {
+      middlewareLogger?.error({ err: error, trigger }, 'Error starting automatic capture')
+    }
+  }
+
+  /**
+   * Tell the client a capture couldn't be started because of the concurrency policy
+   */
+  function sendCaptureConflict (res, capture, prefix, json = false) {
+    if (capture.reason === 'rate-limited') {
+      const retryAfter = Math.ceil(capture.limit.retryAfter / 1000)
+      const message = `${RATE_LIMIT_MESSAGES[capture.limit.reason]} Please try again in ${formatSeconds(retryAfter)}.`
+      const headers = { 'Retry-After': String(retryAfter) }
+      return json
+        ? sendJson(res, { error: message, reason: capture.limit.reason, retryAfter }, 429, headers)
+        : sendError(res, message, 429, { headers, link: { href: `${prefix}/profiles`, text: 'View existing profiles' } })
+    }
+
+    if (capture.reason === 'queue-full') {
+      const message = `Too many captures queued (${maxQueueSize}). Please try again later.`
+      return json ? sendJson(res, { error: message }, 503) : sendError(res, message, 503)
     }
+
+    const message = 'Another profile is already being captured.'
+    const resultUrl = `${prefix}/result/${capture.active.profileId}`
+    if (json) {
+      return sendJson(res, {
+        error: message,
+        activeProfile: {
+          id: capture.active.profileId,
+          statusUrl: `${prefix}/api/profiles/${capture.active.profileId}`,
+          resultUrl
+        }
+      }, 409)
+    }
+    return sendError(res, message, 409, { link: { href: resultUrl, text: 'View the running capture' } })
   }
 
   /**
    * Handle result page request
    */
-  async function handleResultPage (req, res, profileId) {
+  async function handleResultPage (req, res, profileId, searchParams, prefix) {
     try {
       middlewareLogger?.debug({ profileId }, 'Result page requested')
 
+      // Heap snapshots are only downloaded, there is no flamegraph for them
+      const snapshot = snapshots?.getStatus(profileId)
+      if (snapshot?.status === 'completed') {
+        res.writeHead(303, { Location: `${prefix}/result/${profileId}/heapsnapshot` })
+        return res.end()
+      }
+      if (snapshot?.status === 'failed') {
+        const html = generateFailedPage(profileId, snapshot.error, prefix)
+        res.writeHead(500, {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Content-Length': Buffer.byteLength(html)
+        })
+        return res.end(html)
+      }
+      if (snapshot) {
+        return sendError(res, 'The heap snapshot is still being written. Please refresh in a moment.', 202)
+      }
+
       // Check if profile is still in progress
-      if (storage.isInProgress(profileId)) {
-        const metadata = storage.getInProgressMetadata(profileId)
+      if (await storage.isInProgress(profileId)) {
+        const metadata = await storage.getInProgressMetadata(profileId)
         const elapsed = Date.now() - metadata.startTime
+
+        // Still waiting behind another capture, show the full duration after the estimated wait
+        if (metadata.queued) {
+          const startsIn = Math.max(0, metadata.startsIn - elapsed)
+          middlewareLogger?.debug({ profileId, startsIn }, 'Profile still queued')
+          const html = generateProgressPage(profileId, metadata.duration, prefix, { startsIn, types: metadata.settings?.types })
+          res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html)
+          })
+          return res.end(html)
+        }
+
         const remaining = Math.max(0, metadata.duration - elapsed)
 
         // If still profiling, show progress page again
         if (remaining > 0) {
           middlewareLogger?.debug({ profileId, remaining }, 'Profile still in progress')
-          const html = generateProgressPage(profileId, remaining, basePath)
+          const html = generateProgressPage(profileId, remaining, prefix, { types: metadata.settings?.types })
           res.writeHead(200, {
             'Content-Type': 'text/html; charset=utf-8',
             'Content-Length': Buffer.byteLength(html)
@@ -173,18 +1156,73 @@ export function createFlamegraphMiddleware (options = {}) {
       }
 
       // Get completed profile
-      const profileData = storage.getProfile(profileId)
+      const profileData = await storage.getProfile(profileId)
 
       if (!profileData) {
+        const status = await storage.getStatus(profileId)
+        if (status?.status === 'failed') {
+          middlewareLogger?.debug({ profileId, error: status.error }, 'Sending failed profile page')
+          const html = generateFailedPage(profileId, status.error, prefix)
+          res.writeHead(500, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html)
+          })
+          return res.end(html)
+        }
+
         return sendError(res, 'Profile not found or expired', 404)
       }
 
+      // Tabs are named after the stored profile they show, the focus applies to the open one
+      const buffers = { ...profileData }
+      const activeTab = PROFILE_TAB.test(searchParams.get('tab')) && buffers[searchParams.get('tab')]
+        ? searchParams.get('tab')
+        : ['cpu', 'heap', 'heap-growth'].find(type => buffers[type])
+      const focus = parseFocusParams(searchParams)
+
+      // Request labels are only recorded on the main thread's CPU samples
+      let labels
+      if (buffers.cpu) {
+        const labelParams = parseLabelParams(searchParams)
+        if (labelParams.error) {
+          return sendError(res, labelParams.error, 400)
+        }
+        const cpuProfile = decodeProfile(buffers.cpu)
+        labels = applyLabelParams(cpuProfile, labelParams, activeTab === 'cpu' ? focus : undefined)
+        if (labels.filters || labels.split || (focus && activeTab === 'cpu')) {
+          buffers.cpu = await profiler.encodeProfile(cpuProfile)
+        }
+      }
+      if (focus && activeTab && activeTab !== 'cpu') {
+        buffers[activeTab] = await profiler.encodeProfile(focusProfile(decodeProfile(buffers[activeTab]), focus))
+      }
+
+      // Worker thread profiles are stored next to the main ones, keyed by thread
+      const status = await storage.getStatus(profileId)
+      const threads = (status?.threads || []).map(thread => ({
+        ...thread,
+        cpu: buffers[`cpu-thread-${thread.threadId}`],
+        heap: buffers[`heap-thread-${thread.threadId}`],
+        heapGrowth: buffers[`heap-growth-thread-${thread.threadId}`]
+      }))
+
       // Generate results page
       middlewareLogger?.debug({ profileId }, 'Generating flamegraph results page')
       const html = await generateResultsPage(
-        profileData.cpu,
-        profileData.heap,
-        { primaryColor, secondaryColor }
+        buffers.cpu || null,
+        buffers.heap || null,
+        {
+          primaryColor,
+          secondaryColor,
+          profileId,
+          basePath: prefix,
+          threads,
+          labels,
+          activeTab,
+          focus,
+          heapGrowth: buffers['heap-growth'],
+          metrics: profileData.metrics ? JSON.parse(profileData.metrics) : null
+        }
       )
 
       middlewareLogger?.info({ profileId }, 'Results page generated successfully')
@@ -199,46 +1237,192 @@ export function createFlamegraphMiddleware (options = {}) {
     }
   }
 
+  /**
+   * Handle raw pprof download request, converting pprof profiles to another
+   * export `format` when asked for
+   */
+  async function handleDownload (req, res, profileId, type, format) {
+    try {
+      middlewareLogger?.debug({ profileId, type, format }, 'Profile download requested')
+
+      const exportFormat = format && format !== 'pprof' ? EXPORT_FORMATS[format] : null
+      if (format && format !== 'pprof' && !exportFormat) {
+        return sendError(res, `Unknown format "${format}". Use one of: pprof, ${Object.keys(EXPORT_FORMATS).join(', ')}.`, 400)
+      }
+
+      if (await storage.isInProgress(profileId)) {
+        return sendError(res, 'Profile is still being collected. Please try again once it completes.', 409)
+      }
+
+      const profileData = await storage.getProfile(profileId)
+      if (!profileData) {
+        const status = await storage.getStatus(profileId)
+        if (status?.status === 'failed') {
+          return sendError(res, `Profile collection failed during ${status.error.phase}: ${status.error.message}`, 410)
+        }
+        return sendError(res, 'Profile not found or expired', 404)
+      }
+
+      if (!profileData[type]) {
+        return sendError(res, `Profile ${profileId} has no ${type} data`, 404)
+      }
+
+      // Stored buffers are uncompressed protobuf, pprof tooling expects gzip.
+      // Metrics are plain JSON
+      const { filename, contentType, raw } = {
+        metrics: { filename: `metrics-${profileId}.json`, contentType: 'application/json; charset=utf-8', raw: true }
+      }[type] || { filename: `${type}-${profileId}.pb.gz`, contentType: 'application/octet-stream', raw: false }
+      if (exportFormat) {
+        let body
+        try {
+          body = Buffer.from(exportFormat.convert(profileData[type], type))
+        } catch (error) {
+          return sendError(res, `Profile ${profileId} can't be exported as ${format}: ${error.message}`, 400)
+        }
+
+        middlewareLogger?.info({ profileId, type, format, size: body.length }, 'Profile export sent')
+        res.writeHead(200, {
+          'Content-Type': exportFormat.contentType,
+          'Content-Disposition': `attachment; filename="${type}-${profileId}${exportFormat.extension}"`,
+          'Content-Length': body.length
+        })
+        return res.end(body)
+      }
+      const body = raw ? profileData[type] : await gzip(profileData[type])
+
+      middlewareLogger?.info({ profileId, type, size: body.length }, 'Profile download sent')
+      res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': body.length
+      })
+      res.end(body)
+    } catch (error) {
+      middlewareLogger?.error({ err: error, profileId, type }, 'Error handling profile download')
+      return sendError(res, 'Failed to download profile', 500)
+    }
+  }
+
+  /**
+   * Handle heap snapshot download request, streaming the file as DevTools loads it
+   */
+  async function handleSnapshotDownload (req, res, profileId) {
+    const snapshot = snapshots?.getFile(profileId)
+    if (!snapshot) {
+      return sendError(res, 'Heap snapshot not found or expired', 404)
+    }
+
+    middlewareLogger?.info({ profileId, size: snapshot.size }, 'Heap snapshot download sent')
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="heap-${profileId}.heapsnapshot"`,
+      'Content-Length': snapshot.size
+    })
+    fs.createReadStream(snapshot.file)
+      .on('error', error => {
+        // Expired while being sent, the response can only be cut short
+        middlewareLogger?.error({ err: error, profileId }, 'Error sending heap snapshot')
+        res.destroy(error)
+      })
+      .pipe(res)
+  }
+
   /**
    * Collect profiles in the background
    */
-  async function collectProfilesInBackground (profileId, duration) {
+  async function collectProfilesInBackground (profileId, metadata, queued = false) {
+    const { duration, settings, threads = [] } = metadata
+
+    // Track which phase we're in so failures can be reported accurately
+    let phase = 'collect'
+
     try {
       middlewareLogger?.debug({ profileId, duration }, 'Starting background profile collection')
 
-      // Collect both profiles
-      const profiles = await profiler.collectProfiles(duration)
+      // Restart the clock now that the capture is actually running
+      if (queued) {
+        await storage.markInProgress(profileId, metadata)
+      }
+
+      // Collect the requested profiles, in the selected workers at the same time,
+      // and record what the process looked like meanwhile
+      const recorder = metricsInterval ? new RuntimeMetricsRecorder({ interval: metricsInterval }) : null
+      recorder?.start()
+      let profiles, threadResults
+      try {
+        [profiles, threadResults] = await Promise.all([
+          profiler.collectProfiles(duration, settings),
+          workerRegistry.collect(threads, { duration, settings, timeout: collectionTimeout / 2 })
+        ])
+      } finally {
+        recorder?.stop()
+      }
 
       middlewareLogger?.debug({ profileId }, 'Profiles collected, encoding')
+      phase = 'encode'
 
       // Encode profiles to buffers
-      const [cpuBuffer, heapBuffer] = await Promise.all([
-        profiler.encodeProfile(profiles.cpu),
-        profiler.encodeProfile(profiles.heap)
-      ])
+      const data = {}
+      for (const [type, profile] of Object.entries(profiles)) {
+        data[type] = await profiler.encodeProfile(profile)
+      }
 
       middlewareLogger?.info(
-        { profileId, cpuSize: cpuBuffer.length, heapSize: heapBuffer.length },
+        { profileId, cpuSize: data.cpu?.length, heapSize: data.heap?.length },
         'Profiles encoded successfully'
       )
 
+      // Worker profiles arrive encoded, a failing worker doesn't fail the capture
+      for (const result of threadResults) {
+        if (result.error) {
+          middlewareLogger?.warn({ profileId, threadId: result.threadId, error: result.error }, 'Worker thread profile missing')
+          continue
+        }
+        for (const [type, buffer] of Object.entries(result.profiles)) {
+          data[`${type}-thread-${result.threadId}`] = buffer
+        }
+      }
+
+      // Stored as JSON next to the profiles so every storage backend can keep it
+      if (recorder) {
+        data.metrics = Buffer.from(JSON.stringify(recorder.stop()))
+      }
+
       // Store the encoded profiles
-      storage.storeProfile(profileId, {
-        cpu: cpuBuffer,
-        heap: heapBuffer
-      })
+      phase = 'store'
+      await storage.storeProfile(profileId, data)
     } catch (error) {
-      middlewareLogger?.error({ err: error, profileId, duration }, 'Error collecting profiles')
-      // Profile will remain in progress and eventually time out
+      middlewareLogger?.error({ err: error, profileId, duration, phase }, 'Error collecting profiles')
+
+      try {
+        await storage.markFailed(profileId, { message: error.message, phase })
+      } catch (storageError) {
+        // Storage watchdog will time the profile out instead
+        middlewareLogger?.error({ err: storageError, profileId }, 'Error marking profile as failed')
+      }
     }
   }
 
+  /**
+   * Send a JSON response
+   */
+  function sendJson (res, data, statusCode = 200, headers = {}) {
+    const json = JSON.stringify(data)
+    res.writeHead(statusCode, {
+      ...headers,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    })
+    res.end(json)
+  }
+
   /**
    * Send an error response
    */
-  function sendError (res, message, statusCode = 500) {
-    const html = generateErrorPage(message, statusCode)
+  function sendError (res, message, statusCode = 500, options = {}) {
+    const html = generateErrorPage(message, statusCode, options)
     res.writeHead(statusCode, {
+      ...options.headers,
       'Content-Type': 'text/html; charset=utf-8',
       'Content-Length': Buffer.byteLength(html)
     })
@@ -246,6 +1430,198 @@ export function createFlamegraphMiddleware (options = {}) {
   }
 }
 
+const PROFILE_TYPES = ['cpu', 'heap']
+
+const CPU_MODES = ['wall', 'cpu']
+
+const RATE_LIMIT_MESSAGES = {
+  cooldown: 'A profile was captured too recently.',
+  'max-captures': 'Too many profiles captured recently.',
+  'max-captures-per-client': 'You have captured too many profiles recently.',
+  'max-profiled-time': 'The hourly profiling time budget is used up.'
+}
+
+// Formats stored pprof profiles can be downloaded in besides pprof itself
+const EXPORT_FORMATS = {
+  folded: {
+    extension: '.folded.txt',
+    contentType: 'text/plain; charset=utf-8',
+    convert: buffer => toFoldedStacks(buffer)
+  },
+  speedscope: {
+    extension: '.speedscope.json',
+    contentType: 'application/json; charset=utf-8',
+    convert: (buffer, type) => JSON.stringify(toSpeedscope(buffer, { name: `${type} profile` }))
+  },
+  cpuprofile: {
+    extension: '.cpuprofile',
+    contentType: 'application/json; charset=utf-8',
+    convert: buffer => JSON.stringify(toCpuProfile(buffer))
+  }
+}
+
+// Stored profiles a results page tab can show, like `heap-growth-thread-2`
+const PROFILE_TAB = /^(cpu|heap|heap-growth)(-thread-\d+)?$/
+
+/**
+ * Parse the label query parameters of result pages: `label=<key>:<value>`,
+ * repeated to narrow down further, and `split=<key>`
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {{filters?: Object<string, string>, split?: string}|{error: string}}
+ */
+function parseLabelParams (searchParams) {
+  const params = {}
+  for (const param of searchParams.getAll('label')) {
+    // Route patterns may hold colons themselves, label keys don't
+    const separator = param.indexOf(':')
+    if (separator < 1) {
+      return { error: `Invalid label filter "${param}", expected <key>:<value>` }
+    }
+    params.filters = { ...params.filters, [param.slice(0, separator)]: param.slice(separator + 1) }
+  }
+  if (searchParams.get('split')) {
+    params.split = searchParams.get('split')
+  }
+  return params
+}
+
+/**
+ * Parse the focus query parameters of result pages: `focus=<function>` and
+ * optionally `file=<file>` when several functions share the name
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {{name: string, file?: string}|undefined}
+ */
+function parseFocusParams (searchParams) {
+  if (!searchParams.get('focus')) {
+    return undefined
+  }
+  return searchParams.has('file')
+    ? { name: searchParams.get('focus'), file: searchParams.get('file') }
+    : { name: searchParams.get('focus') }
+}
+
+/**
+ * Apply parsed label parameters to a CPU profile
+ *
+ * A focus is applied between filtering and splitting, so the split root
+ * frames stay on top of the focused function.
+ *
+ * @param {Profile} profile - Decoded profile, changed in place
+ * @param {{filters?: Object<string, string>, split?: string}} params - Result of parseLabelParams()
+ * @param {{name: string, file?: string}} [focus] - Result of parseFocusParams()
+ * @returns {{available: Object<string, string[]>, filters?: Object<string, string>, split?: string}}
+ *   Labels found in the profile before filtering, with the parameters applied
+ */
+function applyLabelParams (profile, params, focus) {
+  const available = getProfileLabels(profile)
+  if (params.filters) {
+    filterProfileByLabels(profile, params.filters)
+  }
+  if (focus) {
+    focusProfile(profile, focus)
+  }
+  if (params.split) {
+    splitProfileByLabel(profile, params.split)
+  }
+  return { available, ...params }
+}
+
+/**
+ * Find where the middleware's routes are served for a request, honoring the
+ * path it was mounted at by the framework
+ *
+ * Mounted at its base path, like `app.use('/flamegraph', flamegraph)`, the
+ * routes are served at the mount path. Otherwise the base path is looked up
+ * below the mount path. Paths only match on whole segments, so
+ * `/flamegraphs-report` isn't under `/flamegraph`.
+ *
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {string} pathname - Path of `req.url`
+ * @param {string} basePath - Base path, without a trailing slash
+ * @returns {{prefix: string, subPath: string}|null} Full path the routes are served at, for links,
+ *   and the path below it, or null when the request isn't for the middleware
+ */
+function matchBasePath (req, pathname, basePath) {
+  const mountPath = getMountPath(req, pathname)
+
+  // Base paths start with a slash, so this only matches whole segments
+  if (mountPath.endsWith(basePath)) {
+    return { prefix: mountPath, subPath: pathname }
+  }
+  if (pathname === basePath || pathname.startsWith(`${basePath}/`)) {
+    return { prefix: `${mountPath}${basePath}`, subPath: pathname.slice(basePath.length) || '/' }
+  }
+  return null
+}
+
+/**
+ * Get the path a request was mounted at, stripped from `req.url` by the
+ * framework: `req.baseUrl` in Express, what `req.originalUrl` has in front
+ * of `req.url` in Connect
+ *
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {string} pathname - Path of `req.url`
+ * @returns {string} Mount path without a trailing slash, empty when not mounted
+ */
+function getMountPath (req, pathname) {
+  if (typeof req.baseUrl === 'string') {
+    return req.baseUrl.replace(/\/+$/, '')
+  }
+  if (typeof req.originalUrl !== 'string') {
+    return ''
+  }
+
+  const original = new URL(req.originalUrl, 'http://localhost').pathname
+  if (original.endsWith(pathname)) {
+    return original.slice(0, original.length - pathname.length).replace(/\/+$/, '')
+  }
+  // A request for the mount path itself is rewritten to '/'
+  return pathname === '/' ? original.replace(/\/+$/, '') : ''
+}
+
+/**
+ * Get the route label of a request: the pattern of the Express-style route
+ * it matched, otherwise its path
+ *
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {string}
+ */
+function defaultRouteLabel (req) {
+  if (typeof req.route?.path === 'string') {
+    return `${req.baseUrl || ''}${req.route.path}`
+  }
+  return new URL(req.originalUrl || req.url, 'http://localhost').pathname
+}
+
+/**
+ * Format a byte count in whole megabytes for error messages
+ */
+function formatMegabytes (bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`
+}
+
+/**
+ * Format a wait in whole seconds for error messages
+ */
+function formatSeconds (seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+export { ProfileStorage } from './storage.js'
+export { bearerToken, ipAllowlist } from './auth.js'
+export { FileSystemStorage } from './fs-storage.js'
+export { registerWorker } from './worker-threads.js'
+export { toCpuProfile, toFoldedStacks, toSpeedscope } from './export-formats.js'
+export { flamegraphPlugin } from './fastify.js'
+export { createKoaMiddleware } from './koa.js'
+export { createFetchHandler, createHonoMiddleware } from './fetch.js'
+
 /**
  * Default export
  */
@@ -0,0 +1,45 @@
+import { createFlamegraphMiddleware } from './index.js'
+
+/**
+ * Create a Koa middleware, registered with `app.use(createKoaMiddleware())`
+ *
+ * The middleware's routes answer on `ctx.res` directly, other requests go on
+ * to the next middleware, with their CPU time labelled when `requestLabels`
+ * is set. The route label defaults to the pattern matched by `@koa/router`.
+ *
+ * @param {Object} options - Options of createFlamegraphMiddleware()
+ * @returns {function(Object, function(): Promise<void>): Promise<void>} Koa middleware, also carrying
+ *   the `capture`, `getProfile`, `listProfiles`, `deleteProfile` and `close` methods
+ */
+export function createKoaMiddleware (options = {}) {
+  const contexts = new WeakMap()
+  const { requestLabels } = options
+  const flamegraph = createFlamegraphMiddleware({
+    ...options,
+    requestLabels: requestLabels && {
+      // Looked up once the request was routed
+      route: req => contexts.get(req)?._matchedRoute || new URL(req.url, 'http://localhost').pathname,
+      ...requestLabels
+    }
+  })
+
+  async function flamegraphKoaMiddleware (ctx, next) {
+    contexts.set(ctx.req, ctx)
+    // `koa-mount` only rewrites `req.url`, the original URL tells where it was mounted
+    ctx.req.originalUrl ??= ctx.originalUrl
+
+    let passed = false
+    const result = flamegraph(ctx.req, ctx.res, () => {
+      passed = true
+      return next()
+    })
+    if (!passed) {
+      // The response is written to the Node.js response, Koa must leave it alone
+      ctx.respond = false
+    }
+    return result
+  }
+
+  const { capture, getProfile, listProfiles, deleteProfile, close } = flamegraph
+  return Object.assign(flamegraphKoaMiddleware, { capture, getProfile, listProfiles, deleteProfile, close })
+}
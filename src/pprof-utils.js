@@ -0,0 +1,353 @@
+import { Profile, StringTable, ValueType, Sample, Location, Line, Function, Label } from 'pprof-format'
+
+/**
+ * Decode an uncompressed pprof protobuf buffer
+ *
+ * @param {Buffer} buffer - Encoded profile
+ * @returns {Profile}
+ */
+export function decodeProfile (buffer) {
+  return Profile.decode(buffer)
+}
+
+/**
+ * Get the sample types of a profile as strings
+ *
+ * @param {Profile} profile - Decoded profile
+ * @returns {Array<{type: string, unit: string}>}
+ */
+export function getSampleTypes (profile) {
+  const strings = profile.stringTable.strings
+  return profile.sampleType.map(sampleType => ({
+    type: strings[Number(sampleType.type)],
+    unit: strings[Number(sampleType.unit)]
+  }))
+}
+
+/**
+ * Pick the sample value to aggregate: the profile's default sample type if
+ * set, otherwise the last one (pprof's own convention)
+ *
+ * @param {Profile} profile - Decoded profile
+ * @returns {number} Index into each sample's values
+ */
+export function getDefaultSampleIndex (profile) {
+  const defaultType = Number(profile.defaultSampleType)
+  if (defaultType) {
+    const index = profile.sampleType.findIndex(sampleType => Number(sampleType.type) === defaultType)
+    if (index !== -1) {
+      return index
+    }
+  }
+  return profile.sampleType.length - 1
+}
+
+/**
+ * Call back once per sample with its stack resolved to frames, root first
+ *
+ * @param {Profile} profile - Decoded profile
+ * @param {number} sampleIndex - Index of the sample value to report
+ * @param {function(Array<{name: string, file: string, line: number}>, number, Object): void} callback
+ */
+export function forEachStack (profile, sampleIndex, callback) {
+  const strings = profile.stringTable.strings
+  const functions = new Map(profile.function.map(fn => [Number(fn.id), fn]))
+  const locations = new Map(profile.location.map(location => [Number(location.id), location]))
+
+  // Resolving frames is the hot path, so cache them per location
+  const framesByLocation = new Map()
+  function resolveLocation (locationId) {
+    let frames = framesByLocation.get(locationId)
+    if (!frames) {
+      const location = locations.get(locationId)
+      // Lines are ordered innermost first, like the sample's location IDs
+      frames = (location?.line || []).map(line => {
+        const fn = functions.get(Number(line.functionId))
+        return {
+          name: strings[Number(fn?.name)] || '(anonymous)',
+          file: strings[Number(fn?.filename)] || '',
+          line: Number(line.line)
+        }
+      }).reverse()
+      framesByLocation.set(locationId, frames)
+    }
+    return frames
+  }
+
+  for (const sample of profile.sample) {
+    const value = Number(sample.value[sampleIndex])
+    if (!value) {
+      continue
+    }
+
+    const stack = []
+    for (let i = sample.locationId.length - 1; i >= 0; i--) {
+      stack.push(...resolveLocation(Number(sample.locationId[i])))
+    }
+    callback(stack, value, sample)
+  }
+}
+
+/**
+ * Get the duration a profile covers in milliseconds
+ *
+ * @param {Profile} profile - Decoded profile
+ * @returns {number} Duration in milliseconds, 0 if the profile doesn't record it
+ */
+export function getProfileDuration (profile) {
+  return Number(profile.durationNanos) / 1e6
+}
+
+/**
+ * List the string labels found on a profile's samples with their values
+ *
+ * @param {Profile} profile - Decoded profile
+ * @returns {Object<string, string[]>} Label key to its values, both sorted
+ */
+export function getProfileLabels (profile) {
+  const strings = profile.stringTable.strings
+  const labels = new Map()
+  for (const sample of profile.sample) {
+    for (const label of sample.label) {
+      if (!Number(label.str)) {
+        continue
+      }
+      const key = strings[Number(label.key)]
+      if (!labels.has(key)) {
+        labels.set(key, new Set())
+      }
+      labels.get(key).add(strings[Number(label.str)])
+    }
+  }
+
+  return Object.fromEntries([...labels.keys()].sort().map(key => [key, [...labels.get(key)].sort()]))
+}
+
+/**
+ * Keep only the samples carrying every given label value
+ *
+ * @param {Profile} profile - Decoded profile, changed in place
+ * @param {Object<string, string>} filters - Label key to the value it must have
+ * @returns {Profile} The same profile
+ */
+export function filterProfileByLabels (profile, filters) {
+  const entries = Object.entries(filters)
+  profile.sample = profile.sample.filter(sample => {
+    const values = getSampleLabels(profile, sample)
+    return entries.every(([key, value]) => values[key] === value)
+  })
+  return profile
+}
+
+/**
+ * Split a profile by the value of one label, by putting each sample under an
+ * extra root frame named after its value (like `route: /todos`)
+ *
+ * Samples without the label go under `<key>: (none)`.
+ *
+ * @param {Profile} profile - Decoded profile, changed in place
+ * @param {string} key - Label key to split by
+ * @returns {Profile} The same profile
+ */
+export function splitProfileByLabel (profile, key) {
+  const locationIds = new Map()
+  let nextFunctionId = Math.max(0, ...profile.function.map(fn => Number(fn.id))) + 1
+  let nextLocationId = Math.max(0, ...profile.location.map(location => Number(location.id))) + 1
+
+  function rootFor (value) {
+    const name = `${key}: ${value ?? '(none)'}`
+    let id = locationIds.get(name)
+    if (!id) {
+      const functionId = nextFunctionId++
+      id = nextLocationId++
+      profile.function.push(new Function({ id: functionId, name: profile.stringTable.dedup(name) }))
+      profile.location.push(new Location({ id, line: [new Line({ functionId })] }))
+      locationIds.set(name, id)
+    }
+    return id
+  }
+
+  for (const sample of profile.sample) {
+    // Location IDs are leaf first, so the root goes last
+    sample.locationId = [...sample.locationId, rootFor(getSampleLabels(profile, sample)[key])]
+  }
+  return profile
+}
+
+/**
+ * Focus a profile on one function: keep only the samples it is part of,
+ * with their stacks starting at its outermost call
+ *
+ * @param {Profile} profile - Decoded profile, changed in place
+ * @param {{name: string, file?: string}} fn - Function to focus on, any file matches when `file` is missing
+ * @returns {Profile} The same profile
+ */
+export function focusProfile (profile, fn) {
+  const strings = profile.stringTable.strings
+  const functions = new Map(profile.function.map(f => [Number(f.id), f]))
+  const matches = new Set(profile.location
+    .filter(location => location.line.some(line => {
+      const f = functions.get(Number(line.functionId))
+      return strings[Number(f?.name)] === fn.name && (fn.file === undefined || (strings[Number(f?.filename)] || '') === fn.file)
+    }))
+    .map(location => Number(location.id)))
+
+  profile.sample = profile.sample.filter(sample => {
+    // Location IDs are leaf first, the outermost call is the last match
+    const index = sample.locationId.findLastIndex(id => matches.has(Number(id)))
+    if (index === -1) {
+      return false
+    }
+    sample.locationId = sample.locationId.slice(0, index + 1)
+    return true
+  })
+  return profile
+}
+
+/**
+ * Get a sample's string labels as an object
+ */
+function getSampleLabels (profile, sample) {
+  const strings = profile.stringTable.strings
+  const labels = {}
+  for (const label of sample.label) {
+    if (Number(label.str)) {
+      labels[strings[Number(label.key)]] = strings[Number(label.str)]
+    }
+  }
+  return labels
+}
+
+/**
+ * Merge profiles of the same kind into one, summing the values of identical
+ * stacks (with identical labels)
+ *
+ * Used to stitch back-to-back capture windows together. Sample types and the
+ * period are taken from the first profile, mappings and addresses are dropped
+ * since JavaScript frames don't use them.
+ *
+ * @param {Profile[]} profiles - Profiles to merge, oldest first
+ * @returns {Profile}
+ */
+export function mergeProfiles (profiles) {
+  return combineProfiles(profiles, profiles.map(() => 1))
+}
+
+/**
+ * Subtract a baseline from a profile stack by stack, keeping the stacks that
+ * grew
+ *
+ * Used on heap profiles, which are snapshots of live memory: subtracting the
+ * snapshot from the start of a capture leaves what was allocated during it
+ * and is still in use at its end. Stacks that shrank are dropped.
+ *
+ * @param {Profile} profile - Profile at the end
+ * @param {Profile} baseline - Profile at the start
+ * @returns {Profile} Covers the time between both profiles
+ */
+export function subtractProfile (profile, baseline) {
+  const growth = combineProfiles([profile, baseline], [1, -1])
+  const sampleIndex = getDefaultSampleIndex(growth)
+
+  growth.sample = growth.sample.filter(sample => sample.value[sampleIndex] > 0)
+  for (const sample of growth.sample) {
+    sample.value = sample.value.map(value => Math.max(0, value))
+  }
+  growth.timeNanos = Number(baseline.timeNanos)
+  growth.durationNanos = Math.max(0, Number(profile.timeNanos) - Number(baseline.timeNanos))
+  return growth
+}
+
+/**
+ * Add up profiles of the same kind stack by stack, multiplying each one's
+ * values by its weight
+ *
+ * @param {Profile[]} profiles - Profiles to combine, oldest first
+ * @param {number[]} weights - Weight of each profile
+ * @returns {Profile}
+ */
+function combineProfiles (profiles, weights) {
+  const [first] = profiles
+  const stringTable = new StringTable()
+  const functionIds = new Map()
+  const locationIds = new Map()
+  const functions = []
+  const locations = []
+  const samples = new Map()
+
+  profiles.forEach((profile, profileIndex) => {
+    const weight = weights[profileIndex]
+    const strings = profile.stringTable.strings
+    const dedup = index => stringTable.dedup(strings[Number(index)] || '')
+    const profileFunctions = new Map(profile.function.map(fn => [Number(fn.id), fn]))
+    const profileLocations = new Map(profile.location.map(location => [Number(location.id), location]))
+
+    function mapFunction (id) {
+      const fn = profileFunctions.get(id)
+      const name = dedup(fn?.name)
+      const filename = dedup(fn?.filename)
+      const startLine = Number(fn?.startLine || 0)
+      const key = `${name}:${filename}:${startLine}`
+      let mapped = functionIds.get(key)
+      if (!mapped) {
+        mapped = functions.length + 1
+        functionIds.set(key, mapped)
+        functions.push(new Function({ id: mapped, name, systemName: dedup(fn?.systemName), filename, startLine }))
+      }
+      return mapped
+    }
+
+    function mapLocation (id) {
+      const lines = (profileLocations.get(id)?.line || []).map(line => ({
+        functionId: mapFunction(Number(line.functionId)),
+        line: Number(line.line)
+      }))
+      const key = lines.map(line => `${line.functionId}:${line.line}`).join(',')
+      let mapped = locationIds.get(key)
+      if (!mapped) {
+        mapped = locations.length + 1
+        locationIds.set(key, mapped)
+        locations.push(new Location({ id: mapped, line: lines.map(line => new Line(line)) }))
+      }
+      return mapped
+    }
+
+    for (const sample of profile.sample) {
+      const locationId = sample.locationId.map(id => mapLocation(Number(id)))
+      const label = sample.label.map(label => new Label({
+        key: dedup(label.key),
+        str: label.str ? dedup(label.str) : 0,
+        num: Number(label.num || 0),
+        numUnit: label.numUnit ? dedup(label.numUnit) : 0
+      }))
+      const key = `${locationId.join(',')}|${label.map(l => `${l.key}=${l.str}:${l.num}`).join(',')}`
+
+      const existing = samples.get(key)
+      if (existing) {
+        sample.value.forEach((value, i) => { existing.value[i] += Number(value) * weight })
+      } else {
+        samples.set(key, new Sample({ locationId, value: sample.value.map(value => Number(value) * weight), label }))
+      }
+    }
+  })
+
+  const mapValueType = valueType => new ValueType({
+    type: stringTable.dedup(first.stringTable.strings[Number(valueType.type)] || ''),
+    unit: stringTable.dedup(first.stringTable.strings[Number(valueType.unit)] || '')
+  })
+
+  return new Profile({
+    sampleType: first.sampleType.map(mapValueType),
+    sample: [...samples.values()],
+    location: locations,
+    function: functions,
+    stringTable,
+    timeNanos: profiles.reduce((earliest, profile) => Math.min(earliest, Number(profile.timeNanos) || earliest), Number(first.timeNanos)),
+    durationNanos: profiles.reduce((total, profile) => total + Number(profile.durationNanos), 0),
+    periodType: first.periodType && mapValueType(first.periodType),
+    period: Number(first.period),
+    defaultSampleType: Number(first.defaultSampleType)
+      ? stringTable.dedup(first.stringTable.strings[Number(first.defaultSampleType)])
+      : 0
+  })
+}
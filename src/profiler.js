@@ -1,23 +1,57 @@
 import pprof from '@datadog/pprof'
+import { mergeProfiles, subtractProfile } from './pprof-utils.js'
+import { generateRequestLabels, startRequestLabelTracking, stopRequestLabelTracking } from './request-labels.js'
+import { loadSourceMaps } from './source-maps.js'
+
+// Heap profiling is process-wide, share its state between Profiler instances
+let heapSettings = null
+
+// So is the CPU profiler, continuous mode owns it while running
+let continuous = null
+
+// Parts kept per window before they are merged into one, see cutWindow()
+const MAX_WINDOW_PARTS = 8
 
 /**
  * Profiler class for managing CPU and heap profiling
  */
 export class Profiler {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.heapSamplingInterval - Heap sampling interval in bytes (default: 512*1024)
+   * @param {number} options.heapStackDepth - Heap profile stack depth (default: 64)
+   * @param {boolean} options.requestLabels - Label CPU samples with the request they were taken
+   *   in, see runWithRequestLabels() (default: false)
+   * @param {boolean|Object} options.sourceMaps - Resolve frames through the source maps found in
+   *   `sourceMaps.dirs` (default: false, dirs default to the working directory)
+   * @param {Object} options.logger - Pino logger (optional)
+   */
   constructor (options = {}) {
     this.heapSamplingInterval = options.heapSamplingInterval || 512 * 1024
     this.heapStackDepth = options.heapStackDepth || 64
-    this.heapStarted = false
+    this.requestLabels = options.requestLabels ?? false
     this.logger = options.logger?.child({ component: 'profiler' }) || options.logger
+
+    // The profilers map frames when serializing, so the mapper can be handed out before it's filled
+    this.sourceMapper = undefined
+    this.sourceMapsLoaded = Promise.resolve()
+    if (options.sourceMaps) {
+      const { dirs = [process.cwd()] } = options.sourceMaps === true ? {} : options.sourceMaps
+      this.sourceMapper = new pprof.SourceMapper()
+      this.sourceMapsLoaded = loadSourceMaps(this.sourceMapper, dirs).then(
+        files => this.logger?.info({ dirs, files }, 'Source maps loaded'),
+        error => this.logger?.warn({ err: error, dirs }, 'Failed to load source maps, frames stay unmapped')
+      )
+    }
   }
 
   /**
-   * Initialize heap profiling (only needs to be called once)
+   * Initialize heap profiling (only needs to be called once per process)
    */
   startHeapProfiling () {
-    if (!this.heapStarted) {
+    if (!heapSettings) {
       pprof.heap.start(this.heapSamplingInterval, this.heapStackDepth)
-      this.heapStarted = true
+      heapSettings = { interval: this.heapSamplingInterval, depth: this.heapStackDepth }
       this.logger?.debug(
         { heapSamplingInterval: this.heapSamplingInterval, heapStackDepth: this.heapStackDepth },
         'Heap profiling initialized'
@@ -29,61 +63,312 @@ export class Profiler {
    * Stop heap profiling
    */
   stopHeapProfiling () {
-    if (this.heapStarted) {
+    if (heapSettings) {
       pprof.heap.stop()
-      this.heapStarted = false
+      heapSettings = null
       this.logger?.debug('Heap profiling stopped')
     }
   }
 
   /**
-   * Collect both CPU and heap profiles concurrently
+   * Collect CPU and heap profiles concurrently
    *
    * @param {number} duration - Duration in milliseconds
-   * @returns {Promise<{cpu: Profile, heap: Profile}>}
+   * @param {Object} options - Options
+   * @param {string[]} options.types - Profile types to collect (default: ['cpu', 'heap'])
+   * @param {number} options.cpuInterval - CPU sampling interval in microseconds (default: 1000)
+   * @param {string} options.cpuMode - 'wall' for wall time or 'cpu' for CPU time (default: 'wall')
+   * @param {number} options.heapDepth - Heap profile stack depth (default: the instance's heapStackDepth)
+   * @returns {Promise<{cpu?: Profile, heap?: Profile, 'heap-growth'?: Profile}>} Only the requested
+   *   types are set, `heap` also brings `heap-growth`
    */
-  async collectProfiles (duration) {
+  async collectProfiles (duration, options = {}) {
+    const { types = ['cpu', 'heap'], cpuInterval, cpuMode, heapDepth } = options
+
+    // Heap baselines taken before the maps are in wouldn't match the mapped end samples
+    await this.sourceMapsLoaded
+
     // Ensure heap profiling is started
     this.startHeapProfiling()
 
-    // Collect both profiles concurrently
-    const [cpuProfile, heapProfile] = await Promise.all([
-      this.collectCPUProfile(duration),
-      this.collectHeapProfile(duration)
+    // Collect the requested profiles concurrently
+    const [cpuProfile, heapProfiles] = await Promise.all([
+      types.includes('cpu') ? this.collectCPUProfile(duration, { interval: cpuInterval, mode: cpuMode }) : null,
+      types.includes('heap') ? this.collectHeapProfile(duration, { stackDepth: heapDepth }) : null
     ])
 
-    return {
-      cpu: cpuProfile,
-      heap: heapProfile
+    const profiles = {}
+    if (cpuProfile) {
+      profiles.cpu = cpuProfile
+    }
+    if (heapProfiles) {
+      profiles.heap = heapProfiles.inUse
+      profiles['heap-growth'] = heapProfiles.growth
     }
+    return profiles
   }
 
   /**
    * Collect a CPU profile
    *
+   * While continuous profiling runs the capture is cut from its stream, so
+   * the stream's interval and mode apply instead.
+   *
    * @param {number} duration - Duration in milliseconds
+   * @param {Object} options - Options
+   * @param {number} options.interval - Sampling interval in microseconds (default: 1000)
+   * @param {string} options.mode - 'wall' for wall time or 'cpu' for CPU time (default: 'wall')
    * @returns {Promise<Profile>}
    */
-  async collectCPUProfile (duration) {
-    this.logger?.debug({ duration, type: 'cpu' }, 'Starting CPU profile collection')
-    const profile = await pprof.time.profile({ durationMillis: duration })
+  async collectCPUProfile (duration, options = {}) {
+    const { interval = 1000, mode = 'wall' } = options
+    this.logger?.debug({ duration, type: 'cpu', interval, mode }, 'Starting CPU profile collection')
+
+    let profile
+    if (continuous) {
+      profile = await this.collectContinuousWindows(duration)
+    } else {
+      pprof.time.start(this.timeProfilerOptions(interval, mode))
+      if (this.requestLabels) {
+        startRequestLabelTracking()
+      }
+      try {
+        await new Promise(resolve => setTimeout(resolve, duration))
+      } finally {
+        if (this.requestLabels) {
+          stopRequestLabelTracking()
+        }
+        profile = pprof.time.stop(false, generateRequestLabels)
+      }
+      if (mode === 'cpu') {
+        toCpuTimeProfile(profile)
+      }
+      // Every labelled sample comes out on its own, fold identical ones together
+      profile = mergeProfiles([profile])
+    }
+
     this.logger?.info({ type: 'cpu', duration }, 'CPU profile collected successfully')
     return profile
   }
 
   /**
-   * Collect a heap profile (waits for duration then samples)
+   * Collect heap profiles for the capture window
    *
-   * @param {number} duration - Duration in milliseconds (for consistency with CPU profiling)
-   * @returns {Promise<Profile>}
+   * The heap profiler samples live memory since it started, so a baseline is
+   * taken at the start and subtracted from the end sample to isolate what
+   * the window added.
+   *
+   * Heap profiling runs for the whole process with one stack depth. Asking
+   * for a different depth restarts it, so the in-use profile then only holds
+   * allocations made during the capture.
+   *
+   * @param {number} duration - Duration in milliseconds
+   * @param {Object} options - Options
+   * @param {number} options.stackDepth - Maximum stack depth (default: the current depth)
+   * @returns {Promise<{inUse: Profile, growth: Profile}>} Memory in use at the end, and the part
+   *   of it that grew during the window
    */
-  async collectHeapProfile (duration) {
-    this.logger?.debug({ duration, type: 'heap' }, 'Starting heap profile collection')
-    // Wait for the same duration as CPU profiling for consistency
+  async collectHeapProfile (duration, options = {}) {
+    const { stackDepth } = options
+    this.logger?.debug({ duration, type: 'heap', stackDepth }, 'Starting heap profile collection')
+
+    if (stackDepth && heapSettings && stackDepth !== heapSettings.depth) {
+      pprof.heap.stop()
+      pprof.heap.start(heapSettings.interval, stackDepth)
+      heapSettings = { ...heapSettings, depth: stackDepth }
+      this.logger?.info({ stackDepth }, 'Heap profiling restarted with new stack depth')
+    }
+
+    const baseline = pprof.heap.profile(undefined, this.sourceMapper)
     await new Promise(resolve => setTimeout(resolve, duration))
-    const profile = await pprof.heap.profile()
-    this.logger?.info({ type: 'heap', duration }, 'Heap profile collected successfully')
-    return profile
+    const inUse = pprof.heap.profile(undefined, this.sourceMapper)
+    const growth = subtractProfile(inUse, baseline)
+
+    this.logger?.info({ type: 'heap', duration, grownStacks: growth.sample.length }, 'Heap profile collected successfully')
+    return { inUse, growth }
+  }
+
+  /**
+   * Options of `pprof.time.start()` for a sampling interval and mode
+   *
+   * @param {number} interval - Sampling interval in microseconds
+   * @param {string} mode - 'wall' or 'cpu'
+   * @returns {Object}
+   */
+  timeProfilerOptions (interval, mode) {
+    return {
+      intervalMicros: interval,
+      sourceMapper: this.sourceMapper,
+      // Contexts carry the request labels. pprof records CPU time per context, so it requires them too
+      withContexts: this.requestLabels || mode === 'cpu',
+      ...(mode === 'cpu' && { collectCpuTime: true })
+    }
+  }
+
+  /**
+   * Start continuous CPU profiling in back-to-back windows, keeping the most
+   * recent ones in a ring buffer
+   *
+   * While running, on-demand CPU captures are cut from the continuous stream
+   * since V8 can't run a second CPU profiler.
+   *
+   * @param {Object} options - Options
+   * @param {number} options.window - Length of each window in milliseconds (default: 10000)
+   * @param {number} options.windows - Number of windows to keep (default: 6)
+   * @param {number} options.interval - Sampling interval in microseconds (default: 1000)
+   * @param {string} options.mode - 'wall' for wall time or 'cpu' for CPU time (default: 'wall')
+   */
+  startContinuousProfiling (options = {}) {
+    if (continuous) {
+      return
+    }
+
+    const { window = 10000, windows = 6, interval = 1000, mode = 'wall' } = options
+    // Every cut restarts the profiler with these settings
+    pprof.time.start(this.timeProfilerOptions(interval, mode))
+    if (this.requestLabels) {
+      startRequestLabelTracking()
+    }
+    continuous = {
+      window,
+      mode,
+      requestLabels: this.requestLabels,
+      maxWindows: windows,
+      windows: [],
+      // Profiles cut from the window in progress, see cutWindow()
+      parts: [],
+      captures: new Set(),
+      windowStart: Date.now(),
+      timer: null
+    }
+    this.scheduleWindow()
+    this.logger?.info({ window, windows, interval, mode }, 'Continuous profiling started')
+  }
+
+  /**
+   * Stop continuous profiling and drop the buffered windows
+   */
+  stopContinuousProfiling () {
+    if (!continuous) {
+      return
+    }
+
+    clearTimeout(continuous.timer)
+    if (continuous.requestLabels) {
+      stopRequestLabelTracking()
+    }
+    pprof.time.stop()
+    continuous = null
+    this.logger?.info('Continuous profiling stopped')
+  }
+
+  /**
+   * Check if continuous profiling is running
+   *
+   * @returns {boolean}
+   */
+  isContinuousProfiling () {
+    return continuous !== null
+  }
+
+  /**
+   * Merge the buffered windows covering the last `last` milliseconds into one profile
+   *
+   * The window in progress is included so the profile reaches up to now.
+   *
+   * @param {number} last - How far back to look in milliseconds
+   * @returns {{profile: Profile, windows: number, start: number, end: number}|null}
+   *   Null when continuous profiling isn't running or has no windows yet
+   */
+  getRecentProfile (last) {
+    if (!continuous) {
+      return null
+    }
+
+    this.cutWindow()
+    const now = Date.now()
+    const current = { profiles: continuous.parts, start: continuous.windowStart, end: now }
+    const windows = [...continuous.windows, current].filter(window => window.end > now - last)
+
+    return {
+      profile: mergeProfiles(windows.flatMap(window => window.profiles)),
+      windows: windows.length,
+      start: windows[0].start,
+      end: windows[windows.length - 1].end
+    }
+  }
+
+  /**
+   * Collect a CPU profile from the continuous stream by gathering every
+   * window closed during the capture
+   *
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<Profile>}
+   */
+  async collectContinuousWindows (duration) {
+    const state = continuous
+    const collected = []
+
+    // Cut the stream so nothing from before the capture leaks in
+    this.cutWindow()
+    state.captures.add(collected)
+    try {
+      await new Promise(resolve => setTimeout(resolve, duration))
+      if (continuous === state) {
+        this.cutWindow()
+      }
+    } finally {
+      state.captures.delete(collected)
+    }
+
+    if (collected.length === 0) {
+      throw new Error('Continuous profiling stopped during capture')
+    }
+    return mergeProfiles(collected)
+  }
+
+  /**
+   * Take what the profiler collected since the last cut, closing the window
+   * in progress when `complete` is set
+   *
+   * Reads of recent data and on-demand captures cut mid-window. Those parts
+   * stay with the window in progress, so the ring keeps full-length windows.
+   * Past MAX_WINDOW_PARTS they are merged, polling /recent would pile them up
+   * until the window closes.
+   *
+   * @param {boolean} complete - Whether the window is full
+   */
+  cutWindow (complete = false) {
+    const profile = pprof.time.stop(true, generateRequestLabels)
+    if (continuous.mode === 'cpu') {
+      toCpuTimeProfile(profile)
+    }
+    continuous.parts.push(profile)
+    if (continuous.parts.length > MAX_WINDOW_PARTS) {
+      continuous.parts = [mergeProfiles(continuous.parts)]
+    }
+    for (const capture of continuous.captures) {
+      capture.push(profile)
+    }
+
+    if (complete) {
+      const end = Date.now()
+      continuous.windows.push({ profiles: continuous.parts, start: continuous.windowStart, end })
+      if (continuous.windows.length > continuous.maxWindows) {
+        continuous.windows.shift()
+      }
+      continuous.parts = []
+      continuous.windowStart = end
+      this.scheduleWindow()
+    }
+  }
+
+  /**
+   * Close the current window once it is full
+   */
+  scheduleWindow () {
+    continuous.timer = setTimeout(() => this.cutWindow(true), continuous.window)
+    continuous.timer.unref()
   }
 
   /**
@@ -102,3 +387,25 @@ export class Profiler {
     return buffer
   }
 }
+
+/**
+ * Turn a wall-time profile with CPU time into a CPU-time profile by dropping
+ * the wall values, so flamegraphs show where CPU time was spent
+ *
+ * @param {Profile} profile - Profile collected with `collectCpuTime`, changed in place
+ */
+function toCpuTimeProfile (profile) {
+  const strings = profile.stringTable.strings
+  const keep = profile.sampleType
+    .map((sampleType, index) => strings[Number(sampleType.type)] === 'wall' ? -1 : index)
+    .filter(index => index !== -1)
+
+  profile.sampleType = keep.map(index => profile.sampleType[index])
+  profile.sample = profile.sample
+    .map(sample => {
+      sample.value = keep.map(index => sample.value[index])
+      return sample
+    })
+    .filter(sample => Number(sample.value[sample.value.length - 1]) > 0)
+  profile.periodType = profile.sampleType[profile.sampleType.length - 1]
+}
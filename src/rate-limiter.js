@@ -0,0 +1,99 @@
+const HOUR = 60 * 60 * 1000
+
+/**
+ * Limits how often profile captures can be started
+ *
+ * Every capture adds CPU overhead and takes a storage slot, so starts are
+ * throttled by a cooldown, a count per window (globally and per client) and
+ * a cap on the total time profiled per hour. All limits are optional.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limits
+   * @param {number} options.cooldown - Minimum time in ms between two capture starts
+   * @param {number} options.window - Window in ms for the capture counts (default: 60000)
+   * @param {number} options.maxCaptures - Maximum captures per window across all clients
+   * @param {number} options.maxCapturesPerClient - Maximum captures per window for a single client
+   * @param {number} options.maxProfiledTimePerHour - Maximum total capture duration in ms per hour
+   */
+  constructor (options = {}) {
+    this.cooldown = options.cooldown || 0
+    this.window = options.window || 60 * 1000
+    this.maxCaptures = options.maxCaptures || Infinity
+    this.maxCapturesPerClient = options.maxCapturesPerClient || Infinity
+    this.maxProfiledTimePerHour = options.maxProfiledTimePerHour || Infinity
+    this.history = []
+  }
+
+  /**
+   * Check whether a capture may start now
+   *
+   * @param {string} clientKey - Key identifying the client
+   * @param {number} duration - Requested capture duration in ms
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {{allowed: true}|{allowed: false, reason: string, retryAfter: number}}
+   *   `retryAfter` is in milliseconds
+   */
+  check (clientKey, duration, now = Date.now()) {
+    this.prune(now)
+
+    const last = this.history[this.history.length - 1]
+    if (last && now - last.time < this.cooldown) {
+      return deny('cooldown', last.time + this.cooldown - now)
+    }
+
+    const inWindow = this.history.filter(entry => now - entry.time < this.window)
+    if (inWindow.length >= this.maxCaptures) {
+      return deny('max-captures', inWindow[inWindow.length - this.maxCaptures].time + this.window - now)
+    }
+
+    const clientInWindow = inWindow.filter(entry => entry.clientKey === clientKey)
+    if (clientInWindow.length >= this.maxCapturesPerClient) {
+      const oldest = clientInWindow[clientInWindow.length - this.maxCapturesPerClient]
+      return deny('max-captures-per-client', oldest.time + this.window - now)
+    }
+
+    if (duration > this.maxProfiledTimePerHour) {
+      return deny('max-profiled-time', HOUR)
+    }
+
+    // Wait until enough of the last hour's captures fall out to make room
+    const inHour = this.history.filter(entry => now - entry.time < HOUR)
+    let profiled = inHour.reduce((total, entry) => total + entry.duration, 0)
+    if (profiled + duration > this.maxProfiledTimePerHour) {
+      for (const entry of inHour) {
+        profiled -= entry.duration
+        if (profiled + duration <= this.maxProfiledTimePerHour) {
+          return deny('max-profiled-time', entry.time + HOUR - now)
+        }
+      }
+    }
+
+    return { allowed: true }
+  }
+
+  /**
+   * Record a capture start
+   *
+   * @param {string} clientKey - Key identifying the client
+   * @param {number} duration - Capture duration in ms
+   * @param {number} now - Current time (default: Date.now())
+   */
+  record (clientKey, duration, now = Date.now()) {
+    this.history.push({ clientKey, duration, time: now })
+  }
+
+  /**
+   * Drop captures older than every limit looks back
+   */
+  prune (now) {
+    const horizon = Math.max(this.window, HOUR)
+    while (this.history.length > 0 && now - this.history[0].time >= horizon) {
+      this.history.shift()
+    }
+  }
+}
+
+function deny (reason, retryAfter) {
+  return { allowed: false, reason, retryAfter: Math.max(0, retryAfter) }
+}
@@ -0,0 +1,80 @@
+import { AsyncLocalStorage, createHook } from 'node:async_hooks'
+import pprof from '@datadog/pprof'
+
+// The request each piece of async work belongs to
+const requestContext = new AsyncLocalStorage()
+
+// Samples outside of any request carry this context, and so no labels
+const NO_CONTEXT = {}
+
+// The CPU profiler only reads the context it was last given, so it has to be
+// handed the current request's one every time async work resumes
+const hook = createHook({
+  before () {
+    setProfilerContext(requestContext.getStore())
+  }
+})
+let tracking = 0
+
+/**
+ * Run a request's handler with its labels attached to the CPU samples taken
+ * while it works, including in callbacks and promises it starts
+ *
+ * Labels are read when the profile is serialized rather than now, so values
+ * only known once routing is done (like the route pattern) still make it in.
+ *
+ * @param {function(): Object<string, string|number>} getLabels - Returns the request's labels
+ * @param {Function} fn - Handler to run
+ * @returns {*} What `fn` returns
+ */
+export function runWithRequestLabels (getLabels, fn) {
+  const previous = requestContext.getStore()
+  const context = { getLabels }
+  try {
+    return requestContext.run(context, () => {
+      setProfilerContext(context)
+      return fn()
+    })
+  } finally {
+    setProfilerContext(previous)
+  }
+}
+
+/**
+ * Start handing request contexts to the CPU profiler, call once it started
+ *
+ * Tracking hooks into every async callback, so it is only on while a CPU
+ * profile is collected. Calls are counted, each needs a matching
+ * `stopRequestLabelTracking()`.
+ */
+export function startRequestLabelTracking () {
+  if (tracking++ === 0) {
+    hook.enable()
+  }
+}
+
+/**
+ * Stop handing request contexts to the CPU profiler
+ */
+export function stopRequestLabelTracking () {
+  if (tracking > 0 && --tracking === 0) {
+    hook.disable()
+  }
+}
+
+/**
+ * Turn the context recorded with a CPU sample into its labels, for the
+ * `generateLabels` argument of `pprof.time.stop()`
+ *
+ * @param {{context?: {context?: Object}}} args - Sample node and context
+ * @returns {Object<string, string|number>}
+ */
+export function generateRequestLabels ({ context }) {
+  return context?.context?.getLabels?.() || {}
+}
+
+function setProfilerContext (context) {
+  if (tracking > 0 && pprof.time.isStarted()) {
+    pprof.time.setContext(context || NO_CONTEXT)
+  }
+}
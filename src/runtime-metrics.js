@@ -0,0 +1,98 @@
+import { monitorEventLoopDelay, performance, PerformanceObserver } from 'node:perf_hooks'
+
+/**
+ * Samples runtime metrics at a fixed interval while a capture runs, so the
+ * results page can show what the process looked like next to the flamegraph
+ *
+ * Every sample covers the interval before it: the longest event-loop delay,
+ * event-loop utilization and time spent in GC pauses, plus RSS, heap used
+ * and the number of active handles at the time it was taken.
+ */
+export class RuntimeMetricsRecorder {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.interval - Sampling interval in ms (default: 250)
+   */
+  constructor (options = {}) {
+    this.interval = options.interval || 250
+    this.samples = []
+    this.timer = null
+    this.histogram = null
+    this.observer = null
+    this.startTime = 0
+    this.lastUtilization = null
+    this.gcPause = 0
+    this.gcCount = 0
+  }
+
+  /**
+   * Start sampling
+   */
+  start () {
+    if (this.timer) {
+      return
+    }
+
+    this.histogram = monitorEventLoopDelay({ resolution: 10 })
+    this.histogram.enable()
+    this.observer = new PerformanceObserver(list => {
+      for (const entry of list.getEntries()) {
+        this.gcPause += entry.duration
+        this.gcCount++
+      }
+    })
+    this.observer.observe({ entryTypes: ['gc'] })
+
+    this.startTime = Date.now()
+    this.lastUtilization = performance.eventLoopUtilization()
+    this.timer = setInterval(() => this.sample(), this.interval)
+    this.timer.unref()
+  }
+
+  /**
+   * Stop sampling
+   *
+   * @returns {{interval: number, startTime: number, samples: Object[]}} The recorded timeline
+   */
+  stop () {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.sample()
+      this.timer = null
+      this.histogram.disable()
+      this.histogram = null
+      this.observer.disconnect()
+      this.observer = null
+    }
+    return { interval: this.interval, startTime: this.startTime, samples: this.samples }
+  }
+
+  /**
+   * Take one sample of every metric
+   */
+  sample () {
+    const utilization = performance.eventLoopUtilization(this.lastUtilization)
+    this.lastUtilization = performance.eventLoopUtilization()
+    const memory = process.memoryUsage()
+
+    this.samples.push({
+      time: Date.now() - this.startTime,
+      // The histogram reports nanoseconds
+      eventLoopDelay: round(this.histogram.max / 1e6),
+      eventLoopUtilization: round(utilization.utilization),
+      gcPause: round(this.gcPause),
+      gcCount: this.gcCount,
+      rss: memory.rss,
+      heapUsed: memory.heapUsed,
+      activeHandles: process.getActiveResourcesInfo().length
+    })
+
+    this.histogram.reset()
+    this.gcPause = 0
+    this.gcCount = 0
+  }
+}
+
+function round (value) {
+  return Math.round(value * 1000) / 1000
+}
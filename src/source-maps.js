@@ -0,0 +1,113 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { SourceMap } from 'node:module'
+import pprof from '@datadog/pprof'
+
+const INLINE_SOURCE_MAP = /\/\/[#@] sourceMappingURL=data:application\/json;(?:charset=[\w-]+;)?base64,([A-Za-z0-9+/=]+)\s*$/
+
+/**
+ * Load the source maps of the JavaScript files under `dirs` into a
+ * `SourceMapper`, so profiles serialized with it point to original files,
+ * lines and function names
+ *
+ * `.map` files are loaded by `SourceMapper` itself, maps inlined as a data
+ * URL in the generated file are added to it. `node_modules` and `.git` are
+ * skipped. Frames without a map are left as they are.
+ *
+ * Maps are handed over through `infoMap`, which isn't part of the documented
+ * `SourceMapper` interface. When it's missing the promise rejects and frames
+ * stay unmapped.
+ *
+ * @param {SourceMapper} mapper - Mapper to fill, it can already be handed to the profilers
+ * @param {string[]} dirs - Directories to search
+ * @returns {Promise<number>} Number of generated files with a source map
+ */
+export async function loadSourceMaps (mapper, dirs) {
+  const onDisk = await pprof.SourceMapper.create(dirs)
+  if (!(mapper.infoMap instanceof Map) || !(onDisk.infoMap instanceof Map)) {
+    throw new Error('SourceMapper of @datadog/pprof has no infoMap to load source maps into')
+  }
+  for (const [file, info] of onDisk.infoMap) {
+    mapper.infoMap.set(file, info)
+  }
+
+  let files = 0
+  for (const dir of dirs) {
+    for await (const file of findScripts(path.resolve(dir))) {
+      if (mapper.hasMappingInfo(file)) {
+        files++
+        continue
+      }
+      const payload = await readInlineSourceMap(file)
+      if (payload) {
+        mapper.infoMap.set(file, { mapFileDir: path.dirname(file), mapConsumer: toMapConsumer(payload) })
+        files++
+      }
+    }
+  }
+  return files
+}
+
+/**
+ * Find JavaScript files under a directory
+ */
+async function * findScripts (dir) {
+  let entries
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true })
+  } catch {
+    return
+  }
+
+  for (const entry of entries) {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory() && entry.name !== 'node_modules' && entry.name !== '.git') {
+      yield * findScripts(file)
+    } else if (entry.isFile() && /\.[cm]?js$/.test(entry.name)) {
+      yield file
+    }
+  }
+}
+
+/**
+ * Read the source map inlined at the end of a generated file
+ *
+ * @returns {Promise<Object|null>} Parsed source map, null when the file has none or it's invalid
+ */
+async function readInlineSourceMap (file) {
+  try {
+    const match = (await fs.readFile(file, 'utf8')).match(INLINE_SOURCE_MAP)
+    return match ? JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Wrap a source map payload in Node.js' own parser, behind the part of the
+ * `source-map` consumer interface `SourceMapper` uses
+ *
+ * @param {Object} payload - Parsed source map
+ * @returns {{originalPositionFor: Function}}
+ */
+function toMapConsumer (payload) {
+  const sourceMap = new SourceMap(payload)
+  const sourceRoot = payload.sourceRoot || ''
+
+  return {
+    // Lines are 1-based and columns 0-based here, Node.js uses 0-based for both
+    originalPositionFor ({ line, column }) {
+      const entry = sourceMap.findEntry(line - 1, column)
+      // findEntry() falls back to the closest mapping on an earlier line
+      if (!entry.originalSource || entry.generatedLine !== line - 1) {
+        return { source: null, line: null, column: null, name: null }
+      }
+      return {
+        source: path.join(sourceRoot, entry.originalSource),
+        line: entry.originalLine + 1,
+        column: entry.originalColumn,
+        name: entry.name || null
+      }
+    }
+  }
+}
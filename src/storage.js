@@ -1,14 +1,42 @@
 import crypto from 'node:crypto'
 
+// How many expired profile IDs to remember so status lookups can report them
+const MAX_EXPIRED_IDS = 100
+
+/**
+ * Interface every storage backend passed as `createFlamegraphMiddleware({ storage })`
+ * must implement. Methods may return plain values or promises, the middleware
+ * awaits every call.
+ *
+ * @typedef {Object} StorageBackend
+ * @property {function(): string|Promise<string>} generateId - Generate a unique profile ID
+ * @property {function(string, Object): void|Promise<void>} markInProgress - Record a session that started collecting
+ * @property {function(string): boolean|Promise<boolean>} isInProgress - Check if a session is still collecting
+ * @property {function(string): Object|null|Promise<Object|null>} getInProgressMetadata - Metadata of a collecting session
+ * @property {function(string, {message: string, phase: string}): void|Promise<void>} markFailed - Record a session whose collection failed
+ * @property {function(string, Object): void|Promise<void>} storeProfile - Store the encoded buffers of a finished session
+ * @property {function(string): Object|null|Promise<Object|null>} getProfile - Get the stored buffers of a session
+ * @property {function(string): void|Promise<void>} deleteProfile - Delete a stored or failed session
+ * @property {function(string): Object|null|Promise<Object|null>} getStatus - Status of a session
+ * @property {function(): Object[]|Promise<Object[]>} listProfiles - Status of every session, newest first
+ * @property {function(): void|Promise<void>} cleanup - Remove all sessions and stop timers
+ */
+
 /**
  * In-memory storage for profile data with automatic expiration
+ *
+ * @implements {StorageBackend}
  */
 export class ProfileStorage {
   constructor (options = {}) {
     this.maxProfiles = options.maxProfiles || 10
     this.profileTTL = options.profileTTL || 5 * 60 * 1000 // 5 minutes default
+    this.collectionTimeout = options.collectionTimeout || 60 * 1000 // 1 minute grace after duration
     this.profiles = new Map()
     this.inProgress = new Map()
+    this.failed = new Map()
+    this.watchdogs = new Map()
+    this.expired = new Map()
     this.logger = options.logger?.child({ component: 'storage' }) || options.logger
   }
 
@@ -27,16 +55,73 @@ export class ProfileStorage {
    * Mark a profile as in progress
    *
    * @param {string} id - Profile ID
-   * @param {Object} metadata - Profile metadata (duration, startTime, etc.)
+   * @param {Object} metadata - Profile metadata (duration, startTime, etc.), with
+   *   `queued` and `startsIn` set while waiting behind another capture,
+   *   `trigger` set for automatic captures, and `kind: 'upload'` set for
+   *   uploaded profiles
    */
   markInProgress (id, metadata) {
     this.inProgress.set(id, {
       ...metadata,
       startTime: Date.now()
     })
+
+    // Fail the profile if collection never finishes (unref'd so it doesn't keep the process alive)
+    this.clearWatchdog(id)
+    const watchdog = setTimeout(() => {
+      this.logger?.warn({ profileId: id, collectionTimeout: this.collectionTimeout }, 'Profile collection timed out')
+      this.markFailed(id, { message: 'Profile collection timed out', phase: 'timeout' })
+    }, (metadata.startsIn || 0) + (metadata.duration || 0) + this.collectionTimeout)
+    watchdog.unref()
+    this.watchdogs.set(id, watchdog)
+
     this.logger?.debug({ profileId: id, metadata }, 'Marked profile as in-progress')
   }
 
+  /**
+   * Mark an in-progress profile as failed
+   *
+   * @param {string} id - Profile ID
+   * @param {Object} error - Failure details
+   * @param {string} error.message - Error message
+   * @param {string} error.phase - Phase the failure happened in (collect, encode, timeout)
+   */
+  markFailed (id, error) {
+    const metadata = this.inProgress.get(id) || { startTime: Date.now() }
+    this.inProgress.delete(id)
+    this.clearWatchdog(id)
+
+    // Keep the failure around for as long as a profile would be
+    const timeout = setTimeout(() => {
+      this.failed.delete(id)
+      this.markExpired(id)
+    }, this.profileTTL)
+    timeout.unref()
+
+    this.failed.set(id, {
+      metadata,
+      error: { message: error.message, phase: error.phase },
+      failedAt: Date.now(),
+      expiresAt: Date.now() + this.profileTTL,
+      timeout
+    })
+
+    this.logger?.info({ profileId: id, error }, 'Profile marked as failed')
+  }
+
+  /**
+   * Stop the collection watchdog of a profile
+   *
+   * @param {string} id - Profile ID
+   */
+  clearWatchdog (id) {
+    const watchdog = this.watchdogs.get(id)
+    if (watchdog) {
+      clearTimeout(watchdog)
+      this.watchdogs.delete(id)
+    }
+  }
+
   /**
    * Check if a profile is in progress
    *
@@ -64,13 +149,23 @@ export class ProfileStorage {
    * @param {Object} data - Profile data (cpu and heap buffers)
    */
   storeProfile (id, data) {
-    // Remove from in-progress
+    // Carry the in-progress metadata over to the stored profile
+    const metadata = this.inProgress.get(id) || this.failed.get(id)?.metadata || { startTime: Date.now() }
     this.inProgress.delete(id)
+    this.clearWatchdog(id)
+
+    // A collection that finishes after the watchdog fired still wins
+    const failed = this.failed.get(id)
+    if (failed) {
+      clearTimeout(failed.timeout)
+      this.failed.delete(id)
+    }
 
     // Enforce max profiles limit (FIFO eviction)
     if (this.profiles.size >= this.maxProfiles) {
       const oldestId = this.profiles.keys().next().value
-      this.profiles.delete(oldestId)
+      this.deleteProfile(oldestId)
+      this.markExpired(oldestId)
       this.logger?.warn(
         { evictedProfileId: oldestId, newProfileId: id, maxProfiles: this.maxProfiles },
         'Profile evicted due to maxProfiles limit'
@@ -78,20 +173,24 @@ export class ProfileStorage {
     }
 
     // Store with expiration timer (unref'd so it doesn't keep the process alive)
+    const ttl = this.profileTTL
     const timeout = setTimeout(() => {
       this.logger?.debug({ profileId: id }, 'Profile expired and removed')
       this.profiles.delete(id)
-    }, this.profileTTL)
+      this.markExpired(id)
+    }, ttl)
     timeout.unref()
 
+    const size = Object.values(data).reduce((total, buffer) => total + buffer.length, 0)
     this.profiles.set(id, {
       data,
-      expiresAt: Date.now() + this.profileTTL,
+      metadata: { ...metadata, completedAt: Date.now(), size },
+      expiresAt: Date.now() + ttl,
       timeout
     })
 
     this.logger?.info(
-      { profileId: id, ttl: this.profileTTL, currentCount: this.profiles.size },
+      { profileId: id, ttl, currentCount: this.profiles.size },
       'Profile stored successfully'
     )
   }
@@ -111,7 +210,8 @@ export class ProfileStorage {
 
     // Check if expired (should have been cleaned up, but double-check)
     if (Date.now() > entry.expiresAt) {
-      this.profiles.delete(id)
+      this.deleteProfile(id)
+      this.markExpired(id)
       this.logger?.debug({ profileId: id, found: false, reason: 'expired' }, 'Profile retrieval attempted')
       return null
     }
@@ -126,11 +226,120 @@ export class ProfileStorage {
    * @param {string} id - Profile ID
    */
   deleteProfile (id) {
-    const entry = this.profiles.get(id)
+    const entry = this.profiles.get(id) || this.failed.get(id)
     if (entry && entry.timeout) {
       clearTimeout(entry.timeout)
     }
     this.profiles.delete(id)
+    this.failed.delete(id)
+  }
+
+  /**
+   * Remember that a profile expired or was evicted
+   *
+   * @param {string} id - Profile ID
+   */
+  markExpired (id) {
+    this.expired.set(id, Date.now())
+
+    // Only keep the most recent IDs around
+    if (this.expired.size > MAX_EXPIRED_IDS) {
+      this.expired.delete(this.expired.keys().next().value)
+    }
+  }
+
+  /**
+   * Get the status of a profile session
+   *
+   * @param {string} id - Profile ID
+   * @returns {Object|null} Status object or null if the ID is unknown
+   */
+  getStatus (id) {
+    const metadata = this.inProgress.get(id)
+    if (metadata?.queued) {
+      return {
+        id,
+        status: 'queued',
+        startTime: metadata.startTime,
+        duration: metadata.duration,
+        trigger: metadata.trigger,
+        threads: metadata.threads,
+        kind: metadata.kind,
+        startsIn: Math.max(0, metadata.startsIn - (Date.now() - metadata.startTime))
+      }
+    }
+
+    if (metadata) {
+      const elapsed = Date.now() - metadata.startTime
+      return {
+        id,
+        status: 'in-progress',
+        startTime: metadata.startTime,
+        duration: metadata.duration,
+        trigger: metadata.trigger,
+        threads: metadata.threads,
+        kind: metadata.kind,
+        remaining: Math.max(0, metadata.duration - elapsed)
+      }
+    }
+
+    const entry = this.profiles.get(id)
+    if (entry && Date.now() <= entry.expiresAt) {
+      return {
+        id,
+        status: 'completed',
+        startTime: entry.metadata.startTime,
+        duration: entry.metadata.duration,
+        trigger: entry.metadata.trigger,
+        threads: entry.metadata.threads,
+        kind: entry.metadata.kind,
+        completedAt: entry.metadata.completedAt,
+        expiresAt: entry.expiresAt,
+        expiresIn: Math.max(0, entry.expiresAt - Date.now()),
+        size: entry.metadata.size,
+        types: Object.keys(entry.data)
+      }
+    }
+
+    const failed = this.failed.get(id)
+    if (failed) {
+      return {
+        id,
+        status: 'failed',
+        startTime: failed.metadata.startTime,
+        duration: failed.metadata.duration,
+        trigger: failed.metadata.trigger,
+        threads: failed.metadata.threads,
+        kind: failed.metadata.kind,
+        failedAt: failed.failedAt,
+        expiresAt: failed.expiresAt,
+        expiresIn: Math.max(0, failed.expiresAt - Date.now()),
+        error: failed.error
+      }
+    }
+
+    if (entry || this.expired.has(id)) {
+      return {
+        id,
+        status: 'expired',
+        expiredAt: entry ? entry.expiresAt : this.expired.get(id)
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * List all in-progress, stored and failed profile sessions, newest first
+   *
+   * @returns {Object[]} Status objects as returned by getStatus()
+   */
+  listProfiles () {
+    const ids = [...this.inProgress.keys(), ...this.profiles.keys(), ...this.failed.keys()]
+    return ids
+      .map(id => this.getStatus(id))
+      .filter(status => status && status.status !== 'expired')
+      .sort((a, b) => b.startTime - a.startTime)
   }
 
   /**
@@ -141,14 +350,20 @@ export class ProfileStorage {
     const inProgressCount = this.inProgress.size
 
     // Clear all timeouts
-    for (const entry of this.profiles.values()) {
+    for (const entry of [...this.profiles.values(), ...this.failed.values()]) {
       if (entry.timeout) {
         clearTimeout(entry.timeout)
       }
     }
+    for (const watchdog of this.watchdogs.values()) {
+      clearTimeout(watchdog)
+    }
 
     this.profiles.clear()
     this.inProgress.clear()
+    this.failed.clear()
+    this.watchdogs.clear()
+    this.expired.clear()
 
     this.logger?.debug(
       { clearedProfiles: profileCount, clearedInProgress: inProgressCount },
@@ -0,0 +1,54 @@
+import {
+  forEachStack,
+  getDefaultSampleIndex,
+  getSampleTypes
+} from './pprof-utils.js'
+
+/**
+ * Add up the self and total value of every function in a decoded profile
+ *
+ * Self is what was sampled in the function itself, total also counts its
+ * callees. Recursive functions count once per stack towards their total.
+ *
+ * @param {Profile} profile - Decoded profile
+ * @param {Object} options - Options
+ * @param {number} options.limit - Keep only this many functions, the ones with the highest total (default: 500)
+ * @returns {{functions: Array<{name: string, file: string, line: number, self: number, total: number}>,
+ *   total: number, sampleType: {type: string, unit: string}}} Functions sorted by total, and the
+ *   value of the whole profile
+ */
+export function getTopFunctions (profile, options = {}) {
+  const { limit = 500 } = options
+  const sampleIndex = getDefaultSampleIndex(profile)
+  const functions = new Map()
+  let total = 0
+
+  forEachStack(profile, sampleIndex, (stack, value) => {
+    total += value
+
+    const seen = new Set()
+    stack.forEach((frame, i) => {
+      const key = `${frame.name}\0${frame.file}`
+      let fn = functions.get(key)
+      if (!fn) {
+        fn = { name: frame.name, file: frame.file, line: frame.line, self: 0, total: 0 }
+        functions.set(key, fn)
+      }
+      if (!seen.has(key)) {
+        fn.total += value
+        seen.add(key)
+      }
+      if (i === stack.length - 1) {
+        fn.self += value
+      }
+    })
+  })
+
+  return {
+    functions: [...functions.values()]
+      .sort((a, b) => b.total - a.total || b.self - a.self)
+      .slice(0, limit),
+    total,
+    sampleType: getSampleTypes(profile)[sampleIndex]
+  }
+}
@@ -0,0 +1,141 @@
+import { monitorEventLoopDelay } from 'node:perf_hooks'
+
+/**
+ * Watches event-loop lag and process CPU usage, calling back when a
+ * threshold has been exceeded for a sustained period
+ *
+ * Each metric is sampled every `checkInterval`. A trigger fires once every
+ * sample over `sustain` milliseconds was above its threshold, then the
+ * monitor stays quiet for `cooldown` milliseconds.
+ */
+export class TriggerMonitor {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.eventLoopDelay - Event-loop delay threshold in ms (optional)
+   * @param {number} options.eventLoopPercentile - Delay percentile compared to the threshold (default: 99)
+   * @param {number} options.cpu - Process CPU usage threshold in percent of one core (optional)
+   * @param {number} options.sustain - How long a threshold must be exceeded in ms (default: 5000)
+   * @param {number} options.cooldown - Minimum time between two triggers in ms (default: 300000)
+   * @param {number} options.checkInterval - Sampling interval in ms (default: 1000)
+   * @param {function(Object): void} options.onTrigger - Called with `{ metric, value, threshold, sustained, reason }`
+   * @param {Object} options.logger - Pino logger instance (optional)
+   */
+  constructor (options = {}) {
+    this.eventLoopDelay = options.eventLoopDelay
+    this.eventLoopPercentile = options.eventLoopPercentile || 99
+    this.cpu = options.cpu
+    this.sustain = options.sustain ?? 5000
+    this.cooldown = options.cooldown ?? 5 * 60 * 1000
+    this.checkInterval = options.checkInterval || 1000
+    this.onTrigger = options.onTrigger
+    this.logger = options.logger?.child({ component: 'trigger-monitor' }) || options.logger
+
+    if (this.eventLoopDelay === undefined && this.cpu === undefined) {
+      throw new Error('TriggerMonitor needs an eventLoopDelay or cpu threshold')
+    }
+
+    this.histogram = null
+    this.timer = null
+    this.lastCpuUsage = null
+    this.lastCheck = 0
+    this.lastTrigger = 0
+    this.breaches = new Map()
+  }
+
+  /**
+   * Start sampling
+   */
+  start () {
+    if (this.timer) {
+      return
+    }
+
+    if (this.eventLoopDelay !== undefined) {
+      this.histogram = monitorEventLoopDelay({ resolution: 10 })
+      this.histogram.enable()
+    }
+    this.lastCpuUsage = process.cpuUsage()
+    this.lastCheck = Date.now()
+
+    this.timer = setInterval(() => this.check(), this.checkInterval)
+    this.timer.unref()
+    this.logger?.info(
+      { eventLoopDelay: this.eventLoopDelay, cpu: this.cpu, sustain: this.sustain },
+      'Automatic capture monitor started'
+    )
+  }
+
+  /**
+   * Stop sampling
+   */
+  stop () {
+    clearInterval(this.timer)
+    this.timer = null
+    this.histogram?.disable()
+    this.histogram = null
+    this.breaches.clear()
+  }
+
+  /**
+   * Take one sample of each metric and fire when a breach has lasted long enough
+   */
+  check () {
+    const now = Date.now()
+    const samples = []
+
+    if (this.histogram) {
+      const delay = this.histogram.percentile(this.eventLoopPercentile) / 1e6
+      this.histogram.reset()
+      samples.push({ metric: 'eventLoopDelay', value: delay, threshold: this.eventLoopDelay })
+    }
+
+    if (this.cpu !== undefined) {
+      const usage = process.cpuUsage(this.lastCpuUsage)
+      this.lastCpuUsage = process.cpuUsage()
+      const elapsed = now - this.lastCheck
+      const percent = elapsed > 0 ? (usage.user + usage.system) / 1000 / elapsed * 100 : 0
+      samples.push({ metric: 'cpu', value: percent, threshold: this.cpu })
+    }
+    this.lastCheck = now
+
+    for (const { metric, value, threshold } of samples) {
+      if (value <= threshold) {
+        this.breaches.delete(metric)
+        continue
+      }
+
+      // A breach starts at the beginning of the first interval above the threshold
+      if (!this.breaches.has(metric)) {
+        this.breaches.set(metric, now - this.checkInterval)
+      }
+
+      const sustained = now - this.breaches.get(metric)
+      if (sustained < this.sustain || now - this.lastTrigger < this.cooldown) {
+        continue
+      }
+
+      this.lastTrigger = now
+      this.breaches.clear()
+      const trigger = { metric, value: Math.round(value * 10) / 10, threshold, sustained }
+      trigger.reason = describeTrigger(trigger, this.eventLoopPercentile)
+      this.logger?.warn(trigger, 'Threshold exceeded, triggering automatic capture')
+      this.onTrigger?.(trigger)
+      return
+    }
+  }
+}
+
+/**
+ * Describe a trigger for people reading the session list or logs
+ *
+ * @param {Object} trigger - Trigger details
+ * @param {number} percentile - Event-loop delay percentile in use
+ * @returns {string}
+ */
+function describeTrigger ({ metric, value, threshold, sustained }, percentile) {
+  const seconds = Math.round(sustained / 1000)
+  if (metric === 'cpu') {
+    return `CPU usage at ${value}%, above ${threshold}% for ${seconds}s`
+  }
+  return `Event-loop delay p${percentile} at ${value}ms, above ${threshold}ms for ${seconds}s`
+}
@@ -0,0 +1,155 @@
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
+import { decodeProfile, getDefaultSampleIndex, getProfileDuration, getSampleTypes } from './pprof-utils.js'
+
+const gunzip = promisify(zlib.gunzip)
+
+// Stored profile type by the unit of the uploaded profile's default sample type
+const TYPES_BY_UNIT = {
+  nanoseconds: 'cpu',
+  bytes: 'heap'
+}
+
+/**
+ * Read a request body, stopping at `maxSize` bytes
+ *
+ * Bodies already read by a raw body parser (`req.body` as a Buffer) are
+ * used as they are, bodies consumed by any other parser are rejected.
+ *
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {number} maxSize - Maximum body size in bytes
+ * @returns {Promise<{body: Buffer}|{error: string, statusCode: number}>}
+ */
+export async function readUploadBody (req, maxSize) {
+  const tooLarge = { error: `The file is larger than the ${formatSize(maxSize)} upload limit.`, statusCode: 413 }
+
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.length > maxSize ? tooLarge : { body: req.body }
+  }
+  // A JSON or form parser got to the stream first, there is nothing left to read
+  if (req._body || req.readableEnded) {
+    return {
+      error: 'The request body was already read by a body parser. Send the file as application/octet-stream, or mount the middleware before the body parsers.',
+      statusCode: 400
+    }
+  }
+  if (Number(req.headers['content-length']) > maxSize) {
+    return tooLarge
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    function onData (chunk) {
+      size += chunk.length
+      if (size > maxSize) {
+        // Discard the rest instead of destroying the socket, so the client gets the 413
+        req.off('data', onData)
+        req.off('end', onEnd)
+        req.resume()
+        return resolve(tooLarge)
+      }
+      chunks.push(chunk)
+    }
+
+    function onEnd () {
+      resolve(size === 0
+        ? { error: 'No file was uploaded.', statusCode: 400 }
+        : { body: Buffer.concat(chunks, size) })
+    }
+
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Check an uploaded file is a CPU or heap pprof profile, gzipped or not
+ *
+ * @param {Buffer} body - Uploaded file
+ * @param {number} maxSize - Maximum uncompressed size in bytes
+ * @returns {Promise<{type: 'cpu'|'heap', buffer: Buffer, duration: number}|{error: string, statusCode: number}>}
+ *   Profile type, uncompressed protobuf and the duration it covers in ms, or why it was rejected
+ */
+export async function parseUploadedProfile (body, maxSize) {
+  let buffer = body
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      buffer = await gunzip(body, { maxOutputLength: maxSize })
+    } catch (error) {
+      return error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? { error: `The uncompressed profile is larger than the ${formatSize(maxSize)} upload limit.`, statusCode: 413 }
+        : { error: `The file is not valid gzip: ${error.message}`, statusCode: 400 }
+    }
+  }
+
+  let profile
+  try {
+    profile = decodeProfile(buffer)
+  } catch (error) {
+    return { error: `The file is not a pprof profile: ${error.message}`, statusCode: 400 }
+  }
+
+  const invalid = validateProfile(profile)
+  if (invalid) {
+    return { error: `The file is not a valid pprof profile: ${invalid}`, statusCode: 400 }
+  }
+
+  const { unit } = getSampleTypes(profile)[getDefaultSampleIndex(profile)]
+  const type = TYPES_BY_UNIT[unit]
+  if (!type) {
+    return { error: `Only CPU (nanoseconds) and heap (bytes) profiles can be viewed, this one measures ${unit || 'nothing'}.`, statusCode: 400 }
+  }
+
+  return { type, buffer: Buffer.from(buffer), duration: getProfileDuration(profile) }
+}
+
+/**
+ * Check the references inside a decoded profile, since protobuf decodes
+ * most byte strings into something
+ *
+ * @returns {string|null} What is wrong, null when the profile is valid
+ */
+function validateProfile (profile) {
+  const strings = profile.stringTable.strings
+  const isString = index => Number(index) >= 0 && Number(index) < strings.length
+  const functionIds = new Set(profile.function.map(fn => Number(fn.id)))
+  const locationIds = new Set(profile.location.map(location => Number(location.id)))
+
+  if (strings[0] !== '') {
+    return 'the string table must start with an empty string'
+  }
+  if (profile.sampleType.length === 0) {
+    return 'it has no sample types'
+  }
+  if (!profile.sampleType.every(sampleType => isString(sampleType.type) && isString(sampleType.unit))) {
+    return 'a sample type refers to a missing string'
+  }
+  if (!profile.function.every(fn => isString(fn.name) && isString(fn.systemName) && isString(fn.filename))) {
+    return 'a function refers to a missing string'
+  }
+  if (!profile.location.every(location => location.line.every(line => functionIds.has(Number(line.functionId))))) {
+    return 'a location refers to a missing function'
+  }
+  for (const sample of profile.sample) {
+    if (sample.value.length !== profile.sampleType.length) {
+      return 'a sample has a different number of values than sample types'
+    }
+    if (!sample.locationId.every(id => locationIds.has(Number(id)))) {
+      return 'a sample refers to a missing location'
+    }
+    if (!sample.label.every(label => isString(label.key) && isString(label.str))) {
+      return 'a sample label refers to a missing string'
+    }
+  }
+  return null
+}
+
+/**
+ * Format an upload limit for error messages
+ */
+function formatSize (bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`
+}
@@ -0,0 +1,255 @@
+import { randomUUID } from 'node:crypto'
+import { BroadcastChannel, isMainThread, threadId } from 'node:worker_threads'
+import { Profiler } from './profiler.js'
+
+// Workers and the middleware find each other on this process-wide channel
+const CHANNEL_NAME = 'flamegraph-middleware'
+
+let registration = null
+
+/**
+ * Make the calling worker thread available for profiling
+ *
+ * Call this once at the top of every worker that should show up in the
+ * flamegraph. The worker then answers profile requests from the middleware
+ * running on the main thread.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.name - Name shown on the results page (default: 'Worker <threadId>')
+ * @param {number} options.heapSamplingInterval - Heap sampling interval in bytes (default: 512*1024)
+ * @param {boolean|Object} options.sourceMaps - Resolve frames through source maps, like the middleware option (default: false)
+ * @param {Object} options.logger - Pino logger instance (optional)
+ * @returns {{unregister: Function}} Handle to stop answering profile requests
+ */
+export function registerWorker (options = {}) {
+  if (isMainThread) {
+    throw new Error('registerWorker must be called from a worker thread')
+  }
+  if (registration) {
+    return registration
+  }
+
+  const name = options.name || `Worker ${threadId}`
+  const logger = options.logger?.child({ component: 'flamegraph-worker', threadId }) || options.logger
+  const profiler = new Profiler({
+    heapSamplingInterval: options.heapSamplingInterval,
+    sourceMaps: options.sourceMaps,
+    // Only the middleware on the main thread labels requests
+    requestLabels: false,
+    logger
+  })
+  const channel = new BroadcastChannel(CHANNEL_NAME)
+  channel.unref()
+
+  // Heap samples are only recorded once the profiler runs, start it right away
+  profiler.startHeapProfiling()
+
+  const announce = () => channel.postMessage({ type: 'register', threadId, name })
+
+  channel.onmessage = async ({ data }) => {
+    if (data.type === 'discover') {
+      return announce()
+    }
+
+    if (data.type !== 'collect' || !data.threadIds.includes(threadId)) {
+      return
+    }
+
+    try {
+      logger?.debug({ duration: data.duration, settings: data.settings }, 'Collecting worker profiles')
+      const collected = await profiler.collectProfiles(data.duration, data.settings)
+      const profiles = {}
+      for (const [type, profile] of Object.entries(collected)) {
+        profiles[type] = await profiler.encodeProfile(profile)
+      }
+      channel.postMessage({ type: 'result', requestId: data.requestId, threadId, profiles })
+    } catch (error) {
+      logger?.error({ err: error }, 'Error collecting worker profiles')
+      channel.postMessage({ type: 'result', requestId: data.requestId, threadId, error: error.message })
+    }
+  }
+
+  // Runs when the worker ends by itself or calls process.exit(), not on terminate()
+  const onExit = () => registration?.unregister()
+  process.on('exit', onExit)
+
+  announce()
+  logger?.info({ name }, 'Worker registered for profiling')
+
+  registration = {
+    unregister () {
+      process.off('exit', onExit)
+      channel.postMessage({ type: 'unregister', threadId })
+      channel.close()
+      profiler.stopHeapProfiling()
+      registration = null
+    }
+  }
+  return registration
+}
+
+/**
+ * Keeps track of the registered worker threads and collects profiles from them
+ *
+ * Used on the main thread. Workers announce themselves when they register and
+ * again whenever the registry starts, so start order doesn't matter.
+ */
+export class WorkerRegistry {
+  constructor () {
+    this.workers = new Map()
+    this.requests = new Map()
+    // Other registries, like another copy of this package, share the channel
+    this.id = randomUUID()
+    this.nextRequestId = 1
+    this.channel = null
+  }
+
+  /**
+   * Start listening for workers
+   */
+  start () {
+    if (this.channel) {
+      return
+    }
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME)
+    this.channel.unref()
+    this.channel.onmessage = ({ data }) => this.handleMessage(data)
+    this.channel.postMessage({ type: 'discover' })
+  }
+
+  /**
+   * Stop listening and fail pending collections
+   */
+  stop () {
+    this.channel?.close()
+    this.channel = null
+    this.workers.clear()
+    for (const request of this.requests.values()) {
+      request.finish()
+    }
+  }
+
+  /**
+   * List the registered workers
+   *
+   * @returns {Array<{threadId: number, name: string}>}
+   */
+  list () {
+    return [...this.workers.values()]
+  }
+
+  /**
+   * Resolve a `thread` selector to registered workers
+   *
+   * @param {string} selector - 'all', or comma-separated thread IDs or names
+   * @returns {{threads: Object[]}|{error: string}}
+   */
+  select (selector) {
+    if (selector === 'all') {
+      return { threads: this.list() }
+    }
+
+    const threads = []
+    for (const entry of selector.split(',').map(part => part.trim()).filter(Boolean)) {
+      const worker = this.workers.get(Number(entry)) || this.list().find(worker => worker.name === entry)
+      if (!worker) {
+        return { error: `Unknown thread "${entry}". Registered threads: ${this.list().map(worker => worker.threadId).join(', ') || 'none'}` }
+      }
+      if (!threads.includes(worker)) {
+        threads.push(worker)
+      }
+    }
+    return { threads }
+  }
+
+  /**
+   * Collect profiles inside the given workers
+   *
+   * Workers that fail, exit or don't answer before the timeout are reported
+   * with an `error` instead of profiles, they don't fail the others. Workers
+   * that didn't answer are dropped from the registry until they announce
+   * themselves again, `terminate()` ends a worker without unregistering it.
+   *
+   * @param {Object[]} threads - Workers from select()
+   * @param {Object} options - Options
+   * @param {number} options.duration - Duration in milliseconds
+   * @param {Object} options.settings - Collection settings passed to Profiler#collectProfiles (types, cpuInterval, ...)
+   * @param {number} options.timeout - Time past the duration to wait for answers in ms
+   * @returns {Promise<Array<{threadId: number, name: string, profiles?: Object<string, Buffer>, error?: string}>>}
+   */
+  collect (threads, options) {
+    const { duration, settings = {}, timeout = 10000 } = options
+    if (threads.length === 0) {
+      return Promise.resolve([])
+    }
+
+    const requestId = `${this.id}:${this.nextRequestId++}`
+    const results = new Map()
+
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer)
+        this.requests.delete(requestId)
+        const missing = threads.filter(thread => !results.has(thread.threadId))
+        if (missing.length > 0 && this.channel) {
+          for (const { threadId } of missing) {
+            this.workers.delete(threadId)
+          }
+          this.channel.postMessage({ type: 'discover' })
+        }
+        resolve(threads.map(({ threadId, name }) =>
+          results.get(threadId) || { threadId, name, error: 'Worker did not respond' }
+        ))
+      }
+      const timer = setTimeout(finish, duration + timeout)
+
+      this.requests.set(requestId, {
+        finish,
+        add: (threadId, result) => {
+          const thread = threads.find(thread => thread.threadId === threadId)
+          if (!thread || results.has(threadId)) {
+            return
+          }
+          results.set(threadId, { threadId, name: thread.name, ...result })
+          if (results.size === threads.length) {
+            finish()
+          }
+        }
+      })
+
+      this.channel.postMessage({
+        type: 'collect',
+        requestId,
+        threadIds: threads.map(thread => thread.threadId),
+        duration,
+        settings
+      })
+    })
+  }
+
+  /**
+   * Handle messages from workers
+   */
+  handleMessage (data) {
+    if (data.type === 'register') {
+      this.workers.set(data.threadId, { threadId: data.threadId, name: data.name })
+    } else if (data.type === 'unregister') {
+      this.workers.delete(data.threadId)
+      // Don't wait for the timeout on a worker that is gone
+      for (const request of this.requests.values()) {
+        request.add(data.threadId, { error: 'Worker exited' })
+      }
+    } else if (data.type === 'result') {
+      // Results of other registries, or of collections that already timed out
+      const request = this.requests.get(data.requestId)
+      if (!request) {
+        return
+      }
+      const profiles = data.profiles && Object.fromEntries(
+        Object.entries(data.profiles).map(([type, bytes]) => [type, Buffer.from(bytes)])
+      )
+      request.add(data.threadId, data.error ? { error: data.error } : { profiles })
+    }
+  }
+}
@@ -0,0 +1,252 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { gzipSync } from 'node:zlib'
+import Fastify from 'fastify'
+import Koa from 'koa'
+import Router from '@koa/router'
+import { Hono } from 'hono'
+import { serve } from '@hono/node-server'
+import { createFetchHandler, createHonoMiddleware, createKoaMiddleware, flamegraphPlugin, ipAllowlist, ProfileStorage } from '../src/index.js'
+import { decodeProfile, getProfileLabels } from '../src/pprof-utils.js'
+import { request, serve as serveHandler } from './http-helpers.js'
+import { buildProfileBuffer } from './profile-fixtures.js'
+
+describe('Fetch handler', () => {
+  it('should answer its routes with a Response and pass other requests on', async () => {
+    const flamegraph = createFetchHandler({ storage: new ProfileStorage(), metricsInterval: 0 })
+
+    const page = await flamegraph(new Request('http://localhost/flamegraph/profiles'))
+    assert.ok(page instanceof Response)
+    assert.strictEqual(page.status, 200)
+    assert.strictEqual(page.headers.get('content-type'), 'text/html; charset=utf-8')
+    assert.match(await page.text(), /Profiles/)
+
+    const missing = await flamegraph(new Request('http://localhost/flamegraph/nope'))
+    assert.strictEqual(missing.status, 404)
+
+    const passed = await flamegraph(new Request('http://localhost/todos'), () => new Response('app'))
+    assert.strictEqual(await passed.text(), 'app')
+    assert.strictEqual((await flamegraph(new Request('http://localhost/todos'))).status, 404)
+  })
+
+  it('should read request bodies for uploads', async () => {
+    const flamegraph = createFetchHandler({ storage: new ProfileStorage(), metricsInterval: 0 })
+    const cpu = buildProfileBuffer({ 'main;hot': 10 })
+
+    const response = await flamegraph(new Request('http://localhost/flamegraph/upload', {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: gzipSync(cpu)
+    }))
+    assert.strictEqual(response.status, 201)
+    const { id } = await response.json()
+    assert.deepStrictEqual(await flamegraph.getProfile(id), { cpu })
+  })
+
+  it('should label the CPU time of requests passed on', async () => {
+    const flamegraph = createFetchHandler({ storage: new ProfileStorage(), metricsInterval: 0, requestLabels: true })
+    const app = () => new Promise(resolve => setImmediate(() => {
+      burn(20)
+      resolve(new Response('ok'))
+    }))
+
+    const capturing = flamegraph.capture({ duration: 300, types: ['cpu'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    for (let i = 0; i < 5; i++) {
+      await flamegraph(new Request('http://localhost/todos', { method: 'POST' }), app)
+    }
+    const result = await capturing
+
+    assert.deepStrictEqual(getProfileLabels(decodeProfile(result.cpu)), { method: ['POST'], route: ['/todos'] })
+  })
+})
+
+describe('Fastify plugin', () => {
+  let fastify
+
+  afterEach(async () => {
+    await fastify?.close()
+    fastify = null
+  })
+
+  it('should register its routes with the router and leave the others to the app', async () => {
+    fastify = Fastify()
+    await fastify.register(flamegraphPlugin, { storage: new ProfileStorage(), metricsInterval: 0 })
+    fastify.get('/todos', async () => 'app')
+
+    const page = await fastify.inject('/flamegraph/profiles')
+    assert.strictEqual(page.statusCode, 200)
+    assert.match(page.body, /Profiles/)
+    assert.strictEqual((await fastify.inject('/flamegraph/nope')).statusCode, 404)
+    assert.match((await fastify.inject('/flamegraph/nope')).body, /Not found/)
+
+    assert.strictEqual((await fastify.inject('/todos')).body, 'app')
+    const missing = await fastify.inject('/flamegraphs-report')
+    assert.strictEqual(missing.statusCode, 404)
+    assert.strictEqual(missing.json().message, 'Route GET:/flamegraphs-report not found')
+  })
+
+  it('should register the same routes as the middleware links for a trailing-slash or root basePath', async () => {
+    fastify = Fastify()
+    await fastify.register(flamegraphPlugin, { basePath: '/tools/flamegraph/', storage: new ProfileStorage(), metricsInterval: 0 })
+    const page = await fastify.inject('/tools/flamegraph/profiles')
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes('action="/tools/flamegraph/heapsnapshot"'))
+    assert.strictEqual((await fastify.inject('/tools/flamegraph?duration=invalid')).statusCode, 400)
+    await fastify.close()
+
+    fastify = Fastify()
+    await fastify.register(flamegraphPlugin, { basePath: '/', storage: new ProfileStorage(), metricsInterval: 0 })
+    fastify.get('/todos', async () => 'app')
+    const root = await fastify.inject('/profiles')
+    assert.strictEqual(root.statusCode, 200)
+    assert.ok(root.body.includes('action="/heapsnapshot"'))
+    assert.strictEqual((await fastify.inject('/?duration=invalid')).statusCode, 400)
+    assert.strictEqual((await fastify.inject('/todos')).body, 'app')
+  })
+
+  it('should read uploads itself while the app keeps its body parsers', async () => {
+    fastify = Fastify()
+    await fastify.register(flamegraphPlugin, { storage: new ProfileStorage(), metricsInterval: 0 })
+    fastify.post('/echo', async request => request.body)
+    const cpu = buildProfileBuffer({ 'main;hot': 10 })
+
+    for (const contentType of ['application/octet-stream', 'application/json']) {
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/flamegraph/upload',
+        headers: { 'content-type': contentType, accept: 'application/json' },
+        payload: gzipSync(cpu)
+      })
+      assert.strictEqual(response.statusCode, 201, contentType)
+      assert.deepStrictEqual(await fastify.flamegraph.getProfile(response.json().id), { cpu })
+    }
+
+    const echo = await fastify.inject({ method: 'POST', url: '/echo', payload: { a: 1 } })
+    assert.deepStrictEqual(echo.json(), { a: 1 })
+  })
+
+  it('should log through Fastify and label routes of the whole app', async () => {
+    const lines = []
+    fastify = Fastify({ logger: { level: 'info', stream: { write: line => lines.push(JSON.parse(line)) } } })
+    await fastify.register(flamegraphPlugin, { storage: new ProfileStorage(), metricsInterval: 0, requestLabels: true })
+    // Registered in a child context: the hook must still apply, as the plugin skips encapsulation
+    await fastify.register(async instance => {
+      instance.get('/todos/:id', async () => {
+        await new Promise(resolve => setImmediate(resolve))
+        burn(20)
+        return 'app'
+      })
+    })
+
+    const capturing = fastify.flamegraph.capture({ duration: 300, types: ['cpu'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await fastify.inject(`/todos/${i}`)).body, 'app')
+    }
+    const result = await capturing
+
+    assert.deepStrictEqual(getProfileLabels(decodeProfile(result.cpu)).route, ['/todos/:id'])
+    assert.ok(lines.some(line => line.component === 'flamegraph-middleware'))
+  })
+})
+
+describe('Koa middleware', () => {
+  let server
+
+  afterEach(async () => {
+    await server?.close()
+    server = null
+  })
+
+  it('should answer its routes on the Node.js response and label the others', async () => {
+    const flamegraph = createKoaMiddleware({ storage: new ProfileStorage(), metricsInterval: 0, requestLabels: true })
+    const app = new Koa()
+    const router = new Router()
+    router.get('/todos/:id', async ctx => {
+      await new Promise(resolve => setImmediate(resolve))
+      burn(20)
+      ctx.body = 'app'
+    })
+    app.use(flamegraph)
+    app.use(router.routes())
+
+    server = await serveHandler(app.callback(), flamegraph)
+    const { port } = server
+
+    const page = await request(port, '/flamegraph/profiles')
+    assert.strictEqual(page.statusCode, 200)
+    assert.match(page.body, /Profiles/)
+    assert.strictEqual((await request(port, '/flamegraph/nope')).statusCode, 404)
+    assert.strictEqual((await request(port, '/nope')).body, 'Not Found')
+
+    const capturing = flamegraph.capture({ duration: 300, types: ['cpu'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await request(port, `/todos/${i}`)).body, 'app')
+    }
+    const result = await capturing
+
+    assert.deepStrictEqual(getProfileLabels(decodeProfile(result.cpu)).route, ['/todos/:id'])
+  })
+})
+
+describe('Hono middleware', () => {
+  let server
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve))
+      server = null
+    }
+  })
+
+  it('should answer its routes and label the ones of the app', async () => {
+    const flamegraph = createHonoMiddleware({ storage: new ProfileStorage(), metricsInterval: 0, requestLabels: true })
+    const app = new Hono()
+    app.use(flamegraph)
+    app.get('/todos/:id', async c => {
+      await new Promise(resolve => setImmediate(resolve))
+      burn(20)
+      return c.text('app')
+    })
+
+    const page = await app.request('/flamegraph/profiles')
+    assert.strictEqual(page.status, 200)
+    assert.match(await page.text(), /Profiles/)
+    assert.strictEqual((await app.request('/flamegraph/nope')).status, 404)
+    assert.strictEqual((await app.request('/nope')).status, 404)
+
+    const capturing = flamegraph.capture({ duration: 300, types: ['cpu'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(await (await app.request(`/todos/${i}`)).text(), 'app')
+    }
+    const result = await capturing
+
+    assert.deepStrictEqual(getProfileLabels(decodeProfile(result.cpu)).route, ['/todos/:id'])
+  })
+
+  it('should pass the socket of the Node.js server on for address checks', async () => {
+    const app = new Hono()
+    app.use(createHonoMiddleware({ storage: new ProfileStorage(), authorize: ipAllowlist(['127.0.0.1', '::1']) }))
+
+    server = serve({ fetch: app.fetch, port: 0 })
+    await new Promise(resolve => server.once('listening', resolve))
+    const { port } = server.address()
+
+    const page = await request(port, '/flamegraph/profiles')
+    assert.strictEqual(page.statusCode, 200)
+    assert.match(page.body, /Profiles/)
+  })
+})
+
+/**
+ * Keep the CPU busy for a while
+ */
+function burn (ms) {
+  const end = Date.now() + ms
+  while (Date.now() < end) {
+    Math.sqrt(Math.random())
+  }
+}
@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { bearerToken, ipAllowlist } from '../src/index.js'
+import { listen, request } from './http-helpers.js'
+
+describe('bearerToken', () => {
+  const check = bearerToken(['secret', 'other'])
+
+  it('should require a token', () => {
+    assert.strictEqual(check({ headers: {} }), 401)
+    assert.strictEqual(check({ headers: { authorization: 'Basic abc' } }), 401)
+  })
+
+  it('should reject wrong tokens', () => {
+    assert.strictEqual(check({ headers: { authorization: 'Bearer nope' } }), 403)
+  })
+
+  it('should accept any configured token', () => {
+    assert.strictEqual(check({ headers: { authorization: 'Bearer secret' } }), true)
+    assert.strictEqual(check({ headers: { authorization: 'bearer other' } }), true)
+  })
+
+  it('should refuse empty tokens', () => {
+    assert.throws(() => bearerToken(''), /non-empty token/)
+  })
+})
+
+describe('ipAllowlist', () => {
+  const check = ipAllowlist(['127.0.0.1', '10.0.0.0/8', '::1'])
+  const from = remoteAddress => ({ socket: { remoteAddress } })
+
+  it('should allow listed addresses and ranges', () => {
+    assert.strictEqual(check(from('127.0.0.1')), true)
+    assert.strictEqual(check(from('::ffff:127.0.0.1')), true)
+    assert.strictEqual(check(from('10.20.30.40')), true)
+    assert.strictEqual(check(from('::1')), true)
+  })
+
+  it('should deny other addresses', () => {
+    assert.strictEqual(check(from('192.168.1.1')), 403)
+    assert.strictEqual(check(from(undefined)), 403)
+  })
+
+  it('should reject invalid entries', () => {
+    assert.throws(() => ipAllowlist(['not-an-ip']), /Invalid address/)
+  })
+})
+
+describe('authorize option', () => {
+  let app
+  const actions = []
+
+  before(async () => {
+    app = await listen({
+      maxDuration: 500,
+      authorize: async (req, action) => {
+        actions.push(action)
+        if (action === 'view') {
+          return true
+        }
+        if (req.headers['x-role'] === 'admin') {
+          return true
+        }
+        return req.headers['x-role'] ? false : 401
+      }
+    })
+  })
+
+  after(() => app.close())
+
+  it('should pass the action of each route', async () => {
+    actions.length = 0
+    await request(app.port, '/flamegraph/profiles')
+    await request(app.port, '/flamegraph/result/abc123/cpu.pb.gz')
+    await request(app.port, '/flamegraph/result/abc123/delete', { method: 'POST' })
+    await request(app.port, '/flamegraph/api/profiles/abc123', { method: 'DELETE' })
+    await request(app.port, '/flamegraph/api/profiles')
+
+    assert.deepStrictEqual(actions, ['view', 'download', 'delete', 'delete', 'view'])
+  })
+
+  it('should deny with 401 or 403', async () => {
+    const anonymous = await request(app.port, '/flamegraph?duration=100')
+    assert.strictEqual(anonymous.statusCode, 401)
+    assert.strictEqual(anonymous.headers['www-authenticate'], 'Bearer')
+    assert.ok(anonymous.body.includes('Authentication required'))
+
+    const viewer = await request(app.port, '/flamegraph?duration=100', { headers: { 'x-role': 'viewer' } })
+    assert.strictEqual(viewer.statusCode, 403)
+  })
+
+  it('should deny API requests with JSON errors', async () => {
+    const res = await request(app.port, '/flamegraph/api/profiles', { method: 'POST', headers: { 'x-role': 'viewer' } })
+    assert.strictEqual(res.statusCode, 403)
+    assert.deepStrictEqual(JSON.parse(res.body), { error: 'Forbidden' })
+  })
+
+  it('should run the route once allowed', async () => {
+    const res = await request(app.port, '/flamegraph/profiles')
+    assert.strictEqual(res.statusCode, 200)
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { decodeProfile, getSampleTypes } from '../src/pprof-utils.js'
+import { listen, request } from './http-helpers.js'
+
+describe('Programmatic API', () => {
+  let app
+  let flamegraph
+
+  before(async () => {
+    app = await listen({ maxDuration: 1000 })
+    flamegraph = app.flamegraph
+  })
+
+  after(() => app.close())
+
+  it('should capture and resolve with the stored buffers', async () => {
+    const result = await flamegraph.capture({ duration: 100 })
+
+    assert.match(result.id, /^[a-f0-9]+$/)
+    assert.ok(Buffer.isBuffer(result.cpu))
+    assert.ok(Buffer.isBuffer(result.heap))
+    assert.ok(getSampleTypes(decodeProfile(result.cpu)).some(({ type }) => type === 'wall'))
+
+    const stored = await flamegraph.getProfile(result.id)
+    assert.strictEqual(stored.cpu, result.cpu)
+  })
+
+  it('should only collect the requested types', async () => {
+    const result = await flamegraph.capture({ duration: 100, types: ['cpu'] })
+    assert.ok(result.cpu)
+    assert.strictEqual(result.heap, undefined)
+
+    const [status] = (await flamegraph.listProfiles()).filter(profile => profile.id === result.id)
+    assert.deepStrictEqual(status.types, ['cpu', 'metrics'])
+    assert.deepStrictEqual(Object.keys(status.downloads), ['cpu', 'metrics'])
+
+    const download = await request(app.port, `/flamegraph/result/${result.id}/heap.pb.gz`)
+    assert.strictEqual(download.statusCode, 404)
+
+    const page = await request(app.port, `/flamegraph/result/${result.id}`)
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes('CPU Profile'))
+    assert.ok(!page.body.includes('Heap In-Use Profile'))
+  })
+
+  it('should collect the heap growth during the window', async () => {
+    const retained = []
+    const pending = flamegraph.capture({ duration: 200, types: ['heap'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    retainDuringWindow(retained)
+    const result = await pending
+
+    // Still referenced here so the arrays are alive when the window ends
+    assert.strictEqual(retained.length, 200)
+    assert.ok(result.heap)
+    const growth = decodeProfile(result['heap-growth'])
+    const names = growth.function.map(fn => growth.stringTable.strings[Number(fn.name)])
+    assert.ok(names.includes('retainDuringWindow'))
+
+    const page = await request(app.port, `/flamegraph/result/${result.id}`)
+    assert.ok(page.body.includes('Heap In-Use Profile'))
+    assert.ok(page.body.includes('Heap Growth Profile'))
+
+    const download = await request(app.port, `/flamegraph/result/${result.id}/heap-growth.pb.gz`)
+    assert.strictEqual(download.statusCode, 200)
+  })
+
+  it('should list and delete profiles', async () => {
+    const { id } = await flamegraph.capture({ duration: 50, types: ['heap'] })
+
+    const profiles = await flamegraph.listProfiles()
+    assert.strictEqual(profiles[0].id, id)
+    assert.strictEqual(profiles[0].status, 'completed')
+    assert.strictEqual(profiles[0].resultUrl, `/flamegraph/result/${id}`)
+
+    assert.strictEqual(await flamegraph.deleteProfile(id), true)
+    assert.strictEqual(await flamegraph.deleteProfile(id), false)
+    assert.strictEqual(await flamegraph.getProfile(id), null)
+  })
+
+  it('should reject invalid options', async () => {
+    await assert.rejects(flamegraph.capture({ duration: 5000 }), /exceeds maximum/)
+    await assert.rejects(flamegraph.capture({ duration: 0 }), /greater than 0/)
+    await assert.rejects(flamegraph.capture({ duration: 100, types: ['disk'] }), /Invalid types/)
+    await assert.rejects(flamegraph.capture({ duration: 100, types: [] }), /Invalid types/)
+  })
+})
+
+function retainDuringWindow (retained) {
+  for (let i = 0; i < 200; i++) {
+    retained.push(new Array(16 * 1024).fill(i))
+  }
+}
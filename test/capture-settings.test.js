@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { decodeProfile, getSampleTypes } from '../src/pprof-utils.js'
+import { listen, request } from './http-helpers.js'
+
+describe('Capture settings', () => {
+  let app
+  let flamegraph
+  let storage
+
+  before(async () => {
+    storage = new ProfileStorage()
+    app = await listen({ storage, maxDuration: 1000, maxHeapStackDepth: 96 })
+    flamegraph = app.flamegraph
+  })
+
+  after(() => app.close())
+
+  it('should reject settings outside the configured limits', async () => {
+    const invalid = [
+      ['types=disk', /Invalid types/],
+      ['cpuInterval=10', /at least 100/],
+      ['cpuInterval=abc', /at least 100/],
+      ['cpuMode=gpu', /Invalid CPU mode "gpu"/],
+      ['heapDepth=200', /between 1 and 96/]
+    ]
+    for (const [query, message] of invalid) {
+      const res = await request(app.port, `/flamegraph/api/profiles?duration=100&${query}`, { method: 'POST' })
+      assert.strictEqual(res.statusCode, 400, query)
+      assert.match(JSON.parse(res.body).error, message)
+    }
+
+    const page = await request(app.port, '/flamegraph?duration=100&heapDepth=0')
+    assert.strictEqual(page.statusCode, 400)
+  })
+
+  it('should reject invalid defaults when created', () => {
+    assert.throws(() => createFlamegraphMiddleware({ cpuMode: 'gpu' }), /Invalid default capture settings/)
+    assert.throws(() => createFlamegraphMiddleware({ cpuSamplingInterval: 50 }), /Invalid default capture settings/)
+  })
+
+  it('should start a capture with the requested settings', async () => {
+    const res = await request(app.port, '/flamegraph/api/profiles?duration=100&types=heap&heapDepth=32', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 202)
+    const body = JSON.parse(res.body)
+    assert.deepStrictEqual(body.settings, { types: ['heap'], cpuInterval: 1000, cpuMode: 'wall', heapDepth: 32 })
+
+    const progress = await request(app.port, `/flamegraph/result/${body.id}`)
+    assert.ok(progress.body.includes('Collecting heap profile...'))
+
+    while (storage.inProgress.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    const status = await flamegraph.listProfiles()
+    assert.deepStrictEqual(status.find(profile => profile.id === body.id).types, ['heap', 'heap-growth', 'metrics'])
+  })
+
+  it('should record CPU time in cpu mode', async () => {
+    const result = await flamegraph.capture({ duration: 100, types: ['cpu'], cpuMode: 'cpu', cpuInterval: 500 })
+    const profile = decodeProfile(result.cpu)
+    const types = getSampleTypes(profile).map(({ type }) => type)
+
+    assert.ok(types.includes('cpu'))
+    assert.ok(!types.includes('wall'))
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { runCli } from '../src/cli.js'
+import { bearerToken } from '../src/index.js'
+import { gunzipSync } from 'node:zlib'
+import { decodeProfile } from '../src/pprof-utils.js'
+import { listen } from './http-helpers.js'
+
+describe('Command line client', () => {
+  let dir
+  let app
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'flamegraph-cli-'))
+  })
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should capture and download the profiles', async () => {
+    app = await listen({ basePath: '/profiling', metricsInterval: 0 })
+    const out = path.join(dir, 'basic')
+
+    const { code, stdout, stderr } = await run([
+      'capture', `http://localhost:${app.port}/profiling`,
+      '--duration', '200ms', '--types', 'cpu', '--out', out
+    ])
+
+    assert.strictEqual(code, 0, stderr)
+    assert.match(stderr, /Capturing profile [a-f0-9]+ for 200ms/)
+    const files = stdout.trim().split('\n')
+    assert.deepStrictEqual(files.map(file => path.basename(file).replace(/-[a-f0-9]+\./, '.')), ['cpu.pb.gz'])
+    assert.ok(decodeProfile(gunzipSync(await fs.readFile(files[0]))).sampleType.length > 0)
+  })
+
+  it('should send headers, use --base-path and print JSON', async () => {
+    app = await listen({ basePath: '/internal/flamegraph', authorize: bearerToken('secret'), metricsInterval: 0 })
+    const out = path.join(dir, 'json')
+    const opened = []
+
+    const denied = await run(['capture', `http://localhost:${app.port}`, '--base-path', '/internal/flamegraph', '--json'])
+    assert.strictEqual(denied.code, 1)
+    assert.strictEqual(JSON.parse(denied.stdout).status, 401)
+
+    const { code, stdout } = await run([
+      'capture', `http://localhost:${app.port}`,
+      '--base-path', '/internal/flamegraph',
+      '-H', 'Authorization: Bearer secret',
+      '-d', '200', '--types', 'cpu,heap', '--format', 'folded',
+      '--out', out, '--json', '--open'
+    ], { openUrl: url => opened.push(url) })
+
+    assert.strictEqual(code, 0)
+    const result = JSON.parse(stdout)
+    assert.strictEqual(result.status, 'completed')
+    assert.strictEqual(result.resultUrl, `http://localhost:${app.port}/internal/flamegraph/result/${result.id}`)
+    assert.deepStrictEqual(opened, [result.resultUrl])
+    assert.deepStrictEqual(result.files.map(file => path.basename(file.path)), [
+      `cpu-${result.id}.folded.txt`,
+      `heap-${result.id}.folded.txt`,
+      `heap-growth-${result.id}.folded.txt`
+    ])
+    assert.match(await fs.readFile(result.files[0].path, 'utf8'), /^\S.* \d+$/m)
+  })
+
+  it('should report usage errors and rejected captures', async () => {
+    app = await listen({ maxDuration: 1000, metricsInterval: 0 })
+
+    assert.strictEqual((await run([])).code, 2)
+    assert.strictEqual((await run(['record', 'http://localhost'])).code, 2)
+    assert.strictEqual((await run(['capture', 'not a url'])).code, 2)
+    assert.strictEqual((await run(['capture', 'http://localhost', '-H', 'nocolon'])).code, 2)
+
+    const tooLong = await run(['capture', `http://localhost:${app.port}/flamegraph`, '--duration', '5s'])
+    assert.strictEqual(tooLong.code, 1)
+    assert.match(tooLong.stderr, /failed with 400/)
+  })
+
+  async function run (args, options) {
+    let stdout = ''
+    let stderr = ''
+    const code = await runCli(args, {
+      stdout: { write: text => { stdout += text } },
+      stderr: { write: text => { stderr += text } },
+      pollInterval: 50,
+      ...options
+    })
+    return { code, stdout, stderr }
+  }
+})
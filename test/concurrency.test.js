@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { listen, request } from './http-helpers.js'
+
+describe('Concurrency policies', () => {
+  let app
+  let storage
+
+  beforeEach(() => {
+    storage = new ProfileStorage()
+  })
+
+  afterEach(async () => {
+    // Let captures finish so the next test starts with an idle profiler
+    while (storage.inProgress.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    await app?.close()
+    app = null
+  })
+
+  it('should reject invalid policies', () => {
+    assert.throws(
+      () => createFlamegraphMiddleware({ concurrency: 'parallel' }),
+      /Invalid concurrency policy/
+    )
+  })
+
+  it('should reject captures while one is running with the reject policy', async () => {
+    app = await listen({ maxDuration: 500, storage, concurrency: 'reject' })
+
+    const first = JSON.parse((await request(app.port, '/flamegraph/api/profiles?duration=200', { method: 'POST' })).body)
+
+    const htmlRes = await request(app.port, '/flamegraph?duration=100')
+    assert.strictEqual(htmlRes.statusCode, 409)
+    assert.ok(htmlRes.body.includes(`href="/flamegraph/result/${first.id}"`))
+
+    const jsonRes = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    assert.strictEqual(jsonRes.statusCode, 409)
+    assert.strictEqual(JSON.parse(jsonRes.body).activeProfile.id, first.id)
+  })
+
+  it('should attach to the running capture with the attach policy', async () => {
+    app = await listen({ maxDuration: 500, storage, concurrency: 'attach' })
+
+    const first = JSON.parse((await request(app.port, '/flamegraph/api/profiles?duration=200', { method: 'POST' })).body)
+    const second = JSON.parse((await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })).body)
+
+    assert.strictEqual(second.id, first.id)
+    assert.strictEqual(second.attached, true)
+    assert.ok(second.duration <= 200)
+  })
+
+  it('should reject captures once the queue is full', async () => {
+    app = await listen({ maxDuration: 500, storage, maxQueueSize: 1 })
+
+    await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    const res = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+
+    assert.strictEqual(res.statusCode, 503)
+    assert.match(JSON.parse(res.body).error, /Too many captures queued/)
+  })
+})
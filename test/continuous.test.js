@@ -0,0 +1,130 @@
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert'
+import { Profiler } from '../src/profiler.js'
+import { getProfileDuration } from '../src/pprof-utils.js'
+import { listen, request } from './http-helpers.js'
+
+describe('Continuous profiling', () => {
+  const profiler = new Profiler()
+
+  after(() => {
+    profiler.stopContinuousProfiling()
+  })
+
+  it('should not serve recent activity when disabled', async () => {
+    const { port, close } = await listen({ maxDuration: 1000 })
+    try {
+      const res = await request(port, '/flamegraph/recent')
+      assert.strictEqual(res.statusCode, 404)
+      assert.ok(res.body.includes('Continuous profiling is not enabled'))
+    } finally {
+      await close()
+    }
+  })
+
+  it('should keep the last windows in a ring buffer', async () => {
+    profiler.startContinuousProfiling({ window: 100, windows: 3 })
+    assert.strictEqual(profiler.isContinuousProfiling(), true)
+
+    await busyWait(550)
+
+    // Three full windows plus the one in progress
+    const all = profiler.getRecentProfile(Infinity)
+    assert.strictEqual(all.windows, 4)
+    assert.ok(all.end - all.start < 550)
+    assert.ok(all.profile.sample.length > 0)
+
+    const recent = profiler.getRecentProfile(50)
+    assert.ok(recent.windows <= 2)
+    assert.ok(getProfileDuration(recent.profile) < getProfileDuration(all.profile))
+
+    // Reading recent data doesn't push full windows out
+    assert.strictEqual(profiler.getRecentProfile(Infinity).windows, 4)
+  })
+
+  it('should merge the parts cut from the window in progress by repeated reads', async () => {
+    profiler.stopContinuousProfiling()
+    profiler.startContinuousProfiling({ window: 60000, windows: 1 })
+    const start = Date.now()
+
+    for (let i = 0; i < 20; i++) {
+      await busyWait(10)
+      profiler.getRecentProfile(Infinity)
+    }
+
+    const { profile, windows } = profiler.getRecentProfile(Infinity)
+    assert.strictEqual(windows, 1)
+    assert.ok(profile.sample.length > 0)
+    // Nothing is lost when the parts are folded together
+    assert.ok(getProfileDuration(profile) >= (Date.now() - start) / 2)
+    profiler.stopContinuousProfiling()
+  })
+
+  it('should serve the merged windows at /recent', async () => {
+    const { port, close } = await listen({ maxDuration: 1000, continuous: { window: 100, windows: 3 } })
+    try {
+      await busyWait(200)
+
+      const res = await request(port, '/flamegraph/recent?last=1s')
+      assert.strictEqual(res.statusCode, 200)
+      assert.ok(res.body.includes('Recent CPU activity'))
+      assert.ok(!res.body.includes('Heap In-Use Profile'))
+
+      const invalid = await request(port, '/flamegraph/recent?last=soon')
+      assert.strictEqual(invalid.statusCode, 400)
+    } finally {
+      await close()
+    }
+  })
+
+  it('should sample with the configured CPU interval and mode', async () => {
+    // Started by an earlier test, the middleware wouldn't take it over
+    profiler.stopContinuousProfiling()
+    const { close } = await listen({ maxDuration: 1000, continuous: { window: 100, windows: 3 }, cpuSamplingInterval: 5000, cpuMode: 'cpu' })
+    try {
+      await busyWait(250)
+
+      const { profile } = profiler.getRecentProfile(Infinity)
+      const strings = profile.stringTable.strings
+      assert.deepStrictEqual(profile.sampleType.map(sampleType => strings[Number(sampleType.type)]), ['sample', 'cpu'])
+      // One sample per millisecond would give well over a hundred
+      const samples = profile.sample.reduce((sum, sample) => sum + Number(sample.value[0]), 0)
+      assert.ok(samples > 0 && samples < 100, `${samples} samples`)
+    } finally {
+      await close()
+    }
+  })
+
+  it('should cut on-demand captures from the continuous stream', async () => {
+    const { port, close } = await listen({ maxDuration: 1000, continuous: { window: 100, windows: 3 } })
+    try {
+      const started = JSON.parse((await request(port, '/flamegraph/api/profiles?duration=250', { method: 'POST' })).body)
+      await busyWait(250)
+
+      let status
+      do {
+        await new Promise(resolve => setTimeout(resolve, 20))
+        status = JSON.parse((await request(port, started.statusUrl)).body)
+      } while (status.status === 'in-progress')
+
+      assert.strictEqual(status.status, 'completed')
+      assert.strictEqual(profiler.isContinuousProfiling(), true)
+    } finally {
+      await close()
+    }
+  })
+})
+
+/**
+ * Keep the CPU busy so the profiler has samples to record
+ */
+async function busyWait (ms) {
+  const end = Date.now() + ms
+  while (Date.now() < end) {
+    const sliceEnd = Math.min(end, Date.now() + 10)
+    while (Date.now() < sliceEnd) {
+      Math.sqrt(Math.random())
+    }
+    await new Promise(resolve => setImmediate(resolve))
+  }
+}
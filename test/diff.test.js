@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { diffProfiles } from '../src/diff.js'
+import { decodeProfile } from '../src/pprof-utils.js'
+import { buildProfile, buildProfileBuffer } from './profile-fixtures.js'
+
+describe('diffProfiles', () => {
+  it('should compute per-function deltas', () => {
+    const base = buildProfile({ 'main;work;hot': 30, 'main;idle': 10 })
+    const target = buildProfile({ 'main;work;hot': 60, 'main;idle': 10 })
+
+    const diff = diffProfiles(base, target)
+
+    const hot = diff.functions.find(fn => fn.name === 'hot')
+    assert.strictEqual(hot.baseSelf, 30)
+    assert.strictEqual(hot.targetSelf, 60)
+    assert.strictEqual(hot.selfDelta, 30)
+    assert.strictEqual(hot.file, '/app/hot.js')
+
+    const main = diff.functions.find(fn => fn.name === 'main')
+    assert.strictEqual(main.baseSelf, 0)
+    assert.strictEqual(main.totalDelta, 30)
+
+    // Biggest change first
+    assert.notStrictEqual(diff.functions[0].name, 'idle')
+    assert.strictEqual(diff.functions.find(fn => fn.name === 'idle').totalDelta, 0)
+  })
+
+  it('should normalize by capture duration', () => {
+    const base = buildProfile({ 'main;hot': 100 }, { durationMs: 1000 })
+    const target = buildProfile({ 'main;hot': 200 }, { durationMs: 2000 })
+
+    const diff = diffProfiles(base, target)
+    assert.strictEqual(diff.functions.find(fn => fn.name === 'hot').totalDelta, 0)
+    assert.strictEqual(diff.sampleType.perSecond, true)
+
+    const raw = diffProfiles(base, target, { normalize: false })
+    assert.strictEqual(raw.functions.find(fn => fn.name === 'hot').totalDelta, 100)
+  })
+
+  it('should merge both profiles into one tree', () => {
+    const base = buildProfile({ 'main;removed': 10 })
+    const target = buildProfile({ 'main;added': 10 })
+
+    const { root } = diffProfiles(base, target)
+    const [main] = root.children
+    assert.strictEqual(main.name, 'main')
+    assert.deepStrictEqual(
+      main.children.map(child => [child.name, child.base, child.target]).sort(),
+      [['added', 0, 10], ['removed', 10, 0]]
+    )
+  })
+
+  it('should count recursive frames once in totals', () => {
+    const profile = buildProfile({ 'main;recurse;recurse;recurse': 10 })
+
+    const diff = diffProfiles(profile, profile)
+    const recurse = diff.functions.find(fn => fn.name === 'recurse')
+    assert.strictEqual(recurse.baseTotal, 10)
+    assert.strictEqual(recurse.baseSelf, 10)
+  })
+
+  it('should work on decoded buffers', () => {
+    const base = decodeProfile(buildProfileBuffer({ 'main;hot': 10 }))
+    const target = decodeProfile(buildProfileBuffer({ 'main;hot': 20 }))
+
+    const diff = diffProfiles(base, target)
+    assert.strictEqual(diff.totals.base, 10)
+    assert.strictEqual(diff.totals.target, 20)
+    assert.strictEqual(diff.sampleType.unit, 'nanoseconds')
+  })
+})
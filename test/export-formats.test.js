@@ -0,0 +1,127 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { toCpuProfile, toFoldedStacks, toSpeedscope } from '../src/export-formats.js'
+import { ProfileStorage } from '../src/index.js'
+import { buildProfile, buildProfileBuffer } from './profile-fixtures.js'
+import { listen, request } from './http-helpers.js'
+
+const heapTypes = [['objects', 'count'], ['space', 'bytes']]
+
+describe('Export formats', () => {
+  it('should fold stacks root first with their values', () => {
+    const folded = toFoldedStacks(buildProfile({ 'main;work;hot': 30, 'main;idle': 10, 'main;a;b': 5 }))
+    assert.strictEqual(folded, 'main;work;hot 30\nmain;idle 10\nmain;a;b 5\n')
+  })
+
+  it('should fold stacks of encoded heap profiles', () => {
+    const folded = toFoldedStacks(buildProfileBuffer({ 'main;cache': 4096 }, { sampleTypes: heapTypes }))
+    assert.strictEqual(folded, 'main;cache 4096\n')
+  })
+
+  it('should export a sampled speedscope profile', () => {
+    const file = toSpeedscope(buildProfile({ 'main;work;hot': 30, 'main;idle': 10 }), { name: 'cpu profile' })
+
+    assert.strictEqual(file.$schema, 'https://www.speedscope.app/file-format-schema.json')
+    assert.deepStrictEqual(file.shared.frames, [
+      { name: 'main', file: '/app/main.js', line: 10 },
+      { name: 'work', file: '/app/work.js', line: 20 },
+      { name: 'hot', file: '/app/hot.js', line: 30 },
+      { name: 'idle', file: '/app/idle.js', line: 40 }
+    ])
+    assert.deepStrictEqual(file.profiles, [{
+      type: 'sampled',
+      name: 'cpu profile',
+      unit: 'nanoseconds',
+      startValue: 0,
+      endValue: 40,
+      samples: [[0, 1, 2], [0, 3]],
+      weights: [30, 10]
+    }])
+
+    const heap = toSpeedscope(buildProfile({ 'main;cache': 4096 }, { sampleTypes: heapTypes }))
+    assert.strictEqual(heap.name, 'space')
+    assert.strictEqual(heap.profiles[0].unit, 'bytes')
+  })
+
+  it('should export a Chrome DevTools .cpuprofile', () => {
+    const profile = toCpuProfile(buildProfile({ 'main;work;hot': 3000, 'main;idle': 1000 }))
+
+    assert.deepStrictEqual(profile.nodes.map(node => [node.id, node.callFrame.functionName, node.hitCount, node.children]), [
+      [1, '(root)', 0, [2]],
+      [2, 'main', 0, [3, 5]],
+      [3, 'work', 0, [4]],
+      [4, 'hot', 1, []],
+      [5, 'idle', 1, []]
+    ])
+    assert.deepStrictEqual(profile.nodes[3].callFrame, {
+      functionName: 'hot',
+      scriptId: '3',
+      url: 'file:///app/hot.js',
+      lineNumber: 29,
+      columnNumber: 0
+    })
+    assert.deepStrictEqual(profile.samples, [4, 5])
+    assert.deepStrictEqual(profile.timeDeltas, [3, 1])
+    assert.ok(profile.endTime >= profile.startTime + 4)
+  })
+
+  it('should refuse to export heap profiles as .cpuprofile', () => {
+    assert.throws(
+      () => toCpuProfile(buildProfile({ 'main;cache': 4096 }, { sampleTypes: heapTypes })),
+      /Only CPU profiles/
+    )
+  })
+})
+
+describe('Export downloads', () => {
+  let app
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should convert downloads to the requested format', async () => {
+    const storage = new ProfileStorage()
+    const id = storage.generateId()
+    await storage.storeProfile(id, {
+      cpu: buildProfileBuffer({ 'main;hot': 3000 }),
+      heap: buildProfileBuffer({ 'main;cache': 4096 }, { sampleTypes: heapTypes })
+    })
+    app = await listen({ storage, metricsInterval: 0 })
+
+    const folded = await request(app.port, `/flamegraph/result/${id}/cpu.pb.gz?format=folded`)
+    assert.strictEqual(folded.statusCode, 200)
+    assert.strictEqual(folded.headers['content-disposition'], `attachment; filename="cpu-${id}.folded.txt"`)
+    assert.strictEqual(folded.body, 'main;hot 3000\n')
+
+    const speedscope = await request(app.port, `/flamegraph/result/${id}/heap.pb.gz?format=speedscope`)
+    assert.strictEqual(speedscope.statusCode, 200)
+    assert.strictEqual(JSON.parse(speedscope.body).profiles[0].endValue, 4096)
+
+    const cpuprofile = await request(app.port, `/flamegraph/result/${id}/cpu.pb.gz?format=cpuprofile`)
+    assert.strictEqual(cpuprofile.statusCode, 200)
+    assert.strictEqual(cpuprofile.headers['content-disposition'], `attachment; filename="cpu-${id}.cpuprofile"`)
+    assert.deepStrictEqual(JSON.parse(cpuprofile.body).samples, [3])
+
+    const pprof = await request(app.port, `/flamegraph/result/${id}/cpu.pb.gz?format=pprof`)
+    assert.strictEqual(pprof.headers['content-disposition'], `attachment; filename="cpu-${id}.pb.gz"`)
+  })
+
+  it('should reject unknown formats and formats the profile has no data for', async () => {
+    const storage = new ProfileStorage()
+    const id = storage.generateId()
+    await storage.storeProfile(id, {
+      heap: buildProfileBuffer({ 'main;cache': 4096 }, { sampleTypes: heapTypes })
+    })
+    app = await listen({ storage, metricsInterval: 0 })
+
+    const unknown = await request(app.port, `/flamegraph/result/${id}/heap.pb.gz?format=svg`)
+    assert.strictEqual(unknown.statusCode, 400)
+    assert.ok(unknown.body.includes('Unknown format'))
+
+    const heapCpuprofile = await request(app.port, `/flamegraph/result/${id}/heap.pb.gz?format=cpuprofile`)
+    assert.strictEqual(heapCpuprofile.statusCode, 400)
+    assert.ok(heapCpuprofile.body.includes('Only CPU profiles can be exported as .cpuprofile'))
+  })
+})
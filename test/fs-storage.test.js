@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { FileSystemStorage } from '../src/fs-storage.js'
+
+describe('FileSystemStorage', () => {
+  let directory
+  let storage
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'flamegraph-storage-'))
+    storage = new FileSystemStorage({
+      directory,
+      maxProfiles: 3,
+      profileTTL: 1000
+    })
+  })
+
+  afterEach(async () => {
+    await storage.cleanup()
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('should require a directory', () => {
+    assert.throws(() => new FileSystemStorage(), /requires a directory/)
+  })
+
+  it('should fail its methods instead of crashing when the directory is unusable', async () => {
+    const file = path.join(directory, 'file')
+    await fs.writeFile(file, '')
+    const broken = new FileSystemStorage({ directory: path.join(file, 'profiles') })
+
+    await assert.rejects(broken.listProfiles(), { code: 'ENOTDIR' })
+    await assert.rejects(broken.markInProgress(broken.generateId(), { duration: 1000 }), { code: 'ENOTDIR' })
+    clearInterval(broken.sweepTimer)
+  })
+
+  it('should track in-progress profiles', async () => {
+    const id = storage.generateId()
+
+    await storage.markInProgress(id, { duration: 5000 })
+
+    assert.strictEqual(await storage.isInProgress(id), true)
+    const retrieved = await storage.getInProgressMetadata(id)
+    assert.strictEqual(retrieved.duration, 5000)
+    assert.ok(retrieved.startTime)
+  })
+
+  it('should store and retrieve profiles', async () => {
+    const id = storage.generateId()
+    const data = { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') }
+
+    await storage.markInProgress(id, { duration: 5000 })
+    await storage.storeProfile(id, data)
+
+    assert.strictEqual(await storage.isInProgress(id), false)
+    assert.deepStrictEqual(await storage.getProfile(id), data)
+
+    const status = await storage.getStatus(id)
+    assert.strictEqual(status.status, 'completed')
+    assert.strictEqual(status.duration, 5000)
+    assert.strictEqual(status.size, 7)
+  })
+
+  it('should persist profiles across instances', async () => {
+    const id = storage.generateId()
+    await storage.storeProfile(id, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+
+    const other = new FileSystemStorage({ directory, profileTTL: 1000 })
+    try {
+      const retrieved = await other.getProfile(id)
+      assert.strictEqual(retrieved.cpu.toString(), 'cpu')
+      assert.strictEqual(retrieved.heap.toString(), 'heap')
+    } finally {
+      clearInterval(other.sweepTimer)
+    }
+  })
+
+  it('should enforce max profiles limit', async () => {
+    const ids = []
+
+    for (let i = 0; i < 4; i++) {
+      const id = storage.generateId()
+      ids.push(id)
+      await storage.storeProfile(id, { cpu: Buffer.from(`cpu${i}`), heap: Buffer.from(`heap${i}`) })
+    }
+
+    assert.strictEqual(await storage.getProfile(ids[0]), null)
+    assert.strictEqual((await storage.getStatus(ids[0])).status, 'expired')
+    assert.ok(await storage.getProfile(ids[1]))
+    assert.ok(await storage.getProfile(ids[2]))
+    assert.ok(await storage.getProfile(ids[3]))
+
+    const files = await fs.readdir(directory)
+    assert.ok(!files.some(file => file.startsWith(ids[0])))
+  })
+
+  it('should expire profiles after TTL', async () => {
+    const id = storage.generateId()
+    await storage.storeProfile(id, { cpu: Buffer.from('test'), heap: Buffer.from('test') })
+
+    assert.ok(await storage.getProfile(id))
+
+    await new Promise(resolve => setTimeout(resolve, 1100))
+
+    assert.strictEqual(await storage.getProfile(id), null)
+  })
+
+  it('should remove expired files on startup', async () => {
+    const id = storage.generateId()
+    await storage.storeProfile(id, { cpu: Buffer.from('test'), heap: Buffer.from('test') })
+
+    await new Promise(resolve => setTimeout(resolve, 1100))
+
+    const other = new FileSystemStorage({ directory, profileTTL: 1000 })
+    try {
+      await other.ready
+      assert.deepStrictEqual(await fs.readdir(directory), [])
+    } finally {
+      clearInterval(other.sweepTimer)
+    }
+  })
+
+  it('should remove stale temporary files on startup', async () => {
+    const stale = path.join(directory, 'abc123.cpu.pb.4242.0a1b2c3d.tmp')
+    const writing = path.join(directory, 'abc123.json.4242.4e5f6a7b.tmp')
+    const unrelated = path.join(directory, 'notes.tmp')
+    for (const file of [stale, writing, unrelated]) {
+      await fs.writeFile(file, 'partial')
+    }
+    const crashed = new Date(Date.now() - 10 * 60 * 1000)
+    await fs.utimes(stale, crashed, crashed)
+    await fs.utimes(unrelated, crashed, crashed)
+
+    const other = new FileSystemStorage({ directory, profileTTL: 1000 })
+    try {
+      await other.ready
+      assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['abc123.json.4242.4e5f6a7b.tmp', 'notes.tmp'])
+    } finally {
+      clearInterval(other.sweepTimer)
+    }
+  })
+
+  it('should list profiles newest first', async () => {
+    const first = storage.generateId()
+    await storage.markInProgress(first, { duration: 100 })
+    await storage.storeProfile(first, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+
+    await new Promise(resolve => setTimeout(resolve, 5))
+
+    const second = storage.generateId()
+    await storage.markInProgress(second, { duration: 100 })
+
+    const profiles = await storage.listProfiles()
+    assert.deepStrictEqual(profiles.map(profile => profile.id), [second, first])
+  })
+
+  it('should record failed profiles', async () => {
+    const id = storage.generateId()
+
+    await storage.markInProgress(id, { duration: 5000 })
+    await storage.markFailed(id, { message: 'boom', phase: 'collect' })
+
+    assert.strictEqual(await storage.isInProgress(id), false)
+    const status = await storage.getStatus(id)
+    assert.strictEqual(status.status, 'failed')
+    assert.strictEqual(status.duration, 5000)
+    assert.deepStrictEqual(status.error, { message: 'boom', phase: 'collect' })
+  })
+
+  it('should fail profiles stuck in progress when sweeping', async () => {
+    const watchdogStorage = new FileSystemStorage({ directory, collectionTimeout: 10 })
+    const id = watchdogStorage.generateId()
+
+    try {
+      await watchdogStorage.markInProgress(id, { duration: 10 })
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await watchdogStorage.sweep()
+
+      const status = await watchdogStorage.getStatus(id)
+      assert.strictEqual(status.status, 'failed')
+      assert.strictEqual(status.error.phase, 'timeout')
+    } finally {
+      clearInterval(watchdogStorage.sweepTimer)
+    }
+  })
+
+  it('should delete profiles manually', async () => {
+    const id = storage.generateId()
+    await storage.storeProfile(id, { cpu: Buffer.from('test'), heap: Buffer.from('test') })
+
+    await storage.deleteProfile(id)
+
+    assert.strictEqual(await storage.getProfile(id), null)
+    assert.deepStrictEqual(await fs.readdir(directory), [])
+  })
+
+  it('should reject IDs that are not hex', async () => {
+    assert.strictEqual(await storage.getProfile('../../etc/passwd'), null)
+    await assert.rejects(storage.storeProfile('../escape', { cpu: Buffer.from('x') }), /Invalid profile ID/)
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { ProfileStorage } from '../src/index.js'
+import { buildProfileBuffer } from './profile-fixtures.js'
+import { listen, request } from './http-helpers.js'
+
+// Fail instead of hanging the whole run when a snapshot never completes
+describe('Heap snapshots', { timeout: 60000 }, () => {
+  let app
+  let directory
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'flamegraph-snapshots-'))
+  })
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('should store a snapshot and offer it as a download', async () => {
+    app = await listen({ heapSnapshot: { directory, ttl: 60000 } })
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 303)
+    assert.strictEqual(res.headers.location, '/flamegraph/profiles')
+
+    const [snapshot] = await app.flamegraph.listProfiles()
+    assert.strictEqual(snapshot.kind, 'heapsnapshot')
+    assert.strictEqual(snapshot.status, 'completed')
+    assert.ok(snapshot.expiresIn <= 60000)
+    assert.strictEqual(snapshot.resultUrl, undefined)
+    assert.strictEqual(snapshot.downloads.heapsnapshot, `/flamegraph/result/${snapshot.id}/heapsnapshot`)
+
+    const download = await request(app.port, snapshot.downloads.heapsnapshot)
+    assert.strictEqual(download.statusCode, 200)
+    assert.strictEqual(download.headers['content-disposition'], `attachment; filename="heap-${snapshot.id}.heapsnapshot"`)
+    assert.ok(JSON.parse(download.body).snapshot)
+
+    const page = await request(app.port, '/flamegraph/profiles')
+    assert.ok(page.body.includes(`/flamegraph/result/${snapshot.id}/heapsnapshot`))
+    assert.ok(page.body.includes('Take heap snapshot'))
+    assert.ok(page.body.includes('method="post" action="/flamegraph/heapsnapshot"'))
+
+    const deleted = await request(app.port, `/flamegraph/api/profiles/${snapshot.id}`, { method: 'DELETE' })
+    assert.strictEqual(deleted.statusCode, 204)
+    assert.deepStrictEqual(await fs.readdir(directory), [])
+  })
+
+  it('should only take snapshots on POST', async () => {
+    app = await listen({ heapSnapshot: { directory } })
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot')
+    assert.strictEqual(res.statusCode, 404)
+    assert.deepStrictEqual(await app.flamegraph.listProfiles(), [])
+  })
+
+  it('should keep snapshots on disk apart from the maxProfiles limit', async () => {
+    app = await listen({ storage: new ProfileStorage({ maxProfiles: 1 }), heapSnapshot: { directory, maxSnapshots: 1 } })
+
+    const upload = await request(app.port, '/flamegraph/upload', { method: 'POST', body: buildProfileBuffer({ 'main;work': 10 }) })
+    assert.strictEqual(upload.statusCode, 303)
+    assert.strictEqual((await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })).statusCode, 303)
+    assert.strictEqual((await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })).statusCode, 303)
+
+    // The uploaded profile survives, the second snapshot replaced the first
+    const profiles = await app.flamegraph.listProfiles()
+    assert.deepStrictEqual(profiles.map(profile => profile.kind).sort(), ['heapsnapshot', 'upload'])
+    const files = await fs.readdir(directory)
+    assert.deepStrictEqual(files, [`flamegraph-${profiles.find(profile => profile.kind === 'heapsnapshot').id}.heapsnapshot`])
+  })
+
+  it('should refuse when free memory is too low', async () => {
+    app = await listen({ heapSnapshot: { directory, minFreeMemory: Number.MAX_SAFE_INTEGER } })
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 503)
+    assert.ok(res.body.includes('Not enough free memory'))
+    assert.deepStrictEqual(await app.flamegraph.listProfiles(), [])
+  })
+
+  it('should fail snapshots over the size limit', async () => {
+    app = await listen({ heapSnapshot: { directory, maxSize: 1024 } })
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 500)
+    assert.deepStrictEqual(await fs.readdir(directory), [])
+
+    const [snapshot] = await app.flamegraph.listProfiles()
+    assert.strictEqual(snapshot.status, 'failed')
+    assert.strictEqual(snapshot.error.phase, 'snapshot')
+    assert.match(snapshot.error.message, /maximum size of 1024 bytes/)
+  })
+
+  it('should apply the authorization and rate limits of captures', async () => {
+    const actions = []
+    app = await listen({
+      heapSnapshot: { directory },
+      maxDuration: 500,
+      authorize: (req, action) => {
+        actions.push(action)
+        return true
+      },
+      rateLimit: { maxCaptures: 1 }
+    })
+
+    const first = await request(app.port, '/flamegraph/api/profiles?duration=100&types=heap', { method: 'POST' })
+    assert.strictEqual(first.statusCode, 202)
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 429)
+    assert.deepStrictEqual(actions, ['start', 'start'])
+
+    // Let the capture finish so the next test starts with an idle profiler
+    await new Promise(resolve => setTimeout(resolve, 300))
+  })
+
+  it('should be disabled with heapSnapshot: false', async () => {
+    app = await listen({ heapSnapshot: false })
+
+    const res = await request(app.port, '/flamegraph/heapsnapshot', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 404)
+
+    const page = await request(app.port, '/flamegraph/profiles')
+    assert.ok(!page.body.includes('Take heap snapshot'))
+
+    assert.strictEqual(await app.flamegraph.deleteProfile('missing'), false)
+  })
+})
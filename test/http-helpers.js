@@ -0,0 +1,70 @@
+import http from 'node:http'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+
+/**
+ * Serve a middleware created with the given options on a random port
+ *
+ * @param {Object} options - Options of createFlamegraphMiddleware(), with an in-memory storage by default
+ * @param {function(http.IncomingMessage, http.ServerResponse): void} next - Handles the requests the
+ *   middleware passes on (default: 404)
+ * @returns {Promise<{port: number, server: http.Server, flamegraph: Function, close: function(): Promise<void>}>}
+ *   `close()` stops the server and the middleware
+ */
+export async function listen (options = {}, next = notFound) {
+  const flamegraph = createFlamegraphMiddleware({ storage: new ProfileStorage(), ...options })
+  const served = await serve((req, res) => flamegraph(req, res, () => next(req, res)), flamegraph)
+  return { ...served, flamegraph }
+}
+
+/**
+ * Serve a request handler, like a framework app, on a random port
+ *
+ * @param {function(http.IncomingMessage, http.ServerResponse): void} handler - Request handler
+ * @param {Function} flamegraph - Middleware used by the handler, closed along with the server
+ * @returns {Promise<{port: number, server: http.Server, close: function(): Promise<void>}>}
+ */
+export async function serve (handler, flamegraph) {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, resolve))
+  return {
+    port: server.address().port,
+    server,
+    async close () {
+      // Keep-alive connections would hold the server open
+      server.closeAllConnections()
+      await new Promise(resolve => server.close(resolve))
+      await flamegraph?.close()
+    }
+  }
+}
+
+/**
+ * Send a request to a local server
+ *
+ * @param {number} port - Server port
+ * @param {string} path - Request path with the query string
+ * @param {Object} options - Options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.headers - Request headers
+ * @param {string|Buffer} options.body - Request body
+ * @returns {Promise<{statusCode: number, headers: Object, body: string, raw: Buffer}>}
+ */
+export function request (port, path, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ hostname: 'localhost', port, path, method, headers }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks)
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: raw.toString(), raw })
+      })
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+function notFound (req, res) {
+  res.writeHead(404)
+  res.end('Not found')
+}
@@ -1,17 +1,20 @@
 import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import http from 'node:http'
-import { createFlamegraphMiddleware } from '../src/index.js'
+import zlib from 'node:zlib'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
 
 describe('Flamegraph Middleware', () => {
   let server
   let port
 
   // Create middleware once for all tests (heap profiler can only be started once per process)
+  const storage = new ProfileStorage()
   const middleware = createFlamegraphMiddleware({
     basePath: '/flamegraph',
     defaultDuration: 100,
-    maxDuration: 500
+    maxDuration: 500,
+    storage
   })
 
   beforeEach(() => {
@@ -30,7 +33,12 @@ describe('Flamegraph Middleware', () => {
     })
   })
 
-  afterEach(() => {
+  afterEach(async () => {
+    // The CPU profiler can't overlap, so let each test's captures finish
+    while (storage.inProgress.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+
     return new Promise((resolve) => {
       server.close(resolve)
     })
@@ -121,24 +129,194 @@ describe('Flamegraph Middleware', () => {
     }
   })
 
+  it('should download completed profiles as gzipped pprof', async () => {
+    const startRes = await makeRequest('/flamegraph?duration=100')
+    const match = startRes.body.match(/const resultUrl = '\/flamegraph\/result\/([a-f0-9]+)'/)
+    assert.ok(match, 'Should find profile ID in result URL')
+    const profileId = match[1]
+
+    for (const type of ['cpu', 'heap']) {
+      const res = await waitForDownload(`/flamegraph/result/${profileId}/${type}.pb.gz`)
+
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(res.headers['content-type'], 'application/octet-stream')
+      assert.strictEqual(
+        res.headers['content-disposition'],
+        `attachment; filename="${type}-${profileId}.pb.gz"`
+      )
+      assert.ok(zlib.gunzipSync(res.raw).length > 0)
+    }
+  })
+
+  it('should respond with 404 when downloading unknown profile', async () => {
+    const res = await makeRequest('/flamegraph/result/abcdef123456/cpu.pb.gz')
+
+    assert.strictEqual(res.statusCode, 404)
+  })
+
+  it('should start a profile through the JSON API', async () => {
+    const res = await makeRequest('/flamegraph/api/profiles?duration=200', { method: 'POST' })
+
+    assert.strictEqual(res.statusCode, 202)
+    assert.ok(res.headers['content-type'].includes('application/json'))
+    const body = JSON.parse(res.body)
+    assert.match(body.id, /^[a-f0-9]+$/)
+    assert.strictEqual(body.status, 'in-progress')
+    assert.strictEqual(body.duration, 200)
+    assert.strictEqual(body.statusUrl, `/flamegraph/api/profiles/${body.id}`)
+  })
+
+  it('should report profile status through the JSON API', async () => {
+    const startRes = await makeRequest('/flamegraph/api/profiles?duration=300', { method: 'POST' })
+    const { id, statusUrl } = JSON.parse(startRes.body)
+
+    const res = await makeRequest(statusUrl)
+    assert.strictEqual(res.statusCode, 200)
+    const status = JSON.parse(res.body)
+    assert.strictEqual(status.id, id)
+    assert.strictEqual(status.status, 'in-progress')
+    assert.ok(status.remaining > 0 && status.remaining <= 300)
+
+    const listRes = await makeRequest('/flamegraph/api/profiles')
+    assert.strictEqual(listRes.statusCode, 200)
+    const { profiles } = JSON.parse(listRes.body)
+    assert.ok(profiles.some(profile => profile.id === id))
+  })
+
+  it('should return JSON errors from the API', async () => {
+    const invalidRes = await makeRequest('/flamegraph/api/profiles?duration=1000', { method: 'POST' })
+    assert.strictEqual(invalidRes.statusCode, 400)
+    assert.match(JSON.parse(invalidRes.body).error, /exceeds maximum/)
+
+    const missingRes = await makeRequest('/flamegraph/api/profiles/abcdef123456')
+    assert.strictEqual(missingRes.statusCode, 404)
+    assert.strictEqual(JSON.parse(missingRes.body).error, 'Profile not found')
+
+    const methodRes = await makeRequest('/flamegraph/api/profiles', { method: 'DELETE' })
+    assert.strictEqual(methodRes.statusCode, 405)
+  })
+
+  it('should list sessions on the profiles page', async () => {
+    const startRes = await makeRequest('/flamegraph/api/profiles?duration=300', { method: 'POST' })
+    const { id } = JSON.parse(startRes.body)
+
+    const res = await makeRequest('/flamegraph/profiles')
+    assert.strictEqual(res.statusCode, 200)
+    assert.ok(res.headers['content-type'].includes('text/html'))
+    assert.ok(res.body.includes(`href="/flamegraph/result/${id}"`))
+    assert.ok(res.body.includes('action="/flamegraph"'))
+  })
+
+  it('should delete completed profiles from the profiles page', async () => {
+    const startRes = await makeRequest('/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    const { id } = JSON.parse(startRes.body)
+    await waitForDownload(`/flamegraph/result/${id}/cpu.pb.gz`)
+
+    const deleteRes = await makeRequest(`/flamegraph/result/${id}/delete`, { method: 'POST' })
+    assert.strictEqual(deleteRes.statusCode, 303)
+    assert.strictEqual(deleteRes.headers.location, '/flamegraph/profiles')
+
+    const statusRes = await makeRequest(`/flamegraph/api/profiles/${id}`)
+    assert.strictEqual(statusRes.statusCode, 404)
+  })
+
+  it('should queue captures requested while another is running', async () => {
+    const firstRes = await makeRequest('/flamegraph/api/profiles?duration=200', { method: 'POST' })
+    const secondRes = await makeRequest('/flamegraph/api/profiles?duration=100', { method: 'POST' })
+
+    const first = JSON.parse(firstRes.body)
+    const second = JSON.parse(secondRes.body)
+    assert.strictEqual(first.status, 'in-progress')
+    assert.strictEqual(second.status, 'queued')
+    assert.ok(second.startsIn > 0 && second.startsIn <= 200)
+
+    const pageRes = await makeRequest(`/flamegraph/result/${second.id}`)
+    assert.ok(pageRes.body.includes('Profiling in Progress'))
+    assert.match(pageRes.body, /const startsIn = [1-9]\d*;/)
+
+    // Both captures complete, neither breaks the other
+    for (const { id } of [first, second]) {
+      const res = await waitForDownload(`/flamegraph/result/${id}/cpu.pb.gz`)
+      assert.strictEqual(res.statusCode, 200)
+    }
+  })
+
+  it('should render a diff between two stored profiles', async () => {
+    const ids = []
+    for (let i = 0; i < 2; i++) {
+      const startRes = await makeRequest('/flamegraph/api/profiles?duration=100', { method: 'POST' })
+      ids.push(JSON.parse(startRes.body).id)
+    }
+    for (const id of ids) {
+      await waitForDownload(`/flamegraph/result/${id}/cpu.pb.gz`)
+    }
+
+    const res = await makeRequest(`/flamegraph/diff/${ids[0]}/${ids[1]}`)
+    assert.strictEqual(res.statusCode, 200)
+    assert.ok(res.body.includes('Profile Diff'))
+
+    const heapRes = await makeRequest(`/flamegraph/diff/${ids[0]}/${ids[1]}?type=heap`)
+    assert.strictEqual(heapRes.statusCode, 200)
+
+    const missingRes = await makeRequest(`/flamegraph/diff/${ids[0]}/abcdef123456`)
+    assert.strictEqual(missingRes.statusCode, 404)
+  })
+
+  it('should render a failure page for failed profiles', async () => {
+    const id = storage.generateId()
+    storage.markInProgress(id, { duration: 100 })
+    storage.markFailed(id, { message: 'Wall profiler is already started', phase: 'collect' })
+
+    const res = await makeRequest(`/flamegraph/result/${id}`)
+    assert.strictEqual(res.statusCode, 500)
+    assert.ok(res.body.includes('Profiling Failed'))
+    assert.ok(res.body.includes('while collecting profiles'))
+    assert.ok(res.body.includes('Wall profiler is already started'))
+
+    const downloadRes = await makeRequest(`/flamegraph/result/${id}/cpu.pb.gz`)
+    assert.strictEqual(downloadRes.statusCode, 410)
+
+    const statusRes = await makeRequest(`/flamegraph/api/profiles/${id}`)
+    const status = JSON.parse(statusRes.body)
+    assert.strictEqual(status.status, 'failed')
+    assert.deepStrictEqual(status.error, { message: 'Wall profiler is already started', phase: 'collect' })
+  })
+
+  /**
+   * Poll a download route until the profile has been stored
+   */
+  async function waitForDownload (path) {
+    for (let i = 0; i < 50; i++) {
+      const res = await makeRequest(path)
+      if (res.statusCode !== 409) {
+        return res
+      }
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+    throw new Error(`Timed out waiting for ${path}`)
+  }
+
   /**
    * Helper function to make HTTP requests
    */
-  function makeRequest (path) {
+  function makeRequest (path, { method = 'GET', headers = {} } = {}) {
     return new Promise((resolve, reject) => {
       const req = http.request({
         hostname: 'localhost',
         port,
         path,
-        method: 'GET'
+        method,
+        headers
       }, (res) => {
-        let body = ''
-        res.on('data', chunk => { body += chunk })
+        const chunks = []
+        res.on('data', chunk => { chunks.push(chunk) })
         res.on('end', () => {
+          const raw = Buffer.concat(chunks)
           resolve({
             statusCode: res.statusCode,
             headers: res.headers,
-            body
+            body: raw.toString(),
+            raw
           })
         })
       })
@@ -0,0 +1,117 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import express from 'express'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { request, serve } from './http-helpers.js'
+import { buildProfileBuffer } from './profile-fixtures.js'
+
+describe('Mount-aware routing', () => {
+  let app
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should serve the routes at an Express mount path ending in the base path', async () => {
+    const flamegraph = createFlamegraphMiddleware({ storage: new ProfileStorage() })
+    const server = express()
+    server.use('/tools/flamegraph', flamegraph)
+    app = await serve(server, flamegraph)
+
+    const profiles = await request(app.port, '/tools/flamegraph/profiles')
+    assert.strictEqual(profiles.statusCode, 200)
+    assert.ok(profiles.body.includes('action="/tools/flamegraph/heapsnapshot"'))
+
+    const upload = await request(app.port, '/tools/flamegraph/upload', { method: 'POST', body: buildProfileBuffer({ 'main;work': 10 }) })
+    assert.strictEqual(upload.statusCode, 303)
+    assert.match(upload.headers.location, /^\/tools\/flamegraph\/result\/[a-f0-9]+$/)
+
+    const result = await request(app.port, upload.headers.location)
+    assert.strictEqual(result.statusCode, 200)
+    assert.ok(result.body.includes('href="/tools/flamegraph/profiles"'))
+
+    // Express strips the mount path, the request for it arrives as '/'
+    const start = await request(app.port, '/tools/flamegraph?duration=invalid')
+    assert.strictEqual(start.statusCode, 400)
+  })
+
+  it('should build links below the mount path of an Express router', async () => {
+    const flamegraph = createFlamegraphMiddleware({ storage: new ProfileStorage() })
+    const router = express.Router()
+    router.use(flamegraph)
+    router.get('/users', (req, res) => res.send('users'))
+    const server = express()
+    server.use('/admin', router)
+    app = await serve(server, flamegraph)
+
+    const upload = await request(app.port, '/admin/flamegraph/upload', { method: 'POST', headers: { Accept: 'application/json' }, body: buildProfileBuffer({ 'main;work': 10 }) })
+    assert.strictEqual(upload.statusCode, 201)
+    const status = JSON.parse(upload.body)
+    assert.strictEqual(status.statusUrl, `/admin/flamegraph/api/profiles/${status.id}`)
+    assert.strictEqual(status.resultUrl, `/admin/flamegraph/result/${status.id}`)
+    assert.deepStrictEqual(status.downloads, { cpu: `/admin/flamegraph/result/${status.id}/cpu.pb.gz` })
+
+    const list = JSON.parse((await request(app.port, '/admin/flamegraph/api/profiles')).body)
+    assert.strictEqual(list.profiles[0].resultUrl, status.resultUrl)
+
+    const download = await request(app.port, status.downloads.cpu)
+    assert.strictEqual(download.statusCode, 200)
+    assert.strictEqual((await request(app.port, '/admin/users')).body, 'users')
+
+    // Links of the programmatic API don't know about any mount
+    assert.strictEqual((await flamegraph.listProfiles())[0].resultUrl, `/flamegraph/result/${status.id}`)
+  })
+
+  it('should find the mount path from the original URL of Connect-style routers', async () => {
+    const flamegraph = createFlamegraphMiddleware({ basePath: '/profiler/', storage: new ProfileStorage() })
+    app = await serve(mount(flamegraph, '/profiler'), flamegraph)
+
+    // Connect rewrites a request for the mount path itself to '/'
+    const start = await request(app.port, '/profiler?duration=invalid')
+    assert.strictEqual(start.statusCode, 400)
+    assert.ok(start.body.includes('Invalid duration'))
+
+    const page = await request(app.port, '/profiler/profiles')
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes("fetch('/profiler/upload'"))
+  })
+
+  it('should only match whole path segments', async () => {
+    const flamegraph = createFlamegraphMiddleware({ storage: new ProfileStorage(), requestLabels: false })
+    app = await serve(mount(flamegraph), flamegraph)
+
+    for (const path of ['/flamegraphs-report', '/flamegraph.html', '/flamegraphx/profiles']) {
+      const response = await request(app.port, path)
+      assert.strictEqual(response.statusCode, 418, path)
+    }
+    assert.strictEqual((await request(app.port, '/flamegraph/profiles')).statusCode, 200)
+    assert.strictEqual((await request(app.port, '/flamegraph/?duration=invalid')).statusCode, 400)
+  })
+
+  /**
+   * Mount the middleware like Connect-style routers do when `mountPath` is
+   * given: `req.url` rewritten, the full URL in `req.originalUrl`
+   */
+  function mount (flamegraph, mountPath) {
+    return (req, res) => {
+      const next = () => {
+        res.writeHead(418)
+        res.end('App')
+      }
+
+      if (mountPath) {
+        const { pathname } = new URL(req.url, 'http://localhost')
+        if (pathname !== mountPath && !pathname.startsWith(`${mountPath}/`)) {
+          return next()
+        }
+        req.originalUrl = req.url
+        req.url = req.url.slice(mountPath.length) || '/'
+        if (req.url[0] !== '/') {
+          req.url = `/${req.url}`
+        }
+      }
+      flamegraph(req, res, next)
+    }
+  }
+})
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import {
+  decodeProfile,
+  filterProfileByLabels,
+  focusProfile,
+  forEachStack,
+  getDefaultSampleIndex,
+  getProfileLabels,
+  mergeProfiles,
+  splitProfileByLabel,
+  subtractProfile
+} from '../src/pprof-utils.js'
+import { buildProfile } from './profile-fixtures.js'
+
+describe('mergeProfiles', () => {
+  it('should sum identical stacks and keep distinct ones', () => {
+    const merged = mergeProfiles([
+      buildProfile({ 'main;work;hot': 30, 'main;idle': 10 }, { durationMs: 1000 }),
+      buildProfile({ 'main;work;hot': 20, 'main;other': 5 }, { durationMs: 2000 })
+    ])
+
+    assert.deepStrictEqual(foldStacks(merged), {
+      'main;work;hot': 50,
+      'main;idle': 10,
+      'main;other': 5
+    })
+    assert.strictEqual(Number(merged.durationNanos), 3000 * 1e6)
+  })
+
+  it('should keep samples with different labels apart', () => {
+    const merged = mergeProfiles([
+      buildProfile({ 'main;hot': 10 }, { labels: { 'main;hot': { route: '/a' } } }),
+      buildProfile({ 'main;hot': 20 }, { labels: { 'main;hot': { route: '/b' } } }),
+      buildProfile({ 'main;hot': 5 }, { labels: { 'main;hot': { route: '/a' } } })
+    ])
+
+    const strings = merged.stringTable.strings
+    const byRoute = Object.fromEntries(merged.sample.map(sample => [
+      strings[sample.label[0].str],
+      sample.value[1]
+    ]))
+    assert.deepStrictEqual(byRoute, { '/a': 15, '/b': 20 })
+  })
+
+  it('should produce an encodable profile', () => {
+    const merged = mergeProfiles([buildProfile({ 'main;hot': 10 }), buildProfile({ 'main;cold': 10 })])
+    const decoded = decodeProfile(Buffer.from(merged.encode()))
+    assert.deepStrictEqual(foldStacks(decoded), { 'main;hot': 10, 'main;cold': 10 })
+  })
+})
+
+describe('subtractProfile', () => {
+  const heapTypes = [['objects', 'count'], ['space', 'bytes']]
+
+  it('should keep only the stacks that grew, by how much they grew', () => {
+    const baseline = buildProfile({ 'main;cache': 100, 'main;leak': 50, 'main;temp': 30 }, { sampleTypes: heapTypes })
+    const end = buildProfile({ 'main;cache': 100, 'main;leak': 250, 'main;temp': 10, 'main;new': 40 }, { sampleTypes: heapTypes })
+
+    assert.deepStrictEqual(foldStacks(subtractProfile(end, baseline)), {
+      'main;leak': 200,
+      'main;new': 40
+    })
+  })
+
+  it('should cover the time between both profiles', () => {
+    const baseline = buildProfile({ 'main;leak': 1 }, { sampleTypes: heapTypes })
+    const end = buildProfile({ 'main;leak': 2 }, { sampleTypes: heapTypes })
+    baseline.timeNanos = 1000 * 1e6
+    end.timeNanos = 3500 * 1e6
+
+    const growth = subtractProfile(end, baseline)
+    assert.strictEqual(growth.timeNanos, 1000 * 1e6)
+    assert.strictEqual(growth.durationNanos, 2500 * 1e6)
+  })
+})
+
+describe('request labels', () => {
+  const labels = {
+    'main;create': { method: 'POST', route: '/todos' },
+    'main;list': { method: 'GET', route: '/todos' },
+    'main;health': { method: 'GET', route: '/health' }
+  }
+  const stacks = { 'main;create': 30, 'main;list': 20, 'main;health': 5, 'main;timer': 10 }
+
+  it('should list the label values found on samples', () => {
+    assert.deepStrictEqual(getProfileLabels(buildProfile(stacks, { labels })), {
+      method: ['GET', 'POST'],
+      route: ['/health', '/todos']
+    })
+  })
+
+  it('should keep only samples matching every filter', () => {
+    const profile = filterProfileByLabels(buildProfile(stacks, { labels }), { method: 'GET', route: '/todos' })
+    assert.deepStrictEqual(foldStacks(profile), { 'main;list': 20 })
+  })
+
+  it('should put samples under a root frame per label value', () => {
+    const profile = splitProfileByLabel(buildProfile(stacks, { labels }), 'route')
+    const decoded = decodeProfile(Buffer.from(profile.encode()))
+    assert.deepStrictEqual(foldStacks(decoded), {
+      'route: /todos;main;create': 30,
+      'route: /todos;main;list': 20,
+      'route: /health;main;health': 5,
+      'route: (none);main;timer': 10
+    })
+  })
+})
+
+describe('focusProfile', () => {
+  it('should keep the stacks through a function, starting at its outermost call', () => {
+    const profile = focusProfile(buildProfile({
+      'main;work;hot': 30,
+      'main;work;parse;work;hot': 5,
+      'main;idle': 10
+    }), { name: 'work' })
+    assert.deepStrictEqual(foldStacks(profile), { 'work;hot': 30, 'work;parse;work;hot': 5 })
+  })
+
+  it('should only match the given file', () => {
+    const profile = focusProfile(buildProfile({ 'main;work': 30 }), { name: 'work', file: '/app/other.js' })
+    assert.deepStrictEqual(foldStacks(profile), {})
+  })
+})
+
+/**
+ * Fold a profile back into `{ 'a;b;c': value }` form
+ */
+function foldStacks (profile) {
+  const folded = {}
+  forEachStack(profile, getDefaultSampleIndex(profile), (stack, value) => {
+    const key = stack.map(frame => frame.name).join(';')
+    folded[key] = (folded[key] || 0) + value
+  })
+  return folded
+}
@@ -0,0 +1,70 @@
+import { Profile, StringTable, ValueType, Sample, Location, Line, Function } from 'pprof-format'
+
+/**
+ * Build a pprof profile from folded stacks, e.g. `{ 'main;work;hot': 30 }`
+ *
+ * @param {Object<string, number>} stacks - Folded stack (root first) to sample value
+ * @param {Object} options - Options
+ * @param {number} options.durationMs - Duration the profile covers
+ * @param {Array<[string, string]>} options.sampleTypes - Sample [type, unit] pairs, the value goes in the last one
+ * @param {Object<string, Object<string, string>>} options.labels - Folded stack to string labels
+ * @returns {Profile}
+ */
+export function buildProfile (stacks, options = {}) {
+  const {
+    durationMs = 1000,
+    sampleTypes = [['sample', 'count'], ['wall', 'nanoseconds']],
+    labels = {}
+  } = options
+
+  const stringTable = new StringTable()
+  const functionIds = new Map()
+  const functions = []
+  const locations = []
+
+  function locationFor (name) {
+    let id = functionIds.get(name)
+    if (!id) {
+      id = functions.length + 1
+      functionIds.set(name, id)
+      functions.push(new Function({
+        id,
+        name: stringTable.dedup(name),
+        filename: stringTable.dedup(`/app/${name}.js`)
+      }))
+      locations.push(new Location({ id, line: [new Line({ functionId: id, line: id * 10 })] }))
+    }
+    return id
+  }
+
+  const samples = Object.entries(stacks).map(([stack, value]) => new Sample({
+    // pprof stores the leaf first
+    locationId: stack.split(';').map(locationFor).reverse(),
+    value: sampleTypes.map((_, i) => i === sampleTypes.length - 1 ? value : 1),
+    label: Object.entries(labels[stack] || {}).map(([key, str]) => ({
+      key: stringTable.dedup(key),
+      str: stringTable.dedup(str)
+    }))
+  }))
+
+  return new Profile({
+    sampleType: sampleTypes.map(([type, unit]) => new ValueType({
+      type: stringTable.dedup(type),
+      unit: stringTable.dedup(unit)
+    })),
+    sample: samples,
+    location: locations,
+    function: functions,
+    stringTable,
+    durationNanos: durationMs * 1e6
+  })
+}
+
+/**
+ * Build and encode a pprof profile from folded stacks
+ *
+ * @returns {Buffer}
+ */
+export function buildProfileBuffer (stacks, options) {
+  return Buffer.from(buildProfile(stacks, options).encode())
+}
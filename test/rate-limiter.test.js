@@ -0,0 +1,142 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { RateLimiter } from '../src/rate-limiter.js'
+import { ProfileStorage } from '../src/index.js'
+import { listen, request } from './http-helpers.js'
+
+const HOUR = 60 * 60 * 1000
+
+describe('RateLimiter', () => {
+  it('should allow everything without limits', () => {
+    const limiter = new RateLimiter()
+    for (let i = 0; i < 100; i++) {
+      assert.deepStrictEqual(limiter.check('a', 60000, i), { allowed: true })
+      limiter.record('a', 60000, i)
+    }
+  })
+
+  it('should enforce the cooldown between captures', () => {
+    const limiter = new RateLimiter({ cooldown: 10000 })
+    limiter.record('a', 1000, 0)
+
+    const result = limiter.check('b', 1000, 4000)
+    assert.strictEqual(result.allowed, false)
+    assert.strictEqual(result.reason, 'cooldown')
+    assert.strictEqual(result.retryAfter, 6000)
+
+    assert.strictEqual(limiter.check('b', 1000, 10000).allowed, true)
+  })
+
+  it('should limit captures per window across clients', () => {
+    const limiter = new RateLimiter({ window: 60000, maxCaptures: 2 })
+    limiter.record('a', 1000, 0)
+    limiter.record('b', 1000, 20000)
+
+    const result = limiter.check('c', 1000, 30000)
+    assert.strictEqual(result.reason, 'max-captures')
+    assert.strictEqual(result.retryAfter, 30000)
+
+    assert.strictEqual(limiter.check('c', 1000, 60000).allowed, true)
+  })
+
+  it('should limit captures per window for each client', () => {
+    const limiter = new RateLimiter({ window: 60000, maxCapturesPerClient: 1 })
+    limiter.record('a', 1000, 0)
+
+    const result = limiter.check('a', 1000, 1000)
+    assert.strictEqual(result.reason, 'max-captures-per-client')
+    assert.strictEqual(result.retryAfter, 59000)
+
+    assert.strictEqual(limiter.check('b', 1000, 1000).allowed, true)
+  })
+
+  it('should cap the total profiled time per hour', () => {
+    const limiter = new RateLimiter({ maxProfiledTimePerHour: 60000 })
+    limiter.record('a', 30000, 0)
+    limiter.record('a', 20000, 1000)
+
+    assert.strictEqual(limiter.check('a', 10000, 2000).allowed, true)
+
+    // The first capture has to expire before 20s more fit
+    const result = limiter.check('a', 20000, 2000)
+    assert.strictEqual(result.reason, 'max-profiled-time')
+    assert.strictEqual(result.retryAfter, HOUR - 2000)
+
+    assert.strictEqual(limiter.check('a', 20000, HOUR).allowed, true)
+  })
+
+  it('should reject captures longer than the hourly budget', () => {
+    const limiter = new RateLimiter({ maxProfiledTimePerHour: 10000 })
+    const result = limiter.check('a', 20000, 0)
+    assert.strictEqual(result.reason, 'max-profiled-time')
+  })
+})
+
+describe('Rate limited middleware', () => {
+  let app
+  let storage
+
+  beforeEach(() => {
+    storage = new ProfileStorage()
+  })
+
+  afterEach(async () => {
+    // Let captures finish so the next test starts with an idle profiler
+    while (storage.inProgress.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    await app?.close()
+    app = null
+  })
+
+  it('should respond with 429 and Retry-After once limited', async () => {
+    app = await listen({ maxDuration: 500, storage, rateLimit: { cooldown: 30000 } })
+
+    const first = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    assert.strictEqual(first.statusCode, 202)
+
+    const jsonRes = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    assert.strictEqual(jsonRes.statusCode, 429)
+    assert.strictEqual(jsonRes.headers['retry-after'], '30')
+    const body = JSON.parse(jsonRes.body)
+    assert.strictEqual(body.reason, 'cooldown')
+    assert.strictEqual(body.retryAfter, 30)
+
+    const htmlRes = await request(app.port, '/flamegraph?duration=100')
+    assert.strictEqual(htmlRes.statusCode, 429)
+    assert.ok(htmlRes.headers['retry-after'])
+    assert.ok(htmlRes.body.includes('captured too recently'))
+  })
+
+  it('should reject durations over the hourly budget with 400', async () => {
+    app = await listen({ maxDuration: 500, storage, rateLimit: { maxProfiledTimePerHour: 200 } })
+
+    const jsonRes = await request(app.port, '/flamegraph/api/profiles?duration=300', { method: 'POST' })
+    assert.strictEqual(jsonRes.statusCode, 400)
+    assert.strictEqual(JSON.parse(jsonRes.body).error, 'Duration exceeds the hourly profiling budget, the maximum allowed is 200ms')
+
+    const htmlRes = await request(app.port, '/flamegraph?duration=300')
+    assert.strictEqual(htmlRes.statusCode, 400)
+    assert.strictEqual(htmlRes.headers['retry-after'], undefined)
+
+    const allowed = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST' })
+    assert.strictEqual(allowed.statusCode, 202)
+  })
+
+  it('should key per-client limits with the clientKey option', async () => {
+    app = await listen({
+      maxDuration: 500,
+      storage,
+      rateLimit: { maxCapturesPerClient: 1, clientKey: req => req.headers['x-client'] }
+    })
+
+    const first = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST', headers: { 'x-client': 'a' } })
+    assert.strictEqual(first.statusCode, 202)
+
+    const limited = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST', headers: { 'x-client': 'a' } })
+    assert.strictEqual(limited.statusCode, 429)
+
+    const other = await request(app.port, '/flamegraph/api/profiles?duration=100', { method: 'POST', headers: { 'x-client': 'b' } })
+    assert.strictEqual(other.statusCode, 202)
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { Profiler } from '../src/profiler.js'
+import { decodeProfile, getProfileLabels } from '../src/pprof-utils.js'
+import { listen, request } from './http-helpers.js'
+
+describe('Request labels', () => {
+  let app
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should label CPU samples with the method and route of their request', async () => {
+    app = await listen({ metricsInterval: 0, requestLabels: true }, burnCpu)
+
+    const result = await captureDuringTraffic([['POST', '/todos'], ['GET', '/health']])
+    const labels = getProfileLabels(decodeProfile(result.cpu))
+    assert.deepStrictEqual(labels, { method: ['GET', 'POST'], route: ['/health', '/todos'] })
+  })
+
+  it('should use the route option for the route label', async () => {
+    app = await listen({ metricsInterval: 0, requestLabels: { route: req => req.url.replace(/\/\d+$/, '/:id') } }, burnCpu)
+
+    const result = await captureDuringTraffic([['GET', '/todos/1'], ['GET', '/todos/2']])
+    const labels = getProfileLabels(decodeProfile(result.cpu))
+    assert.deepStrictEqual(labels.route, ['/todos/:id'])
+  })
+
+  it('should leave labels and contexts off in a profiler by default', () => {
+    const profiler = new Profiler()
+    assert.strictEqual(profiler.requestLabels, false)
+    assert.strictEqual(profiler.timeProfilerOptions(1000, 'wall').withContexts, false)
+    // pprof only records CPU time per context
+    assert.strictEqual(profiler.timeProfilerOptions(1000, 'cpu').withContexts, true)
+    assert.strictEqual(new Profiler({ requestLabels: true }).timeProfilerOptions(1000, 'wall').withContexts, true)
+  })
+
+  it('should not label samples unless enabled', async () => {
+    app = await listen({ metricsInterval: 0 }, burnCpu)
+
+    const result = await captureDuringTraffic([['POST', '/todos']])
+    assert.deepStrictEqual(getProfileLabels(decodeProfile(result.cpu)), {})
+  })
+
+  it('should filter and split the flamegraph by label on the results page', async () => {
+    app = await listen({ metricsInterval: 0, requestLabels: true }, burnCpu)
+    const result = await captureDuringTraffic([['POST', '/todos'], ['GET', '/health']])
+
+    const page = await request(app.port, `/flamegraph/result/${result.id}`)
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes('class="labels"'))
+    assert.ok(page.body.includes('value="route:/todos"'))
+
+    const filtered = await request(app.port, `/flamegraph/result/${result.id}?label=method:POST&label=route:/todos&split=route`)
+    assert.strictEqual(filtered.statusCode, 200)
+    assert.ok(filtered.body.includes('value="route:/todos" selected'))
+    assert.ok(filtered.body.includes('value="route" selected'))
+
+    // Filtering everything out still renders an (empty) flamegraph
+    const empty = await request(app.port, `/flamegraph/result/${result.id}?label=route:/missing`)
+    assert.strictEqual(empty.statusCode, 200)
+
+    const invalid = await request(app.port, `/flamegraph/result/${result.id}?label=route`)
+    assert.strictEqual(invalid.statusCode, 400)
+    assert.ok(invalid.body.includes('expected &lt;key&gt;:&lt;value&gt;'))
+  })
+
+  /**
+   * Capture a CPU profile while the given requests keep the server busy
+   */
+  async function captureDuringTraffic (requests) {
+    const capturing = app.flamegraph.capture({ duration: 400, types: ['cpu'] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    for (let round = 0; round < 3; round++) {
+      await Promise.all(requests.map(([method, path]) => request(app.port, path, { method })))
+    }
+    return capturing
+  }
+
+  /**
+   * Answer requests outside the middleware after burning CPU past an async hop
+   */
+  function burnCpu (req, res) {
+    setImmediate(() => {
+      const end = Date.now() + 20
+      while (Date.now() < end) {
+        Math.sqrt(Math.random())
+      }
+      res.end('ok')
+    })
+  }
+})
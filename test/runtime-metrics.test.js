@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { RuntimeMetricsRecorder } from '../src/runtime-metrics.js'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { listen, request } from './http-helpers.js'
+
+describe('RuntimeMetricsRecorder', () => {
+  it('should sample every metric at the interval', async () => {
+    const recorder = new RuntimeMetricsRecorder({ interval: 20 })
+    recorder.start()
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    // Block the event loop so the delay shows up
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 40)
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    const timeline = recorder.stop()
+    assert.strictEqual(timeline.interval, 20)
+    assert.ok(timeline.samples.length >= 3)
+
+    for (const sample of timeline.samples) {
+      for (const key of ['time', 'eventLoopDelay', 'eventLoopUtilization', 'gcPause', 'gcCount', 'rss', 'heapUsed', 'activeHandles']) {
+        assert.strictEqual(typeof sample[key], 'number', key)
+      }
+      assert.ok(sample.rss > 0)
+      assert.ok(sample.eventLoopUtilization >= 0 && sample.eventLoopUtilization <= 1)
+    }
+    assert.ok(Math.max(...timeline.samples.map(sample => sample.eventLoopDelay)) >= 30)
+  })
+
+  it('should keep the timeline when stopped twice', () => {
+    const recorder = new RuntimeMetricsRecorder()
+    recorder.start()
+    const first = recorder.stop()
+    assert.strictEqual(first.samples.length, 1)
+    assert.deepStrictEqual(recorder.stop(), first)
+  })
+})
+
+describe('Runtime metrics in captures', () => {
+  let app
+  let flamegraph
+
+  before(async () => {
+    app = await listen({ maxDuration: 1000, metricsInterval: 50 })
+    flamegraph = app.flamegraph
+  })
+
+  after(() => app.close())
+
+  it('should store the timeline with the profile and chart it', async () => {
+    const result = await flamegraph.capture({ duration: 200, types: ['cpu'] })
+    const timeline = JSON.parse(result.metrics)
+    assert.strictEqual(timeline.interval, 50)
+    assert.ok(timeline.samples.length >= 3)
+
+    const page = await request(app.port, `/flamegraph/result/${result.id}`)
+    assert.ok(page.body.includes('class="metrics"'))
+    assert.ok(page.body.includes('Event-loop utilization'))
+    assert.ok(page.body.includes('Active handles'))
+
+    const download = await request(app.port, `/flamegraph/result/${result.id}/metrics.json`)
+    assert.strictEqual(download.statusCode, 200)
+    assert.deepStrictEqual(JSON.parse(download.body), timeline)
+  })
+
+  it('should not record metrics when disabled', async () => {
+    const disabled = createFlamegraphMiddleware({ storage: new ProfileStorage(), metricsInterval: 0 })
+    const result = await disabled.capture({ duration: 50, types: ['cpu'] })
+    assert.strictEqual(result.metrics, undefined)
+    await disabled.close()
+  })
+})
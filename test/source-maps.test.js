@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import pprof from '@datadog/pprof'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { loadSourceMaps } from '../src/source-maps.js'
+import { decodeProfile, forEachStack, getDefaultSampleIndex } from '../src/pprof-utils.js'
+
+// What a compiler would emit for a function first written at line 10 of src/<name>.ts
+const GENERATED = `// generated
+export function a (ms) {
+  const end = Date.now() + ms
+  let n = 0
+  while (Date.now() < end) n += Math.sqrt(n)
+  return n
+}
+`
+
+/**
+ * Source map of GENERATED: line N maps to line N + 9 of the source, and the
+ * function line carries the original function name
+ */
+function sourceMapFor (name) {
+  return {
+    version: 3,
+    file: `${name}.mjs`,
+    sources: [`../src/${name}.ts`],
+    names: [`${name}Totals`],
+    mappings: 'AASA;AACAA;AACA;AACA;AACA;AACA;AACA'
+  }
+}
+
+describe('Source maps', () => {
+  let dir
+  let disk
+  let inline
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'flamegraph-source-maps-'))
+    await fs.mkdir(path.join(dir, 'dist'))
+
+    await fs.writeFile(path.join(dir, 'dist', 'disk.mjs'), `${GENERATED}//# sourceMappingURL=disk.mjs.map\n`)
+    await fs.writeFile(path.join(dir, 'dist', 'disk.mjs.map'), JSON.stringify(sourceMapFor('disk')))
+
+    const encoded = Buffer.from(JSON.stringify(sourceMapFor('inline'))).toString('base64')
+    await fs.writeFile(path.join(dir, 'dist', 'inline.mjs'), `${GENERATED}//# sourceMappingURL=data:application/json;base64,${encoded}\n`)
+
+    disk = await import(pathToFileURL(path.join(dir, 'dist', 'disk.mjs')))
+    inline = await import(pathToFileURL(path.join(dir, 'dist', 'inline.mjs')))
+  })
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  it('should load maps from .map files and inline data URLs', async () => {
+    const mapper = new pprof.SourceMapper()
+    assert.strictEqual(await loadSourceMaps(mapper, [dir]), 2)
+
+    const file = path.join(dir, 'dist', 'inline.mjs')
+    assert.deepStrictEqual(mapper.mappingInfo({ file, line: 2, column: 17, name: 'a' }), {
+      file: path.join(dir, 'src', 'inline.ts'),
+      line: 11,
+      column: 1,
+      name: 'inlineTotals'
+    })
+
+    // Lines without a mapping stay as they are
+    const unmapped = { file, line: 20, column: 1, name: 'a' }
+    assert.strictEqual(mapper.mappingInfo(unmapped), unmapped)
+  })
+
+  it('should reject a SourceMapper it can\'t load maps into', async () => {
+    const mapper = new pprof.SourceMapper()
+    delete mapper.infoMap
+    await assert.rejects(loadSourceMaps(mapper, [dir]), /no infoMap/)
+  })
+
+  it('should store profiles pointing to the original sources', async () => {
+    const flamegraph = createFlamegraphMiddleware({
+      storage: new ProfileStorage(),
+      metricsInterval: 0,
+      sourceMaps: { dirs: [dir] }
+    })
+
+    const capturing = flamegraph.capture({ duration: 300, types: ['cpu'] })
+
+    // The capture starts once the maps are loaded. V8 loses frames of code
+    // optimized before the CPU profiler started, so only run it while it runs.
+    while (!pprof.time.isStarted()) {
+      await new Promise(resolve => setTimeout(resolve, 5))
+    }
+    while (pprof.time.isStarted()) {
+      disk.a(50)
+      inline.a(50)
+      await new Promise(resolve => setImmediate(resolve))
+    }
+    const result = await capturing
+
+    const frames = new Map()
+    const profile = decodeProfile(result.cpu)
+    forEachStack(profile, getDefaultSampleIndex(profile), stack => {
+      for (const frame of stack) {
+        frames.set(frame.name, frame)
+      }
+    })
+
+    assert.deepStrictEqual(frames.get('diskTotals'), { name: 'diskTotals', file: path.join(dir, 'src', 'disk.ts'), line: 11 })
+    assert.deepStrictEqual(frames.get('inlineTotals'), { name: 'inlineTotals', file: path.join(dir, 'src', 'inline.ts'), line: 11 })
+    assert.ok(!frames.has('a'))
+
+    // Frames of code without source maps are left alone
+    assert.ok([...frames.values()].some(frame => frame.file === new URL(import.meta.url).pathname))
+  })
+})
@@ -101,6 +101,98 @@ describe('ProfileStorage', () => {
     assert.strictEqual(storage.getProfile(id), null)
   })
 
+  it('should report status for in-progress and completed profiles', () => {
+    const id = storage.generateId()
+
+    storage.markInProgress(id, { duration: 5000 })
+    const inProgress = storage.getStatus(id)
+    assert.strictEqual(inProgress.status, 'in-progress')
+    assert.strictEqual(inProgress.duration, 5000)
+    assert.ok(inProgress.remaining > 0)
+
+    storage.storeProfile(id, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+    const completed = storage.getStatus(id)
+    assert.strictEqual(completed.status, 'completed')
+    assert.strictEqual(completed.duration, 5000)
+    assert.strictEqual(completed.size, 7)
+    assert.ok(completed.expiresIn > 0)
+
+    assert.strictEqual(storage.getStatus('unknown'), null)
+  })
+
+  it('should report evicted profiles as expired', () => {
+    const ids = []
+    for (let i = 0; i < 4; i++) {
+      const id = storage.generateId()
+      ids.push(id)
+      storage.storeProfile(id, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+    }
+
+    assert.strictEqual(storage.getStatus(ids[0]).status, 'expired')
+  })
+
+  it('should list profiles newest first', async () => {
+    const first = storage.generateId()
+    storage.markInProgress(first, { duration: 100 })
+    storage.storeProfile(first, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+
+    await new Promise(resolve => setTimeout(resolve, 5))
+
+    const second = storage.generateId()
+    storage.markInProgress(second, { duration: 100 })
+
+    const profiles = storage.listProfiles()
+    assert.deepStrictEqual(profiles.map(profile => profile.id), [second, first])
+    assert.deepStrictEqual(profiles.map(profile => profile.status), ['in-progress', 'completed'])
+  })
+
+  it('should record failed profiles', () => {
+    const id = storage.generateId()
+
+    storage.markInProgress(id, { duration: 5000 })
+    storage.markFailed(id, { message: 'boom', phase: 'encode' })
+
+    assert.strictEqual(storage.isInProgress(id), false)
+    assert.strictEqual(storage.getProfile(id), null)
+
+    const status = storage.getStatus(id)
+    assert.strictEqual(status.status, 'failed')
+    assert.strictEqual(status.duration, 5000)
+    assert.deepStrictEqual(status.error, { message: 'boom', phase: 'encode' })
+    assert.deepStrictEqual(storage.listProfiles().map(profile => profile.id), [id])
+
+    storage.deleteProfile(id)
+    assert.strictEqual(storage.getStatus(id), null)
+  })
+
+  it('should keep the trigger of automatic captures', () => {
+    const id = storage.generateId()
+    const trigger = { metric: 'cpu', value: 95, threshold: 90, sustained: 5000, reason: 'CPU usage at 95%, above 90% for 5s' }
+
+    storage.markInProgress(id, { duration: 1000, trigger })
+    assert.deepStrictEqual(storage.getStatus(id).trigger, trigger)
+
+    storage.storeProfile(id, { cpu: Buffer.from('cpu'), heap: Buffer.from('heap') })
+    assert.deepStrictEqual(storage.getStatus(id).trigger, trigger)
+    assert.deepStrictEqual(storage.listProfiles()[0].trigger, trigger)
+  })
+
+  it('should fail profiles stuck in progress', async () => {
+    const watchdogStorage = new ProfileStorage({ collectionTimeout: 50 })
+    const id = watchdogStorage.generateId()
+
+    try {
+      watchdogStorage.markInProgress(id, { duration: 50 })
+      await new Promise(resolve => setTimeout(resolve, 150))
+
+      const status = watchdogStorage.getStatus(id)
+      assert.strictEqual(status.status, 'failed')
+      assert.strictEqual(status.error.phase, 'timeout')
+    } finally {
+      watchdogStorage.cleanup()
+    }
+  })
+
   it('should cleanup all profiles', () => {
     const id1 = storage.generateId()
     const id2 = storage.generateId()
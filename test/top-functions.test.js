@@ -0,0 +1,92 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { getTopFunctions } from '../src/top-functions.js'
+import { generateResultsPage } from '../src/html-generator.js'
+import { ProfileStorage } from '../src/index.js'
+import { buildProfile, buildProfileBuffer } from './profile-fixtures.js'
+import { listen, request } from './http-helpers.js'
+
+const heapTypes = [['objects', 'count'], ['space', 'bytes']]
+
+describe('getTopFunctions', () => {
+  it('should add up self and total values per function', () => {
+    const { functions, total, sampleType } = getTopFunctions(buildProfile({ 'main;work;hot': 30, 'main;work': 10, 'main;idle': 5 }))
+
+    assert.strictEqual(total, 45)
+    assert.deepStrictEqual(sampleType, { type: 'wall', unit: 'nanoseconds' })
+    assert.deepStrictEqual(functions.map(fn => [fn.name, fn.self, fn.total]), [
+      ['main', 0, 45],
+      ['work', 10, 40],
+      ['hot', 30, 30],
+      ['idle', 5, 5]
+    ])
+    assert.strictEqual(functions[2].file, '/app/hot.js')
+    assert.strictEqual(functions[2].line, 30)
+  })
+
+  it('should count recursive frames once in totals', () => {
+    const { functions } = getTopFunctions(buildProfile({ 'main;walk;walk;walk': 20 }))
+    const walk = functions.find(fn => fn.name === 'walk')
+    assert.strictEqual(walk.self, 20)
+    assert.strictEqual(walk.total, 20)
+  })
+
+  it('should report bytes for heap profiles and keep the top functions', () => {
+    const profile = buildProfile({ 'main;cache': 4096, 'main;buffer': 1024, 'main;small': 16 }, { sampleTypes: heapTypes })
+    const { functions, sampleType } = getTopFunctions(profile, { limit: 2 })
+
+    assert.deepStrictEqual(sampleType, { type: 'space', unit: 'bytes' })
+    assert.deepStrictEqual(functions.map(fn => fn.name), ['main', 'cache'])
+  })
+})
+
+describe('Top functions on the results page', () => {
+  let app
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should embed a function table for every tab', async () => {
+    const html = await generateResultsPage(
+      buildProfileBuffer({ 'main;hot</script>': 30 }),
+      buildProfileBuffer({ 'main;cache': 4096 }, { sampleTypes: heapTypes })
+    )
+
+    assert.ok(html.includes('Top functions'))
+    const [, json] = html.match(/const topFunctions = (.*);\n/)
+    const tables = JSON.parse(json)
+    assert.deepStrictEqual(Object.keys(tables), ['cpu', 'heap'])
+    assert.ok(tables.cpu.functions.some(fn => fn.name === 'hot</script>'))
+    assert.strictEqual(tables.heap.sampleType.unit, 'bytes')
+    assert.ok(!html.includes('hot</script>'))
+  })
+
+  it('should focus the flamegraph of the chosen tab on a function', async () => {
+    const storage = new ProfileStorage()
+    const id = storage.generateId()
+    await storage.storeProfile(id, {
+      cpu: buildProfileBuffer({ 'main;work;hot': 30, 'main;idle': 10 }),
+      heap: buildProfileBuffer({ 'main;cache': 4096, 'main;work;buffer': 1024 }, { sampleTypes: heapTypes })
+    })
+    app = await listen({ storage, metricsInterval: 0 })
+
+    const page = await request(app.port, `/flamegraph/result/${id}?tab=heap&focus=work&file=/app/work.js`)
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes('Focused on <strong>work</strong> /app/work.js'))
+    assert.ok(page.body.includes('<div id="heap-tab" class="tab-content active">'))
+
+    // The focused tab only holds the function and what it calls, the others are untouched
+    const tables = JSON.parse(page.body.match(/const topFunctions = (.*);\n/)[1])
+    assert.deepStrictEqual(tables.heap.functions.map(fn => fn.name).sort(), ['buffer', 'work'])
+    assert.strictEqual(tables.heap.total, 1024)
+    assert.strictEqual(tables.cpu.total, 40)
+
+    // Unknown tabs fall back to the first one
+    const fallback = await request(app.port, `/flamegraph/result/${id}?tab=metrics&focus=work`)
+    assert.strictEqual(fallback.statusCode, 200)
+    assert.ok(fallback.body.includes('<div id="cpu-tab" class="tab-content active">'))
+    assert.strictEqual(JSON.parse(fallback.body.match(/const topFunctions = (.*);\n/)[1]).cpu.total, 30)
+  })
+})
@@ -0,0 +1,142 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { TriggerMonitor } from '../src/trigger-monitor.js'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+
+describe('TriggerMonitor', () => {
+  let monitor
+
+  afterEach(() => {
+    monitor?.stop()
+    monitor = null
+  })
+
+  it('should require a threshold', () => {
+    assert.throws(() => new TriggerMonitor({}), /needs an eventLoopDelay or cpu threshold/)
+  })
+
+  it('should trigger on sustained event-loop delay', async () => {
+    const triggers = []
+    monitor = new TriggerMonitor({
+      eventLoopDelay: 20,
+      sustain: 150,
+      checkInterval: 50,
+      onTrigger: trigger => triggers.push(trigger)
+    })
+    monitor.start()
+
+    await blockEventLoop(600, 40)
+
+    assert.strictEqual(triggers.length, 1)
+    assert.strictEqual(triggers[0].metric, 'eventLoopDelay')
+    assert.ok(triggers[0].value > 20)
+    assert.ok(triggers[0].sustained >= 150)
+    assert.match(triggers[0].reason, /^Event-loop delay p99 at [\d.]+ms, above 20ms for \ds$/)
+  })
+
+  it('should trigger on sustained CPU usage', async () => {
+    const triggers = []
+    monitor = new TriggerMonitor({
+      cpu: 50,
+      sustain: 100,
+      checkInterval: 50,
+      onTrigger: trigger => triggers.push(trigger)
+    })
+    monitor.start()
+
+    await blockEventLoop(400, 10)
+
+    assert.strictEqual(triggers.length, 1)
+    assert.strictEqual(triggers[0].metric, 'cpu')
+    assert.match(triggers[0].reason, /^CPU usage at [\d.]+%, above 50%/)
+  })
+
+  it('should not trigger on short spikes', async () => {
+    const triggers = []
+    monitor = new TriggerMonitor({
+      eventLoopDelay: 20,
+      sustain: 1000,
+      checkInterval: 50,
+      onTrigger: trigger => triggers.push(trigger)
+    })
+    monitor.start()
+
+    await blockEventLoop(200, 40)
+    await new Promise(resolve => setTimeout(resolve, 200))
+
+    assert.strictEqual(triggers.length, 0)
+  })
+
+  it('should stay quiet during the cooldown', async () => {
+    const triggers = []
+    monitor = new TriggerMonitor({
+      cpu: 50,
+      sustain: 50,
+      cooldown: 60000,
+      checkInterval: 50,
+      onTrigger: trigger => triggers.push(trigger)
+    })
+    monitor.start()
+
+    await blockEventLoop(500, 10)
+
+    assert.strictEqual(triggers.length, 1)
+  })
+})
+
+describe('Automatic capture', () => {
+  it('should store a triggered capture with its reason', async () => {
+    const storage = new ProfileStorage()
+    const flamegraph = createFlamegraphMiddleware({
+      storage,
+      autoCapture: { cpu: 50, sustain: 100, checkInterval: 50, duration: 100 }
+    })
+
+    await blockEventLoop(300, 10)
+
+    let profiles
+    const deadline = Date.now() + 5000
+    do {
+      await new Promise(resolve => setTimeout(resolve, 20))
+      profiles = storage.listProfiles()
+    } while (profiles[0]?.status !== 'completed' && Date.now() < deadline)
+
+    assert.strictEqual(profiles.length, 1)
+    assert.strictEqual(profiles[0].status, 'completed')
+    assert.strictEqual(profiles[0].duration, 100)
+    assert.strictEqual(profiles[0].trigger.metric, 'cpu')
+    assert.match(profiles[0].trigger.reason, /CPU usage/)
+    await flamegraph.close()
+  })
+
+  it('should stop monitoring once closed', async () => {
+    const storage = new ProfileStorage()
+    const listeners = process.listenerCount('beforeExit')
+    const flamegraph = createFlamegraphMiddleware({
+      storage,
+      autoCapture: { cpu: 50, sustain: 100, checkInterval: 50, duration: 100 }
+    })
+    assert.strictEqual(process.listenerCount('beforeExit'), listeners + 1)
+
+    await flamegraph.close()
+    assert.strictEqual(process.listenerCount('beforeExit'), listeners)
+
+    await blockEventLoop(300, 10)
+    await new Promise(resolve => setTimeout(resolve, 200))
+    assert.deepStrictEqual(storage.listProfiles(), [])
+  })
+})
+
+/**
+ * Keep the event loop blocked in slices of `slice` ms, yielding in between
+ */
+async function blockEventLoop (ms, slice) {
+  const end = Date.now() + ms
+  while (Date.now() < end) {
+    const sliceEnd = Math.min(end, Date.now() + slice)
+    while (Date.now() < sliceEnd) {
+      Math.sqrt(Math.random())
+    }
+    await new Promise(resolve => setImmediate(resolve))
+  }
+}
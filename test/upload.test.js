@@ -0,0 +1,139 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { gzipSync } from 'node:zlib'
+import { createFlamegraphMiddleware, ProfileStorage } from '../src/index.js'
+import { buildProfileBuffer } from './profile-fixtures.js'
+import { listen, request, serve } from './http-helpers.js'
+
+const heapTypes = [['objects', 'count'], ['space', 'bytes']]
+
+describe('Profile upload', () => {
+  let app
+
+  afterEach(async () => {
+    await app?.close()
+    app = null
+  })
+
+  it('should store a gzipped CPU profile and redirect to its results', async () => {
+    app = await listen({ metricsInterval: 0 })
+    const cpu = buildProfileBuffer({ 'main;work;hot': 30 }, { durationMs: 2000 })
+
+    const response = await upload(gzipSync(cpu))
+    assert.strictEqual(response.statusCode, 303)
+    const [, id] = response.headers.location.match(/^\/flamegraph\/result\/([a-f0-9]+)$/)
+
+    assert.deepStrictEqual(await app.flamegraph.getProfile(id), { cpu })
+    const [status] = await app.flamegraph.listProfiles()
+    assert.strictEqual(status.kind, 'upload')
+    assert.strictEqual(status.duration, 2000)
+
+    const page = await request(app.port, response.headers.location)
+    assert.strictEqual(page.statusCode, 200)
+    assert.ok(page.body.includes('id="cpu-tab"'))
+
+    const profiles = await request(app.port, '/flamegraph/profiles')
+    assert.ok(profiles.body.includes('id="uploadForm"'))
+    assert.ok(profiles.body.includes('<td>Upload</td>'))
+  })
+
+  it('should answer JSON clients with the stored session', async () => {
+    app = await listen({ metricsInterval: 0 })
+    const heap = buildProfileBuffer({ 'main;cache': 4096 }, { sampleTypes: heapTypes })
+
+    const response = await upload(heap, { Accept: 'application/json' })
+    assert.strictEqual(response.statusCode, 201)
+    const status = JSON.parse(response.body)
+    assert.strictEqual(status.status, 'completed')
+    assert.deepStrictEqual(status.types, ['heap'])
+    assert.strictEqual(status.resultUrl, `/flamegraph/result/${status.id}`)
+    assert.deepStrictEqual(status.downloads, { heap: `/flamegraph/result/${status.id}/heap.pb.gz` })
+  })
+
+  it('should reject files that are not CPU or heap pprof profiles', async () => {
+    app = await listen({ metricsInterval: 0 })
+    const json = { Accept: 'application/json' }
+
+    const garbage = await upload(Buffer.from('definitely not a profile'), json)
+    assert.strictEqual(garbage.statusCode, 400)
+    assert.match(JSON.parse(garbage.body).error, /not a (valid )?pprof profile/)
+
+    const brokenGzip = await upload(gzipSync(Buffer.alloc(100, 1)).subarray(0, 20), json)
+    assert.strictEqual(brokenGzip.statusCode, 400)
+
+    const empty = await upload(Buffer.alloc(0), json)
+    assert.strictEqual(empty.statusCode, 400)
+    assert.strictEqual(JSON.parse(empty.body).error, 'No file was uploaded.')
+
+    const goroutines = buildProfileBuffer({ 'main;wait': 3 }, { sampleTypes: [['goroutine', 'count']] })
+    const unsupported = await upload(goroutines, json)
+    assert.strictEqual(unsupported.statusCode, 400)
+    assert.match(JSON.parse(unsupported.body).error, /measures count/)
+
+    // HTML clients get an error page
+    const page = await upload(Buffer.from('nope'))
+    assert.strictEqual(page.statusCode, 400)
+    assert.ok(page.body.includes('Back to profiles'))
+
+    assert.deepStrictEqual(await app.flamegraph.listProfiles(), [])
+  })
+
+  it('should enforce the size limit before and after decompression', async () => {
+    app = await listen({ metricsInterval: 0, upload: { maxSize: 1024 } })
+    const json = { Accept: 'application/json' }
+
+    const large = buildProfileBuffer(Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`main;fn${i}`, i + 1])))
+    assert.ok(large.length > 1024)
+
+    const raw = await upload(large, json)
+    assert.strictEqual(raw.statusCode, 413)
+    assert.strictEqual(JSON.parse(raw.body).error, 'The file is larger than the 1 KB upload limit.')
+
+    // Without a Content-Length the body is counted while it is read
+    const chunked = await upload(large, { ...json, 'Transfer-Encoding': 'chunked' })
+    assert.strictEqual(chunked.statusCode, 413)
+
+    const bomb = gzipSync(Buffer.alloc(64 * 1024))
+    assert.ok(bomb.length < 1024)
+    const inflated = await upload(bomb, json)
+    assert.strictEqual(inflated.statusCode, 413)
+    assert.match(JSON.parse(inflated.body).error, /uncompressed profile is larger/)
+  })
+
+  it('should reject bodies already consumed by another body parser', async () => {
+    const flamegraph = createFlamegraphMiddleware({ storage: new ProfileStorage(), metricsInterval: 0 })
+    // Like express.json(): reads the whole stream and leaves a parsed object
+    app = await serve((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        req.body = { parsed: Buffer.concat(chunks).length }
+        req._body = true
+        flamegraph(req, res, () => res.end('ok'))
+      })
+    }, flamegraph)
+
+    const response = await upload(buildProfileBuffer({ 'main;hot': 1 }), { Accept: 'application/json' })
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(JSON.parse(response.body).error, /already read by a body parser/)
+  })
+
+  it('should check the upload action and allow disabling uploads', async () => {
+    const actions = []
+    app = await listen({ metricsInterval: 0, authorize: (req, action) => { actions.push(action); return action !== 'upload' } })
+    const denied = await upload(buildProfileBuffer({ 'main;hot': 1 }))
+    assert.strictEqual(denied.statusCode, 403)
+    assert.deepStrictEqual(actions, ['upload'])
+
+    await app.close()
+    app = await listen({ metricsInterval: 0, upload: false })
+    const disabled = await upload(buildProfileBuffer({ 'main;hot': 1 }))
+    assert.strictEqual(disabled.statusCode, 404)
+    const profiles = await request(app.port, '/flamegraph/profiles')
+    assert.ok(!profiles.body.includes('id="uploadForm"'))
+  })
+
+  function upload (body, headers) {
+    return request(app.port, '/flamegraph/upload', { method: 'POST', headers, body })
+  }
+})
@@ -0,0 +1,21 @@
+import { parentPort, workerData } from 'node:worker_threads'
+import { registerWorker } from '../src/worker-threads.js'
+
+registerWorker({ name: workerData.name })
+
+// Keep the CPU busy in short slices so profile requests still get through
+function workerHotLoop () {
+  const end = Date.now() + 5
+  while (Date.now() < end) {
+    Math.sqrt(Math.random())
+  }
+  setImmediate(workerHotLoop)
+}
+workerHotLoop()
+
+parentPort.on('message', message => {
+  if (message === 'exit') {
+    process.exit(0)
+  }
+})
+parentPort.postMessage('ready')
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { Worker } from 'node:worker_threads'
+import { registerWorker } from '../src/index.js'
+import { WorkerRegistry } from '../src/worker-threads.js'
+import { generateResultsPage } from '../src/html-generator.js'
+import { decodeProfile, forEachStack, getDefaultSampleIndex } from '../src/pprof-utils.js'
+import { listen, request } from './http-helpers.js'
+import { buildProfileBuffer } from './profile-fixtures.js'
+
+describe('Worker thread profiling', () => {
+  let app
+  let flamegraph
+  let worker
+
+  before(async () => {
+    app = await listen({ maxDuration: 2000 })
+    flamegraph = app.flamegraph
+
+    worker = new Worker(new URL('./worker-fixture.js', import.meta.url), { workerData: { name: 'Image worker' } })
+    await new Promise(resolve => worker.once('message', resolve))
+
+    // Wait for the registration to reach the main thread
+    while (!(await request(app.port, '/flamegraph/profiles')).body.includes('Image worker')) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+  })
+
+  after(async () => {
+    await worker.terminate()
+    await app.close()
+  })
+
+  it('should refuse to register the main thread', () => {
+    assert.throws(() => registerWorker(), /must be called from a worker thread/)
+  })
+
+  it('should profile all registered workers', async () => {
+    const started = JSON.parse((await request(app.port, '/flamegraph/api/profiles?duration=300&thread=all', { method: 'POST' })).body)
+    const status = await waitForCompletion(started.statusUrl)
+
+    assert.strictEqual(status.status, 'completed')
+    assert.deepStrictEqual(status.threads, [{ threadId: worker.threadId, name: 'Image worker' }])
+    const cpuKey = `cpu-thread-${worker.threadId}`
+    assert.ok(status.types.includes(cpuKey))
+    assert.strictEqual(status.downloads[cpuKey], `/flamegraph/result/${started.id}/${cpuKey}.pb.gz`)
+
+    const download = await request(app.port, status.downloads[cpuKey])
+    assert.strictEqual(download.statusCode, 200)
+
+    const stored = await flamegraph.getProfile(started.id)
+    assert.ok(functionNames(stored[cpuKey]).has('workerHotLoop'))
+    assert.ok(!functionNames(stored.cpu).has('workerHotLoop'))
+
+    const page = await request(app.port, `/flamegraph/result/${started.id}`)
+    assert.ok(page.body.includes('Image worker CPU'))
+    assert.ok(page.body.includes('Image worker Heap'))
+  })
+
+  it('should select workers by name from the capture API', async () => {
+    const result = await flamegraph.capture({ duration: 100, types: ['cpu'], threads: ['Image worker'] })
+    assert.ok(result[`cpu-thread-${worker.threadId}`])
+    assert.strictEqual(result[`heap-thread-${worker.threadId}`], undefined)
+  })
+
+  it('should reject unknown threads', async () => {
+    const res = await request(app.port, '/flamegraph/api/profiles?duration=100&thread=9999', { method: 'POST' })
+    assert.strictEqual(res.statusCode, 400)
+    assert.match(JSON.parse(res.body).error, /Unknown thread "9999"/)
+  })
+
+  it('should escape worker names on the results page', async () => {
+    const name = '<img src=x onerror=alert(1)></script>\''
+    const html = await generateResultsPage(buildProfileBuffer({ 'main;work': 10 }), null, {
+      profileId: 'abc',
+      threads: [{ threadId: 7, name, cpu: buildProfileBuffer({ 'worker;work': 10 }) }]
+    })
+
+    assert.ok(!html.includes('</script>\''))
+    assert.ok(html.includes('title: "<img src=x onerror=alert(1)><\\/script>\' CPU Profile"'))
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;&lt;/script&gt;&#039; CPU Profile</button>'))
+    assert.ok(html.includes('Download &lt;img'))
+  })
+
+  it('should forget workers that exit or stop answering', async () => {
+    const registry = new WorkerRegistry()
+    registry.start()
+    try {
+      const startWorker = async name => {
+        const thread = new Worker(new URL('./worker-fixture.js', import.meta.url), { workerData: { name } })
+        await new Promise(resolve => thread.once('message', resolve))
+        await waitFor(() => registry.workers.has(thread.threadId))
+        return thread
+      }
+      await waitFor(() => registry.workers.has(worker.threadId))
+
+      const exiting = await startWorker('Exiting worker')
+      const exitingId = exiting.threadId
+      exiting.postMessage('exit')
+      await waitFor(() => !registry.workers.has(exitingId))
+
+      // terminate() gives the worker no chance to unregister
+      const terminated = await startWorker('Terminated worker')
+      const terminatedId = terminated.threadId
+      await terminated.terminate()
+      const threads = registry.list()
+      const results = await registry.collect(threads, { duration: 50, settings: { types: ['cpu'] }, timeout: 2000 })
+      assert.strictEqual(results.find(result => result.threadId === terminatedId).error, 'Worker did not respond')
+      assert.ok(results.find(result => result.threadId === worker.threadId).profiles.cpu)
+      assert.ok(!registry.workers.has(terminatedId))
+      assert.deepStrictEqual(registry.list(), [{ threadId: worker.threadId, name: 'Image worker' }])
+    } finally {
+      registry.stop()
+    }
+  })
+
+  async function waitFor (condition) {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+  }
+
+  async function waitForCompletion (statusUrl) {
+    let status
+    do {
+      await new Promise(resolve => setTimeout(resolve, 20))
+      status = JSON.parse((await request(app.port, statusUrl)).body)
+    } while (status.status === 'in-progress' || status.status === 'queued')
+    return status
+  }
+})
+
+function functionNames (buffer) {
+  const profile = decodeProfile(buffer)
+  const names = new Set()
+  forEachStack(profile, getDefaultSampleIndex(profile), stack => {
+    for (const frame of stack) {
+      names.add(frame.name)
+    }
+  })
+  return names
+}